@@ -0,0 +1,329 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../src/utils/logger');
+const { formatPath } = require('./config-schema');
+
+// 默认最多保留的快照数量，超出后删除最旧的快照
+const DEFAULT_HISTORY_LIMIT = 50;
+
+// 快照和差异对外展示时隐藏的字段，* 匹配任意数组下标或对象键。
+// 快照文件本身保存原始内容，回滚时需要恢复这些值
+const SECRET_PATHS = [
+  ['admin_auth', 'tokens', '*', 'token'],
+  ['admin_auth', 'users', '*', 'password_hash'],
+  ['admin_auth', 'session', 'secret'],
+  ['access_gate', 'password_hash'],
+  ['access_gate', 'session', 'secret'],
+  ['signed_urls', 'secret'],
+  ['cookie_jars', 'secret'],
+  ['cookie_store', 'key'],
+  // 上游会话 Cookie，形如 `name=value`
+  ['youtube_default_cookies', '*'],
+  ['cloudflare_default_cookies', '*']
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * 配置版本历史
+ * 每次配置生效（启动、文件变化、管理接口修改或手动重新加载）时保存一份带版本号的快照，
+ * 快照以 `<版本号>.json` 的形式保存在历史目录中，服务重启后版本号继续递增。
+ * 与上一个快照内容相同的配置不会重复保存。
+ */
+class ConfigHistory {
+  /**
+   * @param {Object} options 选项
+   * @param {string} options.dir 快照保存目录
+   * @param {number} [options.limit=50] 最多保留的快照数量
+   */
+  constructor({ dir, limit = DEFAULT_HISTORY_LIMIT }) {
+    this.dir = dir;
+    this.limit = limit > 0 ? limit : DEFAULT_HISTORY_LIMIT;
+    this.entries = null; // 快照摘要（不含配置内容），按版本号升序，首次使用时从目录读取
+  }
+
+  /**
+   * 保存一份配置快照。保存失败只记录错误，不影响配置生效。
+   * @param {Object} config 配置文件内容
+   * @param {Object} meta 快照信息
+   * @param {string} meta.source 触发来源（startup、watch、admin、manual、rollback 等）
+   * @param {number} [meta.rollbackOf] 回滚时恢复的版本号
+   * @returns {Object|null} 新快照的摘要；内容与上一个快照相同或保存失败时返回null
+   */
+  record(config, { source, rollbackOf } = {}) {
+    try {
+      const entries = this._getEntries();
+      const hash = hashConfig(config);
+      const latest = entries[entries.length - 1];
+      if (latest && latest.hash === hash) {
+        return null;
+      }
+
+      const entry = {
+        version: latest ? latest.version + 1 : 1,
+        timestamp: new Date().toISOString(),
+        source: source || 'manual',
+        hash,
+        rollbackOf: rollbackOf !== undefined ? rollbackOf : null
+      };
+
+      fs.ensureDirSync(this.dir);
+      const snapshotPath = this._snapshotPath(entry.version);
+      const tempPath = `${snapshotPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ ...entry, config }, null, 2));
+      fs.renameSync(tempPath, snapshotPath);
+
+      entries.push(entry);
+      this._prune(entries);
+      logger.info('已保存配置快照', { version: entry.version, source: entry.source });
+      return entry;
+    } catch (error) {
+      logger.error('保存配置快照失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 列出快照摘要，最新的在前
+   * @param {number} [limit] 返回的最大数量
+   * @returns {Object[]} 快照摘要列表
+   */
+  list(limit) {
+    const entries = [...this._getEntries()].reverse();
+    return limit > 0 ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * 读取指定版本的快照
+   * @param {number} version 版本号
+   * @returns {Object|null} 快照（含 config），不存在时返回null
+   */
+  get(version) {
+    if (!this._getEntries().some(entry => entry.version === version)) {
+      return null;
+    }
+    try {
+      return fs.readJsonSync(this._snapshotPath(version));
+    } catch (error) {
+      logger.error('读取配置快照失败:', { version, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 读取指定版本的快照，隐藏其中的密钥、令牌和密码哈希，供管理接口展示
+   * @param {number} version 版本号
+   * @returns {Object|null} 快照，不存在时返回null
+   */
+  getRedacted(version) {
+    const snapshot = this.get(version);
+    return snapshot ? { ...snapshot, config: redactSecrets(snapshot.config) } : null;
+  }
+
+  /**
+   * 获取最新快照的摘要
+   * @returns {Object|null}
+   */
+  latest() {
+    const entries = this._getEntries();
+    return entries[entries.length - 1] || null;
+  }
+
+  /**
+   * 获取指定版本之前的快照摘要
+   * @param {number} version 版本号
+   * @returns {Object|null}
+   */
+  previous(version) {
+    return this._getEntries().filter(entry => entry.version < version).pop() || null;
+  }
+
+  /**
+   * 读取历史目录中的快照摘要
+   * @private
+   * @returns {Object[]} 按版本号升序排列的快照摘要
+   */
+  _getEntries() {
+    if (this.entries) {
+      return this.entries;
+    }
+    const entries = [];
+    if (fs.existsSync(this.dir)) {
+      fs.readdirSync(this.dir)
+        .filter(file => /^\d+\.json$/.test(file))
+        .forEach(file => {
+          try {
+            const { version, timestamp, source, hash, rollbackOf } = fs.readJsonSync(path.join(this.dir, file));
+            entries.push({ version, timestamp, source, hash, rollbackOf: rollbackOf ?? null });
+          } catch (error) {
+            logger.warn('忽略无法读取的配置快照:', { file, error: error.message });
+          }
+        });
+    }
+    this.entries = entries.sort((a, b) => a.version - b.version);
+    return this.entries;
+  }
+
+  /**
+   * 删除超出保留数量的旧快照
+   * @private
+   * @param {Object[]} entries 快照摘要列表
+   */
+  _prune(entries) {
+    while (entries.length > this.limit) {
+      const [removed] = entries.splice(0, 1);
+      fs.removeSync(this._snapshotPath(removed.version));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _snapshotPath(version) {
+    return path.join(this.dir, `${version}.json`);
+  }
+}
+
+/**
+ * 计算配置内容的哈希，与文件中的缩进和换行无关
+ * @param {Object} config 配置文件内容
+ * @returns {string} sha1 哈希
+ */
+function hashConfig(config) {
+  return crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex');
+}
+
+/**
+ * 隐藏配置中的密钥、令牌和密码哈希（SECRET_PATHS），返回新的对象
+ * @param {*} value 配置或配置中的一部分
+ * @param {Array<string|number>} [segments=[]] value 在配置中的路径
+ * @returns {*} 隐藏后的副本
+ */
+function redactSecrets(value, segments = []) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (isSecretPath(segments)) {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => redactSecrets(item, [...segments, index]));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactSecrets(item, [...segments, key])]));
+  }
+  return value;
+}
+
+/**
+ * 判断路径是否为需要隐藏的字段
+ * @param {Array<string|number>} segments 路径
+ * @returns {boolean}
+ */
+function isSecretPath(segments) {
+  return SECRET_PATHS.some(secretPath => secretPath.length === segments.length
+    && secretPath.every((segment, index) => segment === '*' || segment === segments[index]));
+}
+
+/**
+ * 比较两份配置，列出结构化的差异。
+ * 数组先按内容对齐（最长公共子序列），插入或删除一条规则只报告该条规则；
+ * 同一位置上被修改的元素继续逐字段比较。
+ * 差异按原始内容计算，但结果中的密钥、令牌和密码哈希会被隐藏：轮换令牌仍然报告为修改，只是不显示新旧值。
+ * @param {*} from 旧配置
+ * @param {*} to 新配置
+ * @returns {Array<{path: string, type: 'added'|'removed'|'changed', from?: *, to?: *}>} 差异列表
+ */
+function diffConfig(from, to) {
+  const changes = [];
+
+  const walk = (oldValue, newValue, segments) => {
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      diffArray(oldValue, newValue, segments);
+      return;
+    }
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      [...new Set([...Object.keys(oldValue), ...Object.keys(newValue)])].forEach(key => {
+        const childSegments = [...segments, key];
+        if (!Object.prototype.hasOwnProperty.call(oldValue, key)) {
+          changes.push({ path: formatPath(childSegments), type: 'added', to: redactSecrets(newValue[key], childSegments) });
+        } else if (!Object.prototype.hasOwnProperty.call(newValue, key)) {
+          changes.push({ path: formatPath(childSegments), type: 'removed', from: redactSecrets(oldValue[key], childSegments) });
+        } else {
+          walk(oldValue[key], newValue[key], childSegments);
+        }
+      });
+      return;
+    }
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({
+        path: formatPath(segments),
+        type: 'changed',
+        from: redactSecrets(oldValue, segments),
+        to: redactSecrets(newValue, segments)
+      });
+    }
+  };
+
+  const diffArray = (oldList, newList, segments) => {
+    const oldKeys = oldList.map(item => JSON.stringify(item));
+    const newKeys = newList.map(item => JSON.stringify(item));
+
+    // lengths[i][j]: oldList[i..] 与 newList[j..] 的最长公共子序列长度
+    const lengths = Array.from({ length: oldList.length + 1 }, () => new Array(newList.length + 1).fill(0));
+    for (let i = oldList.length - 1; i >= 0; i--) {
+      for (let j = newList.length - 1; j >= 0; j--) {
+        lengths[i][j] = oldKeys[i] === newKeys[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let removed = [];
+    let added = [];
+    const flush = () => {
+      // 同一位置上先删除后新增的元素视为修改，逐字段比较
+      const paired = Math.min(removed.length, added.length);
+      for (let k = 0; k < paired; k++) {
+        walk(oldList[removed[k]], newList[added[k]], [...segments, added[k]]);
+      }
+      removed.slice(paired).forEach(index => {
+        changes.push({ path: formatPath([...segments, index]), type: 'removed', from: redactSecrets(oldList[index], [...segments, index]) });
+      });
+      added.slice(paired).forEach(index => {
+        changes.push({ path: formatPath([...segments, index]), type: 'added', to: redactSecrets(newList[index], [...segments, index]) });
+      });
+      removed = [];
+      added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < oldList.length || j < newList.length) {
+      if (i < oldList.length && j < newList.length && oldKeys[i] === newKeys[j]) {
+        flush();
+        i++;
+        j++;
+      } else if (j >= newList.length || (i < oldList.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+        removed.push(i++);
+      } else {
+        added.push(j++);
+      }
+    }
+    flush();
+  };
+
+  walk(from, to, []);
+  return changes;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  ConfigHistory,
+  diffConfig,
+  redactSecrets
+};
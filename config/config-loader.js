@@ -1,12 +1,95 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { Upstream, ReplaceItem } = require('../src/entities');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Upstream, ReplaceItem, DenyRule, HeaderRule, SiteProfile } = require('../src/entities');
 const logger = require('../src/utils/logger');
+const { matchHostPattern, patternSpecificity } = require('../src/utils/host-matcher');
+const { ConfigurationError, ConfigValidationError } = require('../src/utils/errors');
+const { DEFAULT_BLOCKED_NETWORKS } = require('../src/utils/network-guard');
+const { parseSize } = require('../src/utils/request-body');
+const { validateConfigSchema, formatErrors } = require('./config-schema');
+const { ConfigHistory } = require('./config-history');
+const { detectFormat, readDocument, resolveConfig, serializeContent } = require('./config-source');
 
-class ConfigLoader {
-  constructor(configFile = 'proxy-config-youtube.json') {
-    this.configFile = configFile;
+// 未设置 GPROXY_CONFIG 时使用的配置文件（位于 config 目录）
+const DEFAULT_CONFIG_FILE = 'proxy-config-youtube.json';
+
+// 配置文件变化后等待的时间，合并编辑器保存时产生的多次写入
+const WATCH_DEBOUNCE_MS = 300;
+
+// 未配置 cors 时的跨域策略：允许任意来源，但不允许携带凭据（浏览器不接受 `*` 与凭据同时出现）
+const DEFAULT_CORS = {
+  enabled: true,
+  allowOrigins: ['*'],
+  allowOriginPatterns: [],
+  reflectOrigin: false,
+  allowCredentials: false,
+  allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
+  allowHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'Cache-Control'],
+  exposeHeaders: [],
+  maxAge: null,
+  handlePreflight: true
+};
+
+// 未配置 security_headers 时移除上游的安全头部（CSP、X-Frame-Options 等）
+const DEFAULT_SECURITY_HEADERS = {
+  mode: 'strip',
+  injectScript: 'nonce'
+};
+
+// 配置快照的保存目录
+const HISTORY_DIR = process.env.CONFIG_HISTORY_DIR
+  ? path.resolve(process.env.CONFIG_HISTORY_DIR)
+  : path.join(__dirname, '..', 'data', 'config-history');
+
+/**
+ * 配置加载器
+ * 每次加载都先在独立的候选实例上完整解析并验证，成功后再一次性替换当前配置；
+ * 失败时继续使用上一次成功加载的配置（last-known-good），并记录错误供 /admin/status 展示。
+ * 每次生效的配置都会保存为带版本号的快照，可以比较和回滚。
+ *
+ * 配置文件可以是 JSON 或 YAML（按扩展名区分），由环境变量 GPROXY_CONFIG 指定；
+ * 加载时先展开 include 片段、替换 ${ENV_VAR:-默认值}，再验证和解析。
+ * `source` 保存主配置文件的原始内容，管理接口的修改和回滚都写回这份内容，不会把片段和环境变量的值写进文件。
+ *
+ * 事件：
+ * - `reload`（config）：配置重新加载并生效后触发
+ * - `reloadError`（error）：重新加载失败、仍在使用旧配置时触发
+ */
+class ConfigLoader extends EventEmitter {
+  constructor(configPath = resolveConfigPath()) {
+    super();
+    this.configPath = configPath;
+    this.configFile = path.basename(configPath);
+    this.format = detectFormat(configPath);
+    this.resetState();
+
+    // 重新加载状态
+    this.fileHash = null;
+    this.loadedAt = null;
+    this.lastReload = null;
+    this.lastReloadError = null;
+    this.watchers = null; // 目录 => { watcher, names }，监听主配置文件与 include 片段所在的目录
+    this.watchTimer = null;
+
+    // 配置版本历史与当前生效的版本号
+    this.history = new ConfigHistory({
+      dir: HISTORY_DIR,
+      limit: parseInt(process.env.CONFIG_HISTORY_LIMIT) || undefined
+    });
+    this.version = null;
+    
+    this.loadConfig('startup');
+  }
+
+  /**
+   * 将解析结果重置为默认值
+   */
+  resetState() {
     this.config = null;
+    this.source = null;
+    this.includedFiles = [];
     this.baseUpstream = null;
     this.denyRequestList = [];
     this.replaceList = [];
@@ -21,74 +104,269 @@ class ConfigLoader {
     this.cloudflareDefaultCookies = [];
     this.youtubeDefaultCookies = [];
     this.youtubeClientVersion = '2.20240110.01.00';
-    
-    this.loadConfig();
+    this.defaultSite = null;
+    this.sites = [];
+    this.pipelines = [];
+    this.adminAuth = { enabled: false, methods: [], tokens: [], users: [], session: null };
+    this.accessGate = { enabled: false, passwordHash: null, session: null, keyHeader: 'X-Gproxy-Key', keyQuery: 'gproxy_key', exemptPaths: [] };
+    this.signedUrls = { enabled: false, secret: null, ttl: 24 * 60 * 60 };
+    this.cookieJars = { secret: null, idleTtl: 60 * 60, maxJars: 10000 };
+    this.cookieStore = null;
+    this.destinationPolicy = { allow: [], deny: [], blocklistFiles: [] };
+    this.networkGuard = { blockedNetworks: DEFAULT_BLOCKED_NETWORKS, allowedNetworks: [] };
+    this.rateLimits = [];
+    this.requestBodyLimit = null;
+    this.errorPagesDir = null;
+    this.headerRules = [];
+    this.cors = DEFAULT_CORS;
+    this.securityHeaders = DEFAULT_SECURITY_HEADERS;
   }
 
   /**
-   * 加载配置文件
+   * 加载配置文件：解析并验证通过后才替换当前配置
+   * @param {string} [source='manual'] 触发来源，记录在配置快照中
    */
-  loadConfig() {
+  loadConfig(source = 'manual') {
     try {
-      const configPath = path.join(__dirname, this.configFile);
-      
-      if (!fs.existsSync(configPath)) {
-        logger.warn(`配置文件不存在: ${configPath}，使用默认配置`);
-        this.createDefaultConfig(configPath);
+      if (!fs.existsSync(this.configPath)) {
+        logger.warn(`配置文件不存在: ${this.configPath}，使用默认配置`);
+        this.createDefaultConfig(this.configPath);
       }
 
-      const configContent = fs.readFileSync(configPath, 'utf8');
-      this.config = JSON.parse(configContent);
-      
-      this.parseConfig();
+      const { document } = readDocument(this.configPath);
+      const candidate = this.createCandidate(document);
+      this.applyCandidate(candidate, { source });
       logger.info('配置文件加载成功');
       
     } catch (error) {
       logger.error('加载配置文件失败:', error);
-      throw new Error(`配置加载失败: ${error.message}`);
+      throw new ConfigurationError(`配置加载失败: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * 展开 include 时使用的选项：片段路径相对于主配置文件所在目录
+   * @private
+   */
+  getResolveOptions() {
+    return { baseDir: path.dirname(this.configPath), rootFile: this.configPath };
+  }
+
+  /**
+   * 读取磁盘上主配置文件的原始内容（不展开 include，不替换环境变量）
+   * @returns {Object} 配置文件内容
+   */
+  readSource() {
+    return readDocument(this.configPath).document;
+  }
+
+  /**
+   * 在独立的候选实例上解析并验证配置，不影响当前生效的配置
+   * @param {Object} rawConfig 主配置文件的原始内容
+   * @returns {ConfigLoader} 解析完成的候选实例
+   */
+  createCandidate(rawConfig) {
+    if (!rawConfig || typeof rawConfig !== 'object' || Array.isArray(rawConfig)) {
+      throw new Error('配置文件内容必须是对象');
     }
+    const { config, files } = resolveConfig(rawConfig, this.getResolveOptions());
+    const candidate = Object.create(ConfigLoader.prototype);
+    candidate.resetState();
+    candidate.source = rawConfig;
+    candidate.includedFiles = files;
+    candidate.config = config;
+    // 先按 schema 验证原始内容，再解析为运行时对象
+    candidate.validateConfig();
+    candidate.parseConfig();
+    return candidate;
+  }
+
+  /**
+   * 用候选实例整体替换当前配置，并保存配置快照
+   * @private
+   * @param {ConfigLoader} candidate 解析完成的候选实例
+   * @param {Object} snapshotMeta 快照信息（source、rollbackOf）
+   */
+  applyCandidate(candidate, snapshotMeta) {
+    // 同步替换全部解析结果，请求不会看到一半新一半旧的配置
+    STATE_FIELDS.forEach(field => {
+      this[field] = candidate[field];
+    });
+    this.fileHash = this.readFileHash();
+    this.loadedAt = new Date().toISOString();
+
+    // 快照记录主配置文件的原始内容，内容与最新快照相同时不会产生新版本
+    const entry = this.history.record(candidate.source, snapshotMeta);
+    this.version = entry ? entry.version : (this.history.latest()?.version ?? null);
+
+    // include 的片段可能有增减，同步更新监听的目录
+    if (this.watchers) {
+      this.updateWatchers();
+    }
+  }
+
+  /**
+   * 修改配置并写回配置文件：在配置副本上执行修改，验证通过后原子写入磁盘并立即生效。
+   * 验证失败时抛出 ConfigValidationError，磁盘文件和当前配置都不会改变。
+   * @param {function(Object): *} mutator 修改函数，参数为主配置文件原始内容的副本，可直接修改
+   * @param {string} [source='admin'] 修改来源，记录在重新加载状态中
+   * @returns {*} mutator 的返回值
+   */
+  updateConfig(mutator, source = 'admin') {
+    const draft = JSON.parse(JSON.stringify(this.source));
+    const result = mutator(draft);
+    this.writeConfig(draft, { source });
+    return result;
+  }
+
+  /**
+   * 回滚到指定版本的配置快照。回滚本身会作为新版本保存，可以再次回滚。
+   * 快照内容无法通过当前的验证时抛出 ConfigValidationError，当前配置不变。
+   * @param {number} version 要恢复的版本号
+   * @param {string} [source='rollback'] 触发来源
+   * @returns {Object|null} 恢复的快照摘要，版本不存在时返回null
+   */
+  rollback(version, source = 'rollback') {
+    const snapshot = this.history.get(version);
+    if (!snapshot) {
+      return null;
+    }
+    this.writeConfig(snapshot.config, { source, rollbackOf: version });
+    const { config, ...entry } = snapshot;
+    return entry;
+  }
+
+  /**
+   * 验证配置内容，通过后原子写入配置文件并立即生效
+   * @private
+   * @param {Object} rawConfig 新的主配置文件内容
+   * @param {Object} snapshotMeta 快照信息（source、rollbackOf）
+   */
+  writeConfig(rawConfig, snapshotMeta) {
+    const candidate = this.createCandidate(rawConfig);
+    // 按原文件格式写回；YAML 文件中的注释不会保留
+    const configContent = serializeContent(rawConfig, this.format);
+
+    // 先写临时文件再重命名，避免进程中断时留下不完整的配置文件
+    const tempPath = `${this.configPath}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tempPath, configContent);
+      fs.renameSync(tempPath, this.configPath);
+    } catch (error) {
+      fs.removeSync(tempPath);
+      logger.error('写入配置文件失败:', error);
+      throw new ConfigurationError(`写入配置文件失败: ${error.message}`, error);
+    }
+
+    this.applyCandidate(candidate, snapshotMeta);
+    this.lastReload = { at: this.loadedAt, source: snapshotMeta.source, version: this.version };
+    this.lastReloadError = null;
+    logger.info('配置已修改并写入配置文件', { source: snapshotMeta.source, version: this.version });
+    this.emit('reload', this.getConfig());
   }
 
   /**
    * 解析配置
    */
   parseConfig() {
-    // 解析上游服务器
-    if (this.config.base_upstream) {
-      this.baseUpstream = new Upstream(this.config.base_upstream);
-    }
+    // 解析上游服务器（配置了 sites 时可以省略）
+    this.baseUpstream = this.config.base_upstream
+      ? new Upstream(this.config.base_upstream)
+      : null;
 
     // 解析拒绝请求列表
-    this.denyRequestList = this.config.deny_request || [];
+    this.denyRequestList = this._parseDenyList(this.config.deny_request);
 
     // 解析替换规则列表
-    this.replaceList = [];
-    if (this.config.replace_list && Array.isArray(this.config.replace_list)) {
-      this.config.replace_list.forEach(item => {
-        try {
-          this.replaceList.push(new ReplaceItem({
-            search: item.search,
-            replace: item.replace,
-            matchType: item.matchType,
-            urlMatch: item.urlMatch,
-            urlExclude: item.urlExclude,
-            contentType: item.contentType
-          }));
-        } catch (error) {
-          logger.warn('解析替换规则失败:', error);
-        }
-      });
-    }
+    this.replaceList = this._parseReplaceList(this.config.replace_list);
 
     // 设置首页路径
     this.homePath = this.config.home_path || '/';
 
+    // 解析跨域访问策略，站点和挂载点可以覆盖其中的字段
+    this.cors = this._parseCors(this.config.cors, DEFAULT_CORS);
+    this.securityHeaders = this._parseSecurityHeaders(this.config.security_headers, DEFAULT_SECURITY_HEADERS);
+
+    // 默认站点（顶层配置）以及按入站主机名区分的站点列表
+    this.defaultSite = new SiteProfile({
+      name: 'default',
+      hostPattern: null,
+      baseUpstream: this.baseUpstream,
+      homePath: this.homePath,
+      replaceList: this.replaceList,
+      denyRequestList: this.denyRequestList,
+      cors: this.cors,
+      securityHeaders: this.securityHeaders
+    });
+    this.defaultSite.mounts = this._parseMounts(this.config.mounts, this.defaultSite);
+    this.sites = this._parseSites(this.config.sites);
+
     // 设置全局代理路径
     this.globalProxyPath = this.config.global_proxy_path || 'proxy-dGltZWhv';
 
     // 解析自定义处理器
     this.customHandlers = this.config.custom_handlers || [];
 
+    // 解析按路由声明的处理管道
+    this.pipelines = this._parsePipelines(this.config.pipelines);
+
+    // 解析管理接口认证配置
+    this.adminAuth = this._parseAdminAuth(this.config.admin_auth);
+
+    // 解析代理访问控制配置
+    this.accessGate = this._parseAccessGate(this.config.access_gate);
+
+    // 解析全局代理URL签名配置
+    const signedUrls = this.config.signed_urls;
+    this.signedUrls = {
+      enabled: Boolean(signedUrls) && signedUrls.enabled !== false,
+      secret: signedUrls?.secret || null,
+      ttl: signedUrls?.ttl || 24 * 60 * 60
+    };
+
+    // 解析上游Cookie罐配置：每个浏览器会话一个Cookie罐，空闲超过 idle_ttl 秒后清理
+    const cookieJars = this.config.cookie_jars || {};
+    this.cookieJars = {
+      secret: cookieJars.secret || null,
+      idleTtl: cookieJars.idle_ttl || 60 * 60,
+      maxJars: cookieJars.max_jars || 10000
+    };
+
+    // 解析持久化Cookie存储配置，未配置时Cookie只保存在内存中；path 相对于配置文件所在目录，由 cookieStore 解析
+    const cookieStore = this.config.cookie_store;
+    this.cookieStore = cookieStore ? {
+      type: cookieStore.type || 'file',
+      path: cookieStore.path || null,
+      key: cookieStore.key || null,
+      flushInterval: cookieStore.flush_interval || 30
+    } : null;
+
+    // 解析全局代理的目标访问策略，拦截列表文件相对于配置文件所在目录
+    const destinationPolicy = this.config.destination_policy || {};
+    this.destinationPolicy = {
+      allow: destinationPolicy.allow || [],
+      deny: destinationPolicy.deny || [],
+      blocklistFiles: destinationPolicy.blocklist_files || []
+    };
+
+    // 解析出站连接的网络保护配置，未配置 blocked_networks 时使用内置的受保护网络列表
+    const networkGuard = this.config.network_guard || {};
+    this.networkGuard = {
+      blockedNetworks: networkGuard.blocked_networks || DEFAULT_BLOCKED_NETWORKS,
+      allowedNetworks: networkGuard.allowed_networks || []
+    };
+
+    this.rateLimits = this._parseRateLimits(this.config.rate_limits);
+
+    // 代理请求体的默认大小限制，未配置时不限制（需要改写的请求体读入内存时最大 50MB）
+    this.requestBodyLimit = this.config.request_body_limit != null ? parseSize(this.config.request_body_limit) : null;
+
+    // 自定义错误页模板目录，相对于配置文件所在目录
+    this.errorPagesDir = this.config.error_pages_dir || null;
+
+    // 解析请求与响应头部的改写规则，结构已由 schema 验证
+    this.headerRules = (this.config.header_rules || []).map(rule => new HeaderRule(rule));
+
     // 解析Cloudflare保护的域名列表
     this.cloudflareProtectedHosts = Array.isArray(this.config.cloudflare_protected_hosts) 
       ? this.config.cloudflare_protected_hosts 
@@ -120,6 +398,311 @@ class ConfigLoader {
       : '2.20240110.01.00';
   }
 
+  /**
+   * 解析替换规则列表
+   * @private
+   * @param {Array<Object>} list 配置中的替换规则数组
+   * @returns {ReplaceItem[]} 替换规则实例数组
+   */
+  _parseReplaceList(list) {
+    const replaceList = [];
+    if (!Array.isArray(list)) {
+      return replaceList;
+    }
+    list.forEach(item => {
+      try {
+        replaceList.push(new ReplaceItem({
+          search: item.search,
+          replace: item.replace,
+          matchType: item.matchType,
+          urlMatch: item.urlMatch,
+          urlExclude: item.urlExclude,
+          contentType: item.contentType
+        }));
+      } catch (error) {
+        logger.warn('解析替换规则失败:', error);
+      }
+    });
+    return replaceList;
+  }
+
+  /**
+   * 解析拒绝规则列表（正则字符串或结构化规则），结构已由 schema 验证
+   * @private
+   * @param {Array<string|Object>} list 配置中的 deny_request 数组
+   * @returns {DenyRule[]} 拒绝规则实例数组
+   */
+  _parseDenyList(list) {
+    if (!Array.isArray(list)) {
+      return [];
+    }
+    return list.map(item => new DenyRule(item));
+  }
+
+  /**
+   * 解析 sites 配置：入站主机名（支持通配符）=> 站点配置。
+   * 站点中未声明的字段沿用顶层配置。
+   * @private
+   * @param {Object} sitesConfig 配置中的 sites 对象
+   * @returns {SiteProfile[]} 按匹配优先级排序的站点列表
+   */
+  _parseSites(sitesConfig) {
+    if (!sitesConfig || typeof sitesConfig !== 'object' || Array.isArray(sitesConfig)) {
+      return [];
+    }
+
+    const sites = [];
+    Object.entries(sitesConfig).forEach(([hostPattern, siteConfig]) => {
+      if (!siteConfig || typeof siteConfig !== 'object') {
+        logger.warn('忽略无效的站点配置:', { hostPattern });
+        return;
+      }
+      try {
+        const site = new SiteProfile({
+          name: hostPattern,
+          hostPattern: hostPattern,
+          baseUpstream: siteConfig.base_upstream
+            ? new Upstream(siteConfig.base_upstream)
+            : this.baseUpstream,
+          homePath: siteConfig.home_path || this.homePath,
+          replaceList: Array.isArray(siteConfig.replace_list)
+            ? this._parseReplaceList(siteConfig.replace_list)
+            : this.replaceList,
+          denyRequestList: Array.isArray(siteConfig.deny_request)
+            ? this._parseDenyList(siteConfig.deny_request)
+            : this.denyRequestList,
+          cors: this._parseCors(siteConfig.cors, this.cors),
+          securityHeaders: this._parseSecurityHeaders(siteConfig.security_headers, this.securityHeaders)
+        });
+        site.mounts = this._parseMounts(siteConfig.mounts, site);
+        sites.push(site);
+      } catch (error) {
+        logger.warn('解析站点配置失败:', { hostPattern, error: error.message });
+      }
+    });
+
+    // 精确主机名优先，其次是更长（更具体）的通配符
+    return sites.sort((a, b) => patternSpecificity(b.hostPattern) - patternSpecificity(a.hostPattern));
+  }
+
+  /**
+   * 解析 mounts 配置：路径前缀（如 /gh）=> 上游。
+   * 挂载点中未声明的 home_path、replace_list、deny_request 沿用所属站点。
+   * @private
+   * @param {Object} mountsConfig 配置中的 mounts 对象
+   * @param {SiteProfile} parentSite 挂载点所属的站点
+   * @returns {SiteProfile[]} 按前缀长度降序排列的挂载点列表
+   */
+  _parseMounts(mountsConfig, parentSite) {
+    if (!mountsConfig || typeof mountsConfig !== 'object' || Array.isArray(mountsConfig)) {
+      return [];
+    }
+
+    const mounts = [];
+    Object.entries(mountsConfig).forEach(([prefix, mountConfig]) => {
+      const mountPath = normalizeMountPath(prefix);
+      if (!mountPath || !mountConfig || typeof mountConfig !== 'object' || !mountConfig.base_upstream) {
+        logger.warn('忽略无效的挂载点配置:', { site: parentSite.name, prefix });
+        return;
+      }
+      try {
+        mounts.push(new SiteProfile({
+          name: `${parentSite.name}${mountPath}`,
+          hostPattern: parentSite.hostPattern,
+          mountPath: mountPath,
+          baseUpstream: new Upstream(mountConfig.base_upstream),
+          homePath: mountConfig.home_path || parentSite.homePath,
+          replaceList: Array.isArray(mountConfig.replace_list)
+            ? this._parseReplaceList(mountConfig.replace_list)
+            : parentSite.replaceList,
+          denyRequestList: Array.isArray(mountConfig.deny_request)
+            ? this._parseDenyList(mountConfig.deny_request)
+            : parentSite.denyRequestList,
+          cors: this._parseCors(mountConfig.cors, parentSite.cors),
+          securityHeaders: this._parseSecurityHeaders(mountConfig.security_headers, parentSite.securityHeaders)
+        }));
+      } catch (error) {
+        logger.warn('解析挂载点配置失败:', { site: parentSite.name, prefix, error: error.message });
+      }
+    });
+
+    return mounts.sort((a, b) => b.mountPath.length - a.mountPath.length);
+  }
+
+  /**
+   * 解析 cors 配置，未声明的字段沿用上一级（顶层配置或所属站点）的设置
+   * @private
+   * @param {Object} [corsConfig] 配置中的 cors 对象
+   * @param {Object} inherited 上一级的CORS设置
+   * @returns {Object} CORS设置
+   */
+  _parseCors(corsConfig, inherited) {
+    if (!corsConfig) {
+      return inherited;
+    }
+    return {
+      enabled: corsConfig.enabled ?? inherited.enabled,
+      allowOrigins: corsConfig.allow_origins ?? inherited.allowOrigins,
+      allowOriginPatterns: corsConfig.allow_origin_patterns
+        ? corsConfig.allow_origin_patterns.map(pattern => new RegExp(pattern))
+        : inherited.allowOriginPatterns,
+      reflectOrigin: corsConfig.reflect_origin ?? inherited.reflectOrigin,
+      allowCredentials: corsConfig.allow_credentials ?? inherited.allowCredentials,
+      allowMethods: corsConfig.allow_methods
+        ? corsConfig.allow_methods.map(method => method.toUpperCase())
+        : inherited.allowMethods,
+      // null 表示允许预检请求声明的全部头部
+      allowHeaders: corsConfig.allow_headers !== undefined ? corsConfig.allow_headers : inherited.allowHeaders,
+      exposeHeaders: corsConfig.expose_headers ?? inherited.exposeHeaders,
+      maxAge: corsConfig.max_age ?? inherited.maxAge,
+      handlePreflight: corsConfig.handle_preflight ?? inherited.handlePreflight
+    };
+  }
+
+  /**
+   * 解析 security_headers 配置，未声明的字段沿用上一级的设置
+   * @private
+   * @param {Object} [securityConfig] 配置中的 security_headers 对象
+   * @param {Object} inherited 上一级的设置
+   * @returns {{mode: string, injectScript: string}} 安全头部处理设置
+   */
+  _parseSecurityHeaders(securityConfig, inherited) {
+    if (!securityConfig) {
+      return inherited;
+    }
+    return {
+      mode: securityConfig.mode ?? inherited.mode,
+      injectScript: securityConfig.inject_script ?? inherited.injectScript
+    };
+  }
+
+  /**
+   * 解析 rate_limits 配置：每条规则按客户端IP、API密钥或目标主机分别限流，
+   * 可用 mode 和 path 限定适用的请求；未设置 burst 时桶容量为每秒速率（至少为1）。
+   * @private
+   * @param {Array<Object>} rulesConfig 配置中的 rate_limits 数组
+   * @returns {Object[]} 限流规则
+   */
+  _parseRateLimits(rulesConfig) {
+    if (!Array.isArray(rulesConfig)) {
+      return [];
+    }
+
+    return rulesConfig.map((ruleConfig, index) => ({
+      name: ruleConfig.name || `rate-limit-${index}`,
+      key: ruleConfig.key,
+      mode: ruleConfig.mode || null,
+      path: ruleConfig.path ? new RegExp(ruleConfig.path, 'i') : null,
+      rate: ruleConfig.rate,
+      burst: ruleConfig.burst || Math.max(1, Math.ceil(ruleConfig.rate))
+    }));
+  }
+
+  /**
+   * 解析 pipelines 配置：按代理模式、上游主机名和URL模式声明处理管道。
+   * 处理器名称在请求时由管道解析器解析，这里只检查结构。
+   * @private
+   * @param {Array<Object>} pipelinesConfig 配置中的 pipelines 数组
+   * @returns {Object[]} 按声明顺序排列的管道定义
+   */
+  _parsePipelines(pipelinesConfig) {
+    if (!Array.isArray(pipelinesConfig)) {
+      return [];
+    }
+
+    const pipelines = [];
+    pipelinesConfig.forEach((pipelineConfig, index) => {
+      if (!pipelineConfig || typeof pipelineConfig !== 'object') {
+        logger.warn('忽略无效的管道配置:', { index });
+        return;
+      }
+      try {
+        pipelines.push({
+          name: pipelineConfig.name || `pipeline-${index}`,
+          mode: ['base', 'global'].includes(pipelineConfig.mode) ? pipelineConfig.mode : null,
+          host: typeof pipelineConfig.host === 'string' ? pipelineConfig.host : null,
+          site: typeof pipelineConfig.site === 'string' ? pipelineConfig.site : null,
+          path: pipelineConfig.path ? new RegExp(pipelineConfig.path, 'i') : null,
+          stream: typeof pipelineConfig.stream === 'boolean' ? pipelineConfig.stream : null,
+          bodyLimit: pipelineConfig.body_limit != null ? parseSize(pipelineConfig.body_limit) : null,
+          pre: Array.isArray(pipelineConfig.pre) ? pipelineConfig.pre : null,
+          post: Array.isArray(pipelineConfig.post) ? pipelineConfig.post : null
+        });
+      } catch (error) {
+        logger.warn('解析管道配置失败:', { index, error: error.message });
+      }
+    });
+    return pipelines;
+  }
+
+  /**
+   * 解析 admin_auth 配置，结构已由 schema 验证
+   * @private
+   * @param {Object} authConfig 配置中的 admin_auth 对象
+   * @returns {Object} 管理接口认证设置，未配置或 enabled 为 false 时不启用认证
+   */
+  _parseAdminAuth(authConfig) {
+    if (!authConfig || authConfig.enabled === false) {
+      return { enabled: false, methods: [], tokens: [], users: [], session: null };
+    }
+    return {
+      enabled: true,
+      methods: Array.isArray(authConfig.methods) ? authConfig.methods : ['bearer', 'basic', 'session'],
+      tokens: (authConfig.tokens || []).map((item, index) => ({
+        name: item.name || `token-${index}`,
+        token: item.token,
+        role: item.role || 'admin'
+      })),
+      users: (authConfig.users || []).map(item => ({
+        username: item.username,
+        passwordHash: item.password_hash,
+        role: item.role || 'admin'
+      })),
+      session: {
+        // 未配置密钥时使用进程启动时生成的随机密钥，重启后需要重新登录
+        secret: authConfig.session?.secret || null,
+        ttl: authConfig.session?.ttl || 12 * 60 * 60
+      }
+    };
+  }
+
+  /**
+   * 解析 access_gate 配置，结构已由 schema 验证
+   * @private
+   * @param {Object} gateConfig 配置中的 access_gate 对象
+   * @returns {Object} 代理访问控制设置，未配置或 enabled 为 false 时不启用
+   */
+  _parseAccessGate(gateConfig) {
+    const keyHeader = gateConfig?.key_header || 'X-Gproxy-Key';
+    const keyQuery = gateConfig?.key_query || 'gproxy_key';
+    if (!gateConfig || gateConfig.enabled === false) {
+      return { enabled: false, passwordHash: null, session: null, keyHeader, keyQuery, exemptPaths: [] };
+    }
+    return {
+      enabled: true,
+      passwordHash: gateConfig.password_hash || null,
+      session: {
+        secret: gateConfig.session?.secret || null,
+        ttl: gateConfig.session?.ttl || 7 * 24 * 60 * 60
+      },
+      keyHeader,
+      keyQuery,
+      exemptPaths: (gateConfig.exempt_paths || []).map(pattern => new RegExp(pattern, 'i'))
+    };
+  }
+
+  /**
+   * 根据入站主机名和请求路径选择站点配置。
+   * 先按Host匹配站点（未命中时为默认站点），再在该站点内按路径前缀匹配挂载点。
+   * @param {string} host 入站请求的Host（可带端口）
+   * @param {string} [requestPath] 入站请求路径
+   * @returns {SiteProfile} 站点或挂载点配置
+   */
+  resolveSite(host, requestPath) {
+    const site = this.sites.find(profile => matchHostPattern(host, profile.hostPattern)) || this.defaultSite;
+    return site.findMount(requestPath) || site;
+  }
+
   /**
    * 创建默认配置文件
    */
@@ -241,7 +824,8 @@ class ConfigLoader {
     };
 
     try {
-      fs.writeFileSync(configPath, JSON.stringify(defaultConfig, null, 2));
+      fs.ensureDirSync(path.dirname(configPath));
+      fs.writeFileSync(configPath, serializeContent(defaultConfig, detectFormat(configPath)));
       logger.info('已创建默认配置文件');
     } catch (error) {
       logger.error('创建默认配置文件失败:', error);
@@ -249,19 +833,169 @@ class ConfigLoader {
   }
 
   /**
-   * 重新加载配置
+   * 重新加载配置。失败时保留当前配置并记录错误。
+   * @param {string} [source='manual'] 触发来源（manual、admin、watch 等）
+   * @returns {boolean} 是否加载成功
    */
-  reload() {
+  reload(source = 'manual') {
     try {
-      this.loadConfig();
-      logger.info('配置重新加载成功');
+      this.loadConfig(source);
+      this.lastReload = { at: this.loadedAt, source, version: this.version };
+      this.lastReloadError = null;
+      logger.info('配置重新加载成功', { source });
+      this.emit('reload', this.getConfig());
       return true;
     } catch (error) {
-      logger.error('配置重新加载失败:', error);
+      this.lastReloadError = {
+        message: error.message,
+        errors: error.originalError instanceof ConfigValidationError ? error.originalError.errors : [],
+        at: new Date().toISOString(),
+        source,
+        fileHash: this.readFileHash()
+      };
+      logger.error('配置重新加载失败，继续使用上次成功加载的配置:', { source, error: error.message });
+      this.emit('reloadError', error);
       return false;
     }
   }
 
+  /**
+   * 监听配置文件（包括 include 的片段）变化并自动重新加载
+   */
+  watch() {
+    if (this.watchers) {
+      return;
+    }
+    this.watchers = new Map();
+    this.updateWatchers();
+    logger.info('已开始监听配置文件变化', { configPath: this.configPath, includedFiles: this.includedFiles });
+  }
+
+  /**
+   * 按当前的主配置文件和片段文件调整监听的目录
+   * @private
+   */
+  updateWatchers() {
+    // 监听所在目录而不是文件本身，编辑器以重命名方式保存时文件监听会失效
+    const directories = new Map();
+    [this.configPath, ...this.includedFiles].forEach(filePath => {
+      const dir = path.dirname(filePath);
+      if (!directories.has(dir)) {
+        directories.set(dir, new Set());
+      }
+      directories.get(dir).add(path.basename(filePath));
+    });
+
+    this.watchers.forEach((entry, dir) => {
+      if (!directories.has(dir)) {
+        entry.watcher.close();
+        this.watchers.delete(dir);
+      }
+    });
+
+    directories.forEach((names, dir) => {
+      const existing = this.watchers.get(dir);
+      if (existing) {
+        existing.names = names;
+        return;
+      }
+      try {
+        const entry = { names, watcher: null };
+        entry.watcher = fs.watch(dir, (eventType, filename) => {
+          if (filename && !entry.names.has(filename)) {
+            return;
+          }
+          clearTimeout(this.watchTimer);
+          this.watchTimer = setTimeout(() => this.handleFileChange(), WATCH_DEBOUNCE_MS);
+        });
+        entry.watcher.unref();
+        entry.watcher.on('error', (error) => {
+          logger.error('配置文件监听出错:', error);
+          this.unwatch();
+        });
+        this.watchers.set(dir, entry);
+      } catch (error) {
+        logger.error('监听配置文件失败:', { dir, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * 停止监听配置文件
+   */
+  unwatch() {
+    clearTimeout(this.watchTimer);
+    if (this.watchers) {
+      this.watchers.forEach(entry => entry.watcher.close());
+      this.watchers = null;
+    }
+  }
+
+  /**
+   * 配置文件变化时重新加载；内容与当前配置或上次失败的内容相同时跳过
+   * @private
+   */
+  handleFileChange() {
+    const fileHash = this.readFileHash();
+    if (!fileHash || fileHash === this.fileHash || fileHash === this.lastReloadError?.fileHash) {
+      return;
+    }
+    logger.info('检测到配置文件变化，重新加载配置');
+    this.reload('watch');
+  }
+
+  /**
+   * 计算主配置文件与片段文件当前内容的哈希，主配置文件不可读时返回null
+   * @private
+   * @returns {string|null}
+   */
+  readFileHash() {
+    let content;
+    try {
+      content = fs.readFileSync(this.configPath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+    const hash = crypto.createHash('sha1').update(content);
+    this.includedFiles.forEach(filePath => {
+      // 片段被删除时同样视为变化，重新加载会报告缺失的文件
+      hash.update(`\0${filePath}\0`);
+      try {
+        hash.update(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        hash.update('\0missing');
+      }
+    });
+    return hash.digest('hex');
+  }
+
+  /**
+   * 获取配置重新加载状态
+   * @returns {Object} 当前配置的加载时间、最近一次重新加载与错误信息
+   */
+  getReloadStatus() {
+    return {
+      configFile: this.configFile,
+      configPath: this.configPath,
+      format: this.format,
+      includedFiles: this.includedFiles.map(filePath => path.relative(path.dirname(this.configPath), filePath)),
+      watching: Boolean(this.watchers),
+      version: this.version,
+      loadedAt: this.loadedAt,
+      lastReload: this.lastReload,
+      lastError: this.lastReloadError
+        ? {
+          message: this.lastReloadError.message,
+          errors: this.lastReloadError.errors,
+          at: this.lastReloadError.at,
+          source: this.lastReloadError.source
+        }
+        : null,
+      // 最近一次重新加载失败时，当前生效的是上次成功加载的配置
+      usingLastKnownGood: Boolean(this.lastReloadError)
+    };
+  }
+
   /**
    * 获取配置信息
    */
@@ -280,44 +1014,103 @@ class ConfigLoader {
       cloudflareSensitiveHosts: this.cloudflareSensitiveHosts,
       cloudflareDefaultCookies: this.cloudflareDefaultCookies,
       youtubeDefaultCookies: this.youtubeDefaultCookies,
-      youtubeClientVersion: this.youtubeClientVersion
+      youtubeClientVersion: this.youtubeClientVersion,
+      defaultSite: this.defaultSite,
+      sites: this.sites,
+      pipelines: this.pipelines,
+      adminAuth: this.adminAuth,
+      accessGate: this.accessGate,
+      signedUrls: this.signedUrls,
+      cookieJars: this.cookieJars,
+      cookieStore: this.cookieStore,
+      destinationPolicy: this.destinationPolicy,
+      networkGuard: this.networkGuard,
+      rateLimits: this.rateLimits,
+      requestBodyLimit: this.requestBodyLimit,
+      errorPagesDir: this.errorPagesDir,
+      headerRules: this.headerRules,
+      cors: this.cors,
+      securityHeaders: this.securityHeaders
     };
   }
 
   /**
-   * 验证配置有效性
+   * 按 schema 验证配置文件内容，失败时抛出带有全部错误路径的 ConfigValidationError
+   * @returns {boolean} 验证通过时返回true
    */
   validateConfig() {
-    const errors = [];
+    const { errors, warnings } = validateConfigSchema(this.config);
 
-    if (!this.baseUpstream) {
-      errors.push('缺少base_upstream配置');
+    if (warnings.length > 0) {
+      logger.warn('配置中存在未知的配置项:', formatErrors(warnings));
     }
 
-    if (!Array.isArray(this.denyRequestList)) {
-      errors.push('deny_request必须是数组');
+    if (errors.length > 0) {
+      logger.error('配置验证失败:', formatErrors(errors));
+      throw new ConfigValidationError(errors);
     }
 
-    if (!Array.isArray(this.replaceList)) {
-      errors.push('replace_list必须是数组');
+    return true;
+  }
+
+  /**
+   * 检查候选配置能否加载，不影响当前生效的配置
+   * @param {Object} rawConfig 候选配置内容
+   * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+   */
+  checkConfig(rawConfig) {
+    let warnings = [];
+    try {
+      // 未知配置项的警告针对展开 include、替换环境变量之后的配置
+      warnings = validateConfigSchema(resolveConfig(rawConfig, this.getResolveOptions()).config).warnings;
+    } catch (error) {
+      // 展开失败的原因由下面的 createCandidate 报告
+    }
+    try {
+      this.createCandidate(rawConfig);
+      return { valid: true, errors: [], warnings };
+    } catch (error) {
+      const errors = error instanceof ConfigValidationError
+        ? error.errors
+        : [{ path: '$', message: error.message }];
+      return { valid: false, errors, warnings };
     }
+  }
 
-    this.replaceList.forEach((item, index) => {
-      if (!item.search || !item.replace) {
-        errors.push(`替换规则 ${index} 缺少search或replace字段`);
-      }
-      if (![1, 2].includes(item.matchType)) {
-        errors.push(`替换规则 ${index} matchType必须是1或2`);
-      }
-    });
+}
 
-    if (errors.length > 0) {
-      logger.error('配置验证失败:', errors);
-      throw new Error('配置验证失败: ' + errors.join(', '));
-    }
+// 解析产生的全部字段，加载成功时从候选实例整体替换到当前实例
+const STATE_FIELDS = (() => {
+  const state = {};
+  ConfigLoader.prototype.resetState.call(state);
+  return Object.keys(state);
+})();
 
-    return true;
+/**
+ * 规范化挂载点前缀：确保以 / 开头、不以 / 结尾，根路径视为无效
+ * @param {string} prefix 配置中的前缀
+ * @returns {string} 规范化后的前缀，无效时返回空字符串
+ */
+function normalizeMountPath(prefix) {
+  if (typeof prefix !== 'string') {
+    return '';
+  }
+  const trimmed = prefix.trim().replace(/\/+$/, '');
+  if (!trimmed) {
+    return '';
+  }
+  return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+/**
+ * 确定配置文件路径：环境变量 GPROXY_CONFIG（相对路径基于当前工作目录），否则为 config 目录下的默认文件
+ * @returns {string} 配置文件的绝对路径
+ */
+function resolveConfigPath() {
+  if (process.env.GPROXY_CONFIG) {
+    return path.resolve(process.env.GPROXY_CONFIG);
   }
+  return path.join(__dirname, DEFAULT_CONFIG_FILE);
 }
 
 // 创建单例实例
@@ -0,0 +1,719 @@
+/**
+ * 配置文件结构定义与验证
+ * 使用简化的 JSON Schema 风格描述配置结构，验证时收集全部错误并附带 JSON 路径，
+ * 例如 `replace_list[3].search: 无效的正则表达式`。
+ *
+ * 支持的关键字：type、properties、required、additionalProperties、items、enum、
+ * minLength、minimum、maximum、format（regex、url、path、cidr、size）、anyOf，以及自定义检查函数 check。
+ * 未在 properties 中声明的字段默认只产生警告，不阻止配置加载。
+ */
+
+const { isValidCidr } = require('../src/utils/ip-utils');
+const { isPasswordHash } = require('../src/utils/password');
+const { parseSize } = require('../src/utils/request-body');
+
+const REGEX_LIST = { type: 'array', items: { type: 'string', format: 'regex' } };
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+const NULLABLE_REGEX = { type: ['string', 'null'], format: 'regex' };
+// 字节数或带单位的大小，如 10mb
+const SIZE = { anyOf: [{ type: 'integer', minimum: 0 }, { type: 'string', format: 'size' }] };
+
+const replaceItemSchema = {
+  type: 'object',
+  required: ['search', 'replace', 'matchType'],
+  properties: {
+    search: { type: 'string', minLength: 1 },
+    replace: { type: 'string', minLength: 1 },
+    matchType: { enum: [1, 2] },
+    urlMatch: NULLABLE_REGEX,
+    urlExclude: NULLABLE_REGEX,
+    contentType: { type: ['string', 'null'] }
+  },
+  check(item) {
+    // 正则匹配的 search 必须是合法的正则表达式
+    if (item.matchType === 2 && typeof item.search === 'string' && !isValidRegex(item.search)) {
+      return [{ path: 'search', message: '无效的正则表达式' }];
+    }
+    return [];
+  }
+};
+
+const denyRuleSchema = {
+  anyOf: [
+    { type: 'string', format: 'regex' },
+    {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        host: { anyOf: [{ type: 'string', minLength: 1 }, { type: 'array', items: { type: 'string', minLength: 1 } }] },
+        path: { type: 'string', format: 'regex' },
+        methods: STRING_LIST,
+        headers: { type: 'object', additionalProperties: { type: 'string', format: 'regex' } },
+        client: { anyOf: [{ type: 'string', format: 'cidr' }, { type: 'array', items: { type: 'string', format: 'cidr' } }] },
+        response: {
+          type: 'object',
+          properties: {
+            status: { type: 'integer', minimum: 100, maximum: 599 },
+            body: { type: 'string' },
+            contentType: { type: 'string' },
+            headers: { type: 'object', additionalProperties: { type: 'string' } },
+            redirect: { type: 'string', minLength: 1 }
+          },
+          check(response) {
+            if (response.redirect && response.status !== undefined && (response.status < 300 || response.status > 399)) {
+              return [{ path: 'status', message: '重定向的状态码必须是3xx' }];
+            }
+            return [];
+          }
+        }
+      },
+      check(rule) {
+        const conditions = ['host', 'path', 'methods', 'headers', 'client'];
+        return conditions.some(key => rule[key] !== undefined)
+          ? []
+          : [{ path: [], message: `至少需要一个匹配条件（${conditions.join('、')}）` }];
+      }
+    }
+  ]
+};
+
+const corsSchema = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    allow_origins: STRING_LIST,
+    allow_origin_patterns: REGEX_LIST,
+    reflect_origin: { type: 'boolean' },
+    allow_credentials: { type: 'boolean' },
+    allow_methods: STRING_LIST,
+    allow_headers: { type: ['array', 'null'], items: { type: 'string' } },
+    expose_headers: STRING_LIST,
+    max_age: { type: 'integer', minimum: 0 },
+    handle_preflight: { type: 'boolean' }
+  },
+  check(cors) {
+    // 浏览器不接受 `*` 与凭据同时出现
+    if (cors.allow_credentials === true && Array.isArray(cors.allow_origins) && cors.allow_origins.includes('*')) {
+      return [{ path: 'allow_origins', message: 'allow_credentials 为 true 时不能使用 *，请列出具体的来源或使用 reflect_origin' }];
+    }
+    return [];
+  }
+};
+
+const securityHeadersSchema = {
+  type: 'object',
+  properties: {
+    mode: { enum: ['strip', 'rewrite'] },
+    inject_script: { enum: ['nonce', 'hash'] }
+  }
+};
+
+// 站点与挂载点共用的字段
+const siteFields = {
+  base_upstream: { type: 'string', format: 'url' },
+  home_path: { type: 'string', format: 'path' },
+  deny_request: { type: 'array', items: denyRuleSchema },
+  replace_list: { type: 'array', items: replaceItemSchema },
+  cors: corsSchema,
+  security_headers: securityHeadersSchema
+};
+
+const mountSchema = {
+  type: 'object',
+  required: ['base_upstream'],
+  properties: siteFields
+};
+
+const mountsSchema = {
+  type: 'object',
+  additionalProperties: mountSchema,
+  check(mounts) {
+    return Object.keys(mounts)
+      .filter(prefix => !prefix.replace(/\/+$/, '').trim())
+      .map(prefix => ({ path: [prefix], message: '挂载前缀不能为空或根路径' }));
+  }
+};
+
+const siteSchema = {
+  type: 'object',
+  properties: {
+    ...siteFields,
+    mounts: mountsSchema
+  }
+};
+
+const handlerListSchema = {
+  type: 'array',
+  items: {
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      {
+        type: 'object',
+        required: ['handler'],
+        properties: {
+          handler: { type: 'string', minLength: 1 },
+          order: { type: 'number' }
+        }
+      }
+    ]
+  }
+};
+
+const ADMIN_ROLES = ['readonly', 'admin'];
+
+const PASSWORD_HASH = {
+  type: 'string',
+  check(value) {
+    return isPasswordHash(value) ? [] : [{ path: [], message: '无效的密码哈希，请使用 npm run hash-password 生成' }];
+  }
+};
+
+const SESSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    secret: { type: 'string', minLength: 16 },
+    ttl: { type: 'integer', minimum: 60 }
+  }
+};
+
+const adminAuthSchema = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    methods: { type: 'array', items: { enum: ['bearer', 'basic', 'session'] } },
+    tokens: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          name: { type: 'string' },
+          token: { type: 'string', minLength: 16 },
+          role: { enum: ADMIN_ROLES }
+        }
+      }
+    },
+    users: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['username', 'password_hash'],
+        properties: {
+          username: { type: 'string', minLength: 1 },
+          password_hash: PASSWORD_HASH,
+          role: { enum: ADMIN_ROLES }
+        }
+      },
+      check(users) {
+        const seen = new Set();
+        const errors = [];
+        users.forEach((user, index) => {
+          if (user && typeof user.username === 'string') {
+            if (seen.has(user.username)) {
+              errors.push({ path: [index, 'username'], message: '用户名重复' });
+            }
+            seen.add(user.username);
+          }
+        });
+        return errors;
+      }
+    },
+    session: SESSION_SCHEMA
+  },
+  check(auth) {
+    const hasTokens = Array.isArray(auth.tokens) && auth.tokens.length > 0;
+    const hasUsers = Array.isArray(auth.users) && auth.users.length > 0;
+    if (auth.enabled !== false && !hasTokens && !hasUsers) {
+      return [{ path: [], message: '启用管理认证时至少需要配置 tokens 或 users' }];
+    }
+    return [];
+  }
+};
+
+const accessGateSchema = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    password_hash: PASSWORD_HASH,
+    session: SESSION_SCHEMA,
+    key_header: {
+      type: 'string',
+      check(value) {
+        return /^[A-Za-z0-9-]+$/.test(value) ? [] : [{ path: [], message: '无效的请求头名称' }];
+      }
+    },
+    key_query: { type: 'string', minLength: 1 },
+    exempt_paths: REGEX_LIST
+  }
+};
+
+// 域名（example.com）、通配符（*.example.com、*）或 IP/CIDR
+const DESTINATION_LIST = {
+  type: 'array',
+  items: {
+    type: 'string',
+    check(value) {
+      const valid = value === '*' || isValidCidr(value) || /^(\*\.)?[a-z0-9_-]+(\.[a-z0-9_-]+)*\.?$/i.test(value);
+      return valid ? [] : [{ path: [], message: '必须是域名、*.域名 或 IP/CIDR' }];
+    }
+  }
+};
+
+const destinationPolicySchema = {
+  type: 'object',
+  properties: {
+    allow: DESTINATION_LIST,
+    deny: DESTINATION_LIST,
+    blocklist_files: { type: 'array', items: { type: 'string', minLength: 1 } }
+  }
+};
+
+const HEADER_VALUES = { type: 'object', additionalProperties: { type: 'string' } };
+
+const headerRulesSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['direction'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      direction: { enum: ['request', 'response'] },
+      host: { anyOf: [{ type: 'string', minLength: 1 }, { type: 'array', items: { type: 'string', minLength: 1 } }] },
+      path: { type: 'string', format: 'regex' },
+      content_type: { type: 'string', format: 'regex' },
+      set: HEADER_VALUES,
+      append: HEADER_VALUES,
+      remove: { type: 'array', items: { type: 'string', minLength: 1 } },
+      replace: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['header', 'pattern'],
+          properties: {
+            header: { type: 'string', minLength: 1 },
+            pattern: { type: 'string', format: 'regex' },
+            replacement: { type: 'string' }
+          }
+        }
+      },
+      keep: { type: 'array', items: { type: 'string', minLength: 1 } }
+    },
+    check(rule) {
+      const operations = ['set', 'append', 'remove', 'replace', 'keep'];
+      if (!operations.some(key => rule[key] !== undefined)) {
+        return [{ path: [], message: `至少需要一个操作（${operations.join('、')}）` }];
+      }
+      // keep 从上游的原始响应中恢复头部，只用于响应
+      if (rule.keep !== undefined && rule.direction === 'request') {
+        return [{ path: 'keep', message: 'keep 只能用于响应头部' }];
+      }
+      return [];
+    }
+  }
+};
+
+const CIDR_LIST = { type: 'array', items: { type: 'string', format: 'cidr' } };
+
+const networkGuardSchema = {
+  type: 'object',
+  properties: {
+    blocked_networks: CIDR_LIST,
+    allowed_networks: CIDR_LIST
+  }
+};
+
+const rateLimitsSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['key', 'rate'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      key: { enum: ['ip', 'api_key', 'host'] },
+      mode: { enum: ['base', 'global'] },
+      path: { type: 'string', format: 'regex' },
+      rate: {
+        type: 'number',
+        check(value) {
+          return value > 0 ? [] : [{ path: [], message: '必须大于0' }];
+        }
+      },
+      burst: { type: 'integer', minimum: 1 }
+    }
+  },
+  check(rules) {
+    // 计数和令牌桶按规则名保存，名称不能重复
+    const seen = new Set();
+    const errors = [];
+    rules.forEach((rule, index) => {
+      const name = rule && rule.name;
+      if (typeof name !== 'string') {
+        return;
+      }
+      if (seen.has(name)) {
+        errors.push({ path: [index, 'name'], message: `规则名称重复: ${name}` });
+      }
+      seen.add(name);
+    });
+    return errors;
+  }
+};
+
+const signedUrlsSchema = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    secret: { type: 'string', minLength: 16 },
+    ttl: { type: 'integer', minimum: 60 }
+  }
+};
+
+const cookieJarsSchema = {
+  type: 'object',
+  properties: {
+    secret: { type: 'string', minLength: 16 },
+    idle_ttl: { type: 'integer', minimum: 60 },
+    max_jars: { type: 'integer', minimum: 1 }
+  }
+};
+
+const cookieStoreSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', minLength: 1 },
+    path: { type: 'string', minLength: 1 },
+    key: { type: 'string', minLength: 16 },
+    flush_interval: { type: 'integer', minimum: 1 }
+  },
+  check(store) {
+    // 默认的文件存储需要加密密钥
+    if ((store.type === undefined || store.type === 'file') && !store.key) {
+      return [{ path: 'key', message: '文件存储需要配置加密密钥 key' }];
+    }
+    return [];
+  }
+};
+
+const configSchema = {
+  type: 'object',
+  properties: {
+    ...siteFields,
+    global_proxy_path: {
+      type: 'string',
+      minLength: 1,
+      check(value) {
+        return value.includes('/') ? [{ path: [], message: '不能包含斜杠' }] : [];
+      }
+    },
+    mounts: mountsSchema,
+    sites: { type: 'object', additionalProperties: siteSchema },
+    custom_handlers: {
+      type: 'array',
+      items: {
+        anyOf: [
+          { type: 'string', minLength: 1 },
+          {
+            type: 'object',
+            required: ['module'],
+            properties: {
+              module: { type: 'string', minLength: 1 },
+              name: { type: 'string' },
+              enabled: { type: 'boolean' },
+              options: { type: 'object', additionalProperties: true },
+              order: { type: 'object', additionalProperties: { type: 'number' } },
+              modes: { type: 'array', items: { enum: ['base', 'global'] } },
+              sites: STRING_LIST
+            }
+          }
+        ]
+      }
+    },
+    pipelines: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          mode: { enum: ['base', 'global'] },
+          host: { type: 'string', minLength: 1 },
+          site: { type: 'string' },
+          path: { type: 'string', format: 'regex' },
+          stream: { type: 'boolean' },
+          body_limit: SIZE,
+          pre: handlerListSchema,
+          post: handlerListSchema
+        }
+      }
+    },
+    cloudflare_protected_hosts: STRING_LIST,
+    media_request_url_patterns: REGEX_LIST,
+    large_file_url_patterns: REGEX_LIST,
+    stream_processing_url_patterns: REGEX_LIST,
+    cloudflare_sensitive_hosts: STRING_LIST,
+    cloudflare_default_cookies: STRING_LIST,
+    youtube_default_cookies: STRING_LIST,
+    youtube_client_version: { type: 'string' },
+    admin_auth: adminAuthSchema,
+    access_gate: accessGateSchema,
+    signed_urls: signedUrlsSchema,
+    cookie_jars: cookieJarsSchema,
+    cookie_store: cookieStoreSchema,
+    destination_policy: destinationPolicySchema,
+    network_guard: networkGuardSchema,
+    rate_limits: rateLimitsSchema,
+    request_body_limit: SIZE,
+    error_pages_dir: { type: 'string', minLength: 1 },
+    header_rules: headerRulesSchema
+  },
+  check(config) {
+    const errors = [];
+    const hasSites = config.sites && typeof config.sites === 'object' && Object.keys(config.sites).length > 0;
+    if (!config.base_upstream && !hasSites) {
+      errors.push({ path: ['base_upstream'], message: '缺少base_upstream或sites配置' });
+    }
+
+    // 挂载点不能占用全局代理路径
+    const globalProxyPath = typeof config.global_proxy_path === 'string' ? config.global_proxy_path : 'proxy-dGltZWhv';
+    const checkMounts = (mounts, basePath) => {
+      if (!mounts || typeof mounts !== 'object') {
+        return;
+      }
+      Object.keys(mounts).forEach(prefix => {
+        const mountPath = `/${prefix.trim().replace(/^\/+|\/+$/g, '')}`;
+        if (mountPath === `/${globalProxyPath}` || mountPath.startsWith(`/${globalProxyPath}/`)) {
+          errors.push({ path: [...basePath, 'mounts', prefix], message: '与全局代理路径冲突' });
+        }
+      });
+    };
+    checkMounts(config.mounts, []);
+    if (hasSites) {
+      Object.entries(config.sites).forEach(([hostPattern, site]) => {
+        if (!site || typeof site !== 'object') {
+          return;
+        }
+        if (!site.base_upstream && !config.base_upstream) {
+          errors.push({ path: ['sites', hostPattern, 'base_upstream'], message: '站点缺少base_upstream配置' });
+        }
+        checkMounts(site.mounts, ['sites', hostPattern]);
+      });
+    }
+    return errors;
+  }
+};
+
+/**
+ * 判断字符串是否为合法的正则表达式
+ * @param {string} pattern 正则表达式源码
+ * @returns {boolean}
+ */
+function isValidRegex(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 获取值的 schema 类型名称
+ * @param {*} value 任意值
+ * @returns {string} null、array、integer、number、string、boolean、object 等
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * 将路径片段格式化为 JSON 路径，如 sites["*.example.com"].replace_list[3].search
+ * @param {Array<string|number>} segments 路径片段
+ * @returns {string} JSON 路径，根节点为 $
+ */
+function formatPath(segments) {
+  if (segments.length === 0) {
+    return '$';
+  }
+  return segments.reduce((result, segment) => {
+    if (typeof segment === 'number') {
+      return `${result}[${segment}]`;
+    }
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) {
+      return result ? `${result}.${segment}` : segment;
+    }
+    return `${result}[${JSON.stringify(segment)}]`;
+  }, '');
+}
+
+/**
+ * 检查 format 关键字
+ * @param {string} format 格式名称
+ * @param {string} value 字符串值
+ * @returns {string|null} 错误信息
+ */
+function checkFormat(format, value) {
+  switch (format) {
+    case 'regex':
+      return isValidRegex(value) ? null : '无效的正则表达式';
+    case 'url':
+      try {
+        const parsedUrl = new URL(value);
+        return ['http:', 'https:'].includes(parsedUrl.protocol) ? null : 'URL必须使用http或https协议';
+      } catch (error) {
+        return '无效的URL';
+      }
+    case 'path':
+      return value.startsWith('/') ? null : '路径必须以/开头';
+    case 'cidr':
+      return isValidCidr(value) ? null : '无效的IP或CIDR';
+    case 'size':
+      return parseSize(value) === null ? '无效的大小，应为字节数或带单位（b、kb、mb、gb）的字符串' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 按 schema 递归验证，错误与警告写入 result
+ * @param {*} value 待验证的值
+ * @param {Object} schema schema 定义
+ * @param {Array<string|number>} segments 当前路径片段
+ * @param {{errors: Object[], warnings: Object[]}} result 验证结果
+ */
+function validateNode(value, schema, segments, result) {
+  const addError = (message, extraSegments = []) => {
+    result.errors.push({ path: formatPath([...segments, ...extraSegments]), message });
+  };
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => {
+      const attempt = { errors: [], warnings: [] };
+      validateNode(value, option, segments, attempt);
+      return attempt.errors.length === 0;
+    });
+    if (!matched) {
+      // 只有一个候选的类型与值相符时，报告该候选的详细错误
+      const candidates = schema.anyOf.filter(option => !option.type || [].concat(option.type).includes(typeOf(value)));
+      if (candidates.length === 1) {
+        validateNode(value, candidates[0], segments, result);
+      } else {
+        addError(`类型必须是 ${schema.anyOf.map(option => [].concat(option.type || 'any').join('|')).join(' 或 ')}`);
+      }
+    }
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    addError(`必须是以下值之一: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actualType = typeOf(value);
+    const typeMatches = types.includes(actualType) || (types.includes('integer') && Number.isInteger(value));
+    if (!typeMatches) {
+      addError(`类型必须是 ${types.join('|')}，实际为 ${actualType}`);
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      addError(schema.minLength === 1 ? '不能为空' : `长度不能小于 ${schema.minLength}`);
+      return;
+    }
+    if (schema.format) {
+      const formatError = checkFormat(schema.format, value);
+      if (formatError) {
+        addError(formatError);
+        return;
+      }
+    }
+  }
+
+  if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+    addError(`不能小于 ${schema.minimum}`);
+    return;
+  }
+  if (typeof value === 'number' && typeof schema.maximum === 'number' && value > schema.maximum) {
+    addError(`不能大于 ${schema.maximum}`);
+    return;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, [...segments, index], result));
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        addError('缺少必填字段', [key]);
+      }
+    });
+    Object.entries(value).forEach(([key, childValue]) => {
+      if (childValue === undefined) {
+        return;
+      }
+      if (schema.properties && schema.properties[key]) {
+        if (childValue === null && !allowsNull(schema.properties[key])) {
+          // 可选字段显式写为 null 时视为未设置（必填字段已在上面报告）
+          return;
+        }
+        validateNode(childValue, schema.properties[key], [...segments, key], result);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(childValue, schema.additionalProperties, [...segments, key], result);
+      } else if (schema.properties && schema.additionalProperties !== true) {
+        result.warnings.push({ path: formatPath([...segments, key]), message: '未知的配置项' });
+      }
+    });
+  }
+
+  // 类型、格式不符时已在上面提前返回，这里的值至少具有正确的类型
+  if (typeof schema.check === 'function') {
+    schema.check(value).forEach(({ path, message }) => {
+      addError(message, [].concat(path));
+    });
+  }
+}
+
+/**
+ * 判断 schema 是否允许 null
+ * @param {Object} schema schema 定义
+ * @returns {boolean}
+ */
+function allowsNull(schema) {
+  return [].concat(schema.type || []).includes('null');
+}
+
+/**
+ * 验证配置对象
+ * @param {Object} config 配置文件内容
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+function validateConfigSchema(config) {
+  const result = { errors: [], warnings: [] };
+  validateNode(config, configSchema, [], result);
+  return { valid: result.errors.length === 0, ...result };
+}
+
+/**
+ * 将错误列表格式化为 `路径: 信息` 形式的字符串
+ * @param {Array<{path: string, message: string}>} errors 错误列表
+ * @returns {string[]}
+ */
+function formatErrors(errors) {
+  return errors.map(({ path, message }) => `${path}: ${message}`);
+}
+
+module.exports = {
+  configSchema,
+  validateConfigSchema,
+  formatErrors,
+  formatPath
+};
@@ -0,0 +1,239 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ConfigurationError, ConfigValidationError } = require('../src/utils/errors');
+const { formatPath } = require('./config-schema');
+
+// include 嵌套的最大深度，防止片段之间意外形成过深的引用链
+const MAX_INCLUDE_DEPTH = 10;
+
+// ${VAR}、${VAR:-默认值}，$${...} 表示不做替换的字面量
+const ENV_PATTERN = /\$(\$)?\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * 根据扩展名判断配置文件格式
+ * @param {string} filePath 文件路径
+ * @returns {'yaml'|'json'} 文件格式
+ */
+function detectFormat(filePath) {
+  return /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+}
+
+/**
+ * 解析配置文件内容
+ * @param {string} content 文件内容
+ * @param {'yaml'|'json'} format 文件格式
+ * @returns {*} 解析结果
+ */
+function parseContent(content, format) {
+  if (format === 'yaml') {
+    return yaml.load(content) ?? {};
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * 按文件格式序列化配置文档
+ * @param {Object} document 配置文档
+ * @param {'yaml'|'json'} format 文件格式
+ * @returns {string} 文件内容
+ */
+function serializeContent(document, format) {
+  if (format === 'yaml') {
+    return yaml.dump(document, { lineWidth: -1, noRefs: true });
+  }
+  return JSON.stringify(document, null, 2);
+}
+
+/**
+ * 读取并解析配置文件（不展开 include，不替换环境变量）
+ * @param {string} filePath 文件路径
+ * @returns {{document: *, content: string, format: string}} 解析结果与原始内容
+ */
+function readDocument(filePath) {
+  const format = detectFormat(filePath);
+  const content = fs.readFileSync(filePath, 'utf8');
+  try {
+    return { document: parseContent(content, format), content, format };
+  } catch (error) {
+    throw new ConfigurationError(`解析配置文件失败 ${filePath}: ${error.message}`, error);
+  }
+}
+
+/**
+ * 展开配置文档中的 include 并替换环境变量，得到最终生效的配置。
+ *
+ * - 任意对象中的 `include`（字符串或数组）引用 YAML/JSON 片段，路径相对于引用它的文件；
+ *   片段必须位于主配置文件所在目录（baseDir）之内，不允许绝对路径或通过 `..`、符号链接跳出该目录；
+ *   片段先按声明顺序合并，再与对象自身的字段合并：对象逐字段合并，数组按片段在前的顺序拼接，其余值以自身为准。
+ * - 字符串中的 `${VAR}` 替换为环境变量，`${VAR:-默认值}` 在变量未设置或为空时使用默认值，
+ *   `$${VAR}` 保留为字面量 `${VAR}`。替换结果始终是字符串。
+ *
+ * @param {Object} document 主配置文件的内容
+ * @param {Object} options 选项
+ * @param {string} options.baseDir 主配置文件所在目录
+ * @param {string} [options.rootFile] 主配置文件路径，用于发现片段对主配置文件的循环引用
+ * @param {Object} [options.env=process.env] 环境变量
+ * @returns {{config: Object, files: string[]}} 生效的配置与引用到的片段文件（绝对路径）
+ * @throws {ConfigValidationError} 片段不存在、超出配置目录、循环引用或环境变量未设置时抛出，错误带有 JSON 路径
+ */
+function resolveConfig(document, { baseDir, rootFile, env = process.env }) {
+  const errors = [];
+  const files = new Set();
+  const rootDir = path.resolve(baseDir);
+
+  const resolveIncludes = (value, dir, stack, segments) => {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => resolveIncludes(item, dir, stack, [...segments, index]));
+    }
+    if (!isPlainObject(value)) {
+      return value;
+    }
+
+    const { include, ...own } = value;
+    let merged = {};
+    if (include !== undefined) {
+      const includeList = [].concat(include);
+      includeList.forEach((includePath, index) => {
+        const includeSegments = Array.isArray(include) ? [...segments, 'include', index] : [...segments, 'include'];
+        const fragment = loadFragment(includePath, dir, stack, includeSegments);
+        if (fragment !== undefined) {
+          merged = mergeConfig(merged, fragment);
+        }
+      });
+    }
+
+    const resolvedOwn = {};
+    Object.entries(own).forEach(([key, child]) => {
+      resolvedOwn[key] = resolveIncludes(child, dir, stack, [...segments, key]);
+    });
+    return mergeConfig(merged, resolvedOwn);
+  };
+
+  const loadFragment = (includePath, dir, stack, segments) => {
+    if (typeof includePath !== 'string' || !includePath) {
+      errors.push({ path: formatPath(segments), message: 'include 必须是文件路径' });
+      return undefined;
+    }
+    if (path.isAbsolute(includePath)) {
+      errors.push({ path: formatPath(segments), message: `include 不能使用绝对路径: ${includePath}` });
+      return undefined;
+    }
+    const fragmentPath = path.resolve(dir, includePath);
+    if (!isInsideDir(rootDir, fragmentPath)) {
+      errors.push({ path: formatPath(segments), message: `include 不能引用配置目录之外的文件: ${includePath}` });
+      return undefined;
+    }
+    if (stack.includes(fragmentPath)) {
+      errors.push({ path: formatPath(segments), message: `循环引用: ${includePath}` });
+      return undefined;
+    }
+    if (stack.length > MAX_INCLUDE_DEPTH) {
+      errors.push({ path: formatPath(segments), message: `include 嵌套超过 ${MAX_INCLUDE_DEPTH} 层` });
+      return undefined;
+    }
+    if (!fs.existsSync(fragmentPath)) {
+      errors.push({ path: formatPath(segments), message: `片段文件不存在: ${includePath}` });
+      return undefined;
+    }
+    // 符号链接可能指向配置目录之外，按真实路径再检查一次
+    if (!isInsideDir(fs.realpathSync(rootDir), fs.realpathSync(fragmentPath))) {
+      errors.push({ path: formatPath(segments), message: `include 不能引用配置目录之外的文件: ${includePath}` });
+      return undefined;
+    }
+
+    let fragment;
+    try {
+      fragment = readDocument(fragmentPath).document;
+    } catch (error) {
+      errors.push({ path: formatPath(segments), message: error.message });
+      return undefined;
+    }
+    files.add(fragmentPath);
+    if (!isPlainObject(fragment)) {
+      errors.push({ path: formatPath(segments), message: `片段文件内容必须是对象: ${includePath}` });
+      return undefined;
+    }
+    // 片段内部的路径相对于片段文件本身
+    return resolveIncludes(fragment, path.dirname(fragmentPath), [...stack, fragmentPath], segments);
+  };
+
+  const interpolate = (value, segments) => {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => interpolate(item, [...segments, index]));
+    }
+    if (isPlainObject(value)) {
+      const result = {};
+      Object.entries(value).forEach(([key, child]) => {
+        result[key] = interpolate(child, [...segments, key]);
+      });
+      return result;
+    }
+    if (typeof value !== 'string' || !value.includes('${')) {
+      return value;
+    }
+    return value.replace(ENV_PATTERN, (match, escaped, name, defaultValue) => {
+      if (escaped) {
+        return match.slice(1);
+      }
+      const envValue = env[name];
+      if (envValue !== undefined && envValue !== '') {
+        return envValue;
+      }
+      if (defaultValue !== undefined) {
+        return defaultValue;
+      }
+      errors.push({ path: formatPath(segments), message: `环境变量未设置: ${name}` });
+      return match;
+    });
+  };
+
+  const config = interpolate(resolveIncludes(document, baseDir, rootFile ? [rootFile] : [], []), []);
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+  return { config, files: [...files] };
+}
+
+/**
+ * 合并两份配置：对象逐字段合并，数组拼接，其余值以 override 为准
+ * @param {*} base 基础配置
+ * @param {*} override 覆盖配置
+ * @returns {*} 合并结果
+ */
+function mergeConfig(base, override) {
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return [...base, ...override];
+  }
+  if (isPlainObject(base) && isPlainObject(override)) {
+    const result = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+      result[key] = Object.prototype.hasOwnProperty.call(base, key) ? mergeConfig(base[key], value) : value;
+    });
+    return result;
+  }
+  return override;
+}
+
+/**
+ * 判断路径是否位于目录之内
+ * @param {string} dir 目录（绝对路径）
+ * @param {string} target 路径（绝对路径）
+ * @returns {boolean}
+ */
+function isInsideDir(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  detectFormat,
+  parseContent,
+  serializeContent,
+  readDocument,
+  resolveConfig
+};
@@ -0,0 +1,58 @@
+/**
+ * 示例插件：为上游请求和代理响应设置/删除自定义头部
+ *
+ * 配置示例：
+ *   "custom_handlers": [
+ *     {
+ *       "module": "custom-headers",
+ *       "options": {
+ *         "request": { "x-forwarded-by": "gproxy" },
+ *         "response": { "x-proxy-by": "gproxy", "x-frame-options": null }
+ *       }
+ *     }
+ *   ]
+ *
+ * 值为 null 的头部会被删除。
+ */
+
+/**
+ * 将头部规则应用到头部对象上
+ * @param {Object} headers 头部对象
+ * @param {Object} rules 头部名称 => 值（null表示删除）
+ */
+function applyHeaderRules(headers, rules) {
+  Object.entries(rules).forEach(([name, value]) => {
+    const headerName = name.toLowerCase();
+    if (value === null) {
+      delete headers[headerName];
+    } else {
+      headers[headerName] = String(value);
+    }
+  });
+}
+
+module.exports = {
+  name: 'custom-headers',
+
+  register(api, options) {
+    const requestRules = options.request || {};
+    const responseRules = options.response || {};
+
+    if (Object.keys(requestRules).length > 0) {
+      // 在内置 preHandler（500）之后执行，避免被其覆盖
+      api.registerPreHandler('requestHeaders', (upstream, proxyRequest) => {
+        applyHeaderRules(proxyRequest.headers, requestRules);
+        return proxyRequest;
+      }, { order: 550 });
+    }
+
+    if (Object.keys(responseRules).length > 0) {
+      // 在 postOptimizeHeadersHandler（500）之后执行
+      api.registerPostHandler('responseHeaders', (upstream, proxyResponse) => {
+        proxyResponse.headers = proxyResponse.headers || {};
+        applyHeaderRules(proxyResponse.headers, responseRules);
+        return proxyResponse;
+      }, { order: 550 });
+    }
+  }
+};
@@ -0,0 +1,56 @@
+const express = require('express');
+const path = require('path');
+const accessGate = require('../src/access-gate');
+const logger = require('../src/utils/logger');
+const { parseJsonBody } = require('../src/utils/request-body');
+const { RateLimitError } = require('../src/utils/errors');
+
+// 代理访问登录与退出，挂载在 /__gproxy，位于访问控制中间件之前
+const router = express.Router();
+
+// 登录页
+router.get('/login', (req, res) => {
+  if (!accessGate.isLoginEnabled()) {
+    return res.status(404).json({ error: '未启用访问密码登录' });
+  }
+  res.sendFile(path.join(__dirname, '..', 'static', 'gate-login.html'));
+});
+
+// 登录，请求体为 { "password": "..." }
+router.post('/login', async (req, res) => {
+  if (!accessGate.isLoginEnabled()) {
+    return res.status(404).json({ error: '未启用访问密码登录' });
+  }
+  let body;
+  try {
+    body = parseJsonBody(req);
+  } catch (error) {
+    return res.status(400).json({ error: `无效的JSON: ${error.message}` });
+  }
+  if (!body || typeof body.password !== 'string') {
+    return res.status(400).json({ error: '需要访问密码' });
+  }
+
+  try {
+    const success = await accessGate.login(req, res, body.password);
+    if (!success) {
+      return res.status(401).json({ error: '访问密码错误' });
+    }
+    res.json({ message: '登录成功' });
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({ error: '登录失败次数过多，请稍后重试', retryAfter: error.retryAfter });
+    }
+    logger.error('代理访问登录失败:', error);
+    res.status(500).json({ error: '登录失败' });
+  }
+});
+
+// 退出登录
+router.post('/logout', (req, res) => {
+  accessGate.logout(res);
+  res.json({ message: '已退出登录' });
+});
+
+module.exports = router;
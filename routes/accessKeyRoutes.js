@@ -0,0 +1,62 @@
+const express = require('express');
+const accessKeyStore = require('../src/access-key-store');
+const logger = require('../src/utils/logger');
+const { parseJsonBody } = require('../src/utils/request-body');
+
+// 代理访问API密钥管理，挂载在管理接口的 /access/keys 下
+const router = express.Router();
+
+// 列出密钥（不含密钥明文和哈希）
+router.get('/', (req, res) => {
+  try {
+    res.json({ keys: accessKeyStore.list() });
+  } catch (error) {
+    logger.error('获取访问密钥失败:', error);
+    res.status(500).json({ error: '获取访问密钥失败' });
+  }
+});
+
+// 创建密钥，请求体为 { "name": "...", "expiresAt": "2025-01-01T00:00:00Z" }；密钥明文只在这里返回一次
+router.post('/', (req, res) => {
+  let body;
+  try {
+    body = parseJsonBody(req) || {};
+  } catch (error) {
+    return res.status(400).json({ error: `无效的JSON: ${error.message}` });
+  }
+  if (typeof body.name !== 'string' || !body.name.trim()) {
+    return res.status(400).json({ error: '需要密钥名称' });
+  }
+  let expiresAt = null;
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    const timestamp = Date.parse(body.expiresAt);
+    if (Number.isNaN(timestamp) || timestamp <= Date.now()) {
+      return res.status(400).json({ error: 'expiresAt 必须是将来的时间' });
+    }
+    expiresAt = new Date(timestamp).toISOString();
+  }
+
+  try {
+    const { key, info } = accessKeyStore.create({ name: body.name.trim(), expiresAt });
+    res.status(201).json({ message: '访问密钥已创建，请立即保存，之后无法再次查看', key, info });
+  } catch (error) {
+    logger.error('创建访问密钥失败:', error);
+    res.status(500).json({ error: '创建访问密钥失败' });
+  }
+});
+
+// 删除密钥，立即失效
+router.delete('/:id', (req, res) => {
+  try {
+    const info = accessKeyStore.remove(req.params.id);
+    if (!info) {
+      return res.status(404).json({ error: '访问密钥不存在' });
+    }
+    res.json({ message: '访问密钥已删除', info });
+  } catch (error) {
+    logger.error('删除访问密钥失败:', error);
+    res.status(500).json({ error: '删除访问密钥失败' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const path = require('path');
+const adminAuth = require('../src/admin-auth');
+const logger = require('../src/utils/logger');
+const { parseJsonBody } = require('../src/utils/request-body');
+const { RateLimitError } = require('../src/utils/errors');
+
+// 登录与退出，不需要认证；挂载在管理接口的认证中间件之前
+const router = express.Router();
+
+// 登录页
+router.get('/login', (req, res) => {
+  if (!adminAuth.isSessionEnabled()) {
+    return res.status(404).json({ error: '未启用会话登录' });
+  }
+  res.sendFile(path.join(__dirname, '..', 'static', 'admin-login.html'));
+});
+
+// 登录，请求体为 { "username": "...", "password": "..." }
+router.post('/login', async (req, res) => {
+  if (!adminAuth.isSessionEnabled()) {
+    return res.status(404).json({ error: '未启用会话登录' });
+  }
+  let body;
+  try {
+    body = parseJsonBody(req);
+  } catch (error) {
+    return res.status(400).json({ error: `无效的JSON: ${error.message}` });
+  }
+  if (!body || typeof body.username !== 'string' || typeof body.password !== 'string') {
+    return res.status(400).json({ error: '需要用户名和密码' });
+  }
+  // 登录请求还没有管理员身份，审计日志以登录的用户名作为操作者
+  res.locals.auditActor = body.username;
+
+  try {
+    const user = await adminAuth.login(req, res, body.username, body.password);
+    if (!user) {
+      return res.status(401).json({ error: '用户名或密码错误' });
+    }
+    res.json({ message: '登录成功', user });
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({ error: '登录失败次数过多，请稍后重试', retryAfter: error.retryAfter });
+    }
+    logger.error('管理界面登录失败:', error);
+    res.status(500).json({ error: '登录失败' });
+  }
+});
+
+// 退出登录
+router.post('/logout', (req, res) => {
+  adminAuth.logout(res);
+  res.json({ message: '已退出登录' });
+});
+
+module.exports = router;
@@ -3,10 +3,59 @@ const path = require('path');
 const configLoader = require('../config/config-loader');
 const connectionManager = require('../src/utils/connection-manager');
 const logger = require('../src/utils/logger');
-const { warmupConnectionPool } = require('../src/proxy-handler'); // 确保引入
+const pluginLoader = require('../src/plugin-loader');
+const pipelineResolver = require('../src/pipeline-resolver');
+const { Upstream } = require('../src/entities');
+const { parseJsonBody } = require('../src/utils/request-body');
+const adminAuth = require('../src/admin-auth');
+const replaceRulesRoutes = require('./replaceRulesRoutes');
+const adminAuthRoutes = require('./adminAuthRoutes');
+const accessKeyRoutes = require('./accessKeyRoutes');
+const accessGate = require('../src/access-gate');
+const destinationPolicy = require('../src/destination-policy');
+const networkGuard = require('../src/utils/network-guard');
+const rateLimiter = require('../src/rate-limiter');
+const auditLog = require('../src/audit-log');
+const { diffConfig } = require('../config/config-history');
+const { ConfigValidationError } = require('../src/utils/errors');
 
 const router = express.Router();
 
+// 修改类的管理请求（包括登录与退出）都写入审计日志；验证配置不修改状态，不记录
+router.use(auditLog.middleware({ exclude: ['/config/validate'] }));
+
+// 登录与退出不需要认证，其余管理接口都要先通过认证；只读角色只能读取（验证磁盘上的配置不修改状态，也允许只读角色使用）
+router.use(adminAuthRoutes);
+router.use(adminAuth.middleware({ readonlyPaths: ['/config/validate'] }));
+
+/**
+ * 解析版本号参数
+ * @param {string} value 请求中的版本号
+ * @returns {number|null} 版本号，无效时返回null
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * 生成站点配置的摘要信息，供管理接口展示
+ * @param {import('../src/entities').SiteProfile} site 站点配置
+ * @returns {Object} 站点摘要
+ */
+function describeSite(site) {
+  return {
+    name: site.name,
+    hostPattern: site.hostPattern,
+    mountPath: site.mountPath || undefined,
+    baseUpstream: site.baseUpstream?.site,
+    homePath: site.homePath,
+    replaceRulesCount: site.replaceList.length,
+    denyRulesCount: site.denyRequestList.length,
+    mounts: site.mounts.length > 0 ? site.mounts.map(describeSite) : undefined
+  };
+}
+
 // 详细的系统状态端点
 router.get('/status', (req, res) => {
   try {
@@ -30,8 +79,17 @@ router.get('/status', (req, res) => {
         replaceRulesCount: config.replaceList.length,
         denyRulesCount: config.denyRequestList.length,
         cloudflareBypass: process.env.CLOUDFLARE_BYPASS !== 'false',
-        cloudflareProtectedHostsCount: config.cloudflareProtectedHosts?.length || 0
+        cloudflareProtectedHostsCount: config.cloudflareProtectedHosts?.length || 0,
+        sitesCount: config.sites.length,
+        signedUrls: config.signedUrls.enabled,
+        pluginsCount: pluginLoader.getStatus().filter(plugin => plugin.loaded).length
       },
+      configReload: configLoader.getReloadStatus(),
+      adminAuth: adminAuth.getStatus(),
+      accessGate: accessGate.getStatus(),
+      destinationPolicy: destinationPolicy.getStatus(),
+      networkGuard: networkGuard.getStatus(),
+      rateLimits: rateLimiter.getStatus(),
       connectionManager: connectionMetrics,
       features: {
         base64Encoding: '✅ URL Base64编码传输',
@@ -56,6 +114,11 @@ router.get('/status', (req, res) => {
   }
 });
 
+// 当前登录的管理员
+router.get('/session', (req, res) => {
+  res.json({ user: req.adminUser, authEnabled: adminAuth.getStatus().enabled });
+});
+
 // 配置管理端点
 router.get('/config', (req, res) => {
   try {
@@ -67,7 +130,10 @@ router.get('/config', (req, res) => {
       denyRulesCount: config.denyRequestList.length,
       replaceRules: config.replaceList,
       denyRules: config.denyRequestList,
-      cloudflareProtectedHosts: config.cloudflareProtectedHosts // 确保返回此项
+      headerRules: config.headerRules,
+      cloudflareProtectedHosts: config.cloudflareProtectedHosts, // 确保返回此项
+      defaultSite: describeSite(config.defaultSite),
+      sites: config.sites.map(describeSite)
     });
   } catch (error) {
     logger.error('获取配置失败:', error);
@@ -75,21 +141,141 @@ router.get('/config', (req, res) => {
   }
 });
 
+// 站点列表（含每个站点的替换规则与拒绝规则）
+router.get('/sites', (req, res) => {
+  try {
+    const config = configLoader.getConfig();
+    res.json({
+      defaultSite: {
+        ...describeSite(config.defaultSite),
+        replaceRules: config.defaultSite.replaceList,
+        denyRules: config.defaultSite.denyRequestList
+      },
+      sites: config.sites.map(site => ({
+        ...describeSite(site),
+        replaceRules: site.replaceList,
+        denyRules: site.denyRequestList
+      }))
+    });
+  } catch (error) {
+    logger.error('获取站点列表失败:', error);
+    res.status(500).json({ error: '获取站点列表失败' });
+  }
+});
+
+// 插件列表（custom_handlers 的加载状态与注册的处理器）
+router.get('/plugins', (req, res) => {
+  try {
+    res.json({
+      plugins: pluginLoader.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('获取插件列表失败:', error);
+    res.status(500).json({ error: '获取插件列表失败' });
+  }
+});
+
+// 处理管道：列出默认管道与 pipelines 配置；
+// 传入 url 时返回该请求实际使用的管道，如 ?mode=global&url=https://rr1.googlevideo.com/videoplayback
+router.get('/pipelines', (req, res) => {
+  try {
+    const result = pipelineResolver.describe();
+    if (req.query.url) {
+      const mode = req.query.mode === 'global' ? 'global' : 'base';
+      const host = req.query.host || req.get('host');
+      let upstream;
+      let urlNoSite;
+      let site;
+      if (mode === 'global') {
+        let targetUrl;
+        try {
+          targetUrl = new URL(req.query.url);
+        } catch (error) {
+          return res.status(400).json({ error: '无效的目标URL' });
+        }
+        upstream = new Upstream(targetUrl.origin);
+        urlNoSite = targetUrl.pathname + targetUrl.search;
+        site = configLoader.resolveSite(host);
+      } else {
+        const requestUrl = new URL(req.query.url, 'http://localhost');
+        site = configLoader.resolveSite(host, requestUrl.pathname);
+        upstream = site.baseUpstream;
+        urlNoSite = requestUrl.pathname.slice(site.mountPath.length) + requestUrl.search;
+      }
+      if (!upstream) {
+        return res.status(400).json({ error: '该站点未配置上游服务器' });
+      }
+      const { preHandlers, postHandlers, ...resolved } = pipelineResolver.resolve({
+        mode,
+        site,
+        upstream,
+        proxyRequest: { urlNoSite: urlNoSite || '/' }
+      });
+      result.resolved = { mode, site: site.name, upstream: upstream.site, ...resolved };
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('获取处理管道失败:', error);
+    res.status(500).json({ error: '获取处理管道失败' });
+  }
+});
+
+// 验证候选配置（请求体为完整的配置JSON，可以包含 include 与环境变量）但不应用；请求体为空时验证磁盘上的配置文件。
+// 请求体中的配置会读取 include 文件并展开环境变量，验证结果可能透露服务器上的文件和环境变量，只有 admin 角色可以提交
+router.post('/config/validate', (req, res) => {
+  let candidate;
+  try {
+    candidate = parseJsonBody(req);
+  } catch (error) {
+    return res.status(400).json({
+      valid: false,
+      errors: [{ path: '$', message: `无效的JSON: ${error.message}` }],
+      warnings: []
+    });
+  }
+
+  if (candidate !== undefined && !adminAuth.hasRole(req.adminUser.role, 'admin')) {
+    logger.warn('只读角色不能验证请求体中的配置', { user: req.adminUser.name });
+    return res.status(403).json({ error: '权限不足', requiredRole: 'admin' });
+  }
+
+  try {
+    if (candidate === undefined) {
+      candidate = configLoader.readSource();
+    }
+    const result = configLoader.checkConfig(candidate);
+    res.status(result.valid ? 200 : 422).json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('验证配置失败:', error);
+    res.status(500).json({ error: '验证配置失败', message: error.message });
+  }
+});
+
+// 替换规则的增删改查与排序
+router.use('/config/replace-rules', replaceRulesRoutes);
+
+// 代理访问API密钥的创建、列出与删除
+router.use('/access/keys', accessKeyRoutes);
+
 router.post('/config/reload', (req, res) => {
   try {
-    const success = configLoader.reload();
+    // 插件与连接池预热由 configLoader 的 reload 事件统一处理
+    const success = configLoader.reload('admin');
     if (success) {
-      const config = configLoader.getConfig();
-      if (config.baseUpstream) {
-        warmupConnectionPool(config.baseUpstream.site);
-      }
-      
       res.json({ 
         message: '配置重新加载成功',
         timestamp: new Date().toISOString()
       });
     } else {
-      res.status(500).json({ error: '配置重新加载失败' });
+      res.status(500).json({
+        error: '配置重新加载失败',
+        message: `${configLoader.getReloadStatus().lastError.message}，继续使用上次成功加载的配置`,
+        timestamp: new Date().toISOString()
+      });
     }
   } catch (error) {
     logger.error('重新加载配置失败:', error);
@@ -97,6 +283,91 @@ router.post('/config/reload', (req, res) => {
   }
 });
 
+// 配置版本历史（最新的在前），?limit= 限制数量
+router.get('/config/history', (req, res) => {
+  try {
+    res.json({
+      current: configLoader.version,
+      history: configLoader.history.list(parseInt(req.query.limit))
+    });
+  } catch (error) {
+    logger.error('获取配置历史失败:', error);
+    res.status(500).json({ error: '获取配置历史失败' });
+  }
+});
+
+// 查看指定版本的完整快照（密钥、令牌和密码哈希已隐藏）
+router.get('/config/history/:version', (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const snapshot = version && configLoader.history.getRedacted(version);
+    if (!snapshot) {
+      return res.status(404).json({ error: '配置版本不存在' });
+    }
+    res.json(snapshot);
+  } catch (error) {
+    logger.error('获取配置快照失败:', error);
+    res.status(500).json({ error: '获取配置快照失败' });
+  }
+});
+
+// 比较两个版本：to 默认为当前版本，from 默认为 to 的上一个版本；差异中的密钥、令牌和密码哈希已隐藏
+router.get('/config/diff', (req, res) => {
+  try {
+    const to = req.query.to !== undefined ? parseVersion(req.query.to) : configLoader.version;
+    const from = req.query.from !== undefined
+      ? parseVersion(req.query.from)
+      : (to ? configLoader.history.previous(to)?.version : null);
+    if (!from || !to) {
+      return res.status(400).json({ error: '需要指定有效的 from 和 to 版本号' });
+    }
+
+    const fromSnapshot = configLoader.history.get(from);
+    const toSnapshot = configLoader.history.get(to);
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({ error: `配置版本不存在: ${!fromSnapshot ? from : to}` });
+    }
+
+    const changes = diffConfig(fromSnapshot.config, toSnapshot.config);
+    res.json({
+      from: { version: from, timestamp: fromSnapshot.timestamp, source: fromSnapshot.source },
+      to: { version: to, timestamp: toSnapshot.timestamp, source: toSnapshot.source },
+      summary: {
+        added: changes.filter(change => change.type === 'added').length,
+        removed: changes.filter(change => change.type === 'removed').length,
+        changed: changes.filter(change => change.type === 'changed').length
+      },
+      changes
+    });
+  } catch (error) {
+    logger.error('比较配置版本失败:', error);
+    res.status(500).json({ error: '比较配置版本失败' });
+  }
+});
+
+// 回滚到指定版本，回滚后的配置作为新版本保存
+router.post('/config/rollback/:version', (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const restored = version && configLoader.rollback(version);
+    if (!restored) {
+      return res.status(404).json({ error: '配置版本不存在' });
+    }
+    res.json({
+      message: `已回滚到版本 ${version}`,
+      restored,
+      current: configLoader.version,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof ConfigValidationError) {
+      return res.status(422).json({ error: '该版本的配置无法通过验证', errors: error.errors });
+    }
+    logger.error('回滚配置失败:', error);
+    res.status(500).json({ error: '回滚配置失败' });
+  }
+});
+
 // 连接管理器控制端点
 router.get('/connections', (req, res) => {
   try {
@@ -121,6 +392,25 @@ router.post('/connections/reset', (req, res) => {
   }
 });
 
+// 查询审计日志（最新的在前），支持 ?actor= &action= &result=success|failure &ip= &since= &until= &limit=
+router.get('/audit', (req, res) => {
+  try {
+    const { actor, action, result, ip, since, until, limit } = req.query;
+    if (result !== undefined && !['success', 'failure'].includes(result)) {
+      return res.status(400).json({ error: 'result 只能是 success 或 failure' });
+    }
+    const invalidTime = [since, until].find(value => value !== undefined && Number.isNaN(Date.parse(value)));
+    if (invalidTime !== undefined) {
+      return res.status(400).json({ error: `无效的时间: ${invalidTime}` });
+    }
+    const entries = auditLog.query({ actor, action, result, ip, since, until, limit });
+    res.json({ count: entries.length, entries });
+  } catch (error) {
+    logger.error('查询审计日志失败:', error);
+    res.status(500).json({ error: '查询审计日志失败' });
+  }
+});
+
 // 简单的管理界面
 router.get('/', (req, res) => {
   // 注意: path.join需要处理相对路径的基准
@@ -1,6 +1,8 @@
 const express = require('express');
 const adminRoutes = require('./adminRoutes');
 const proxyRoutes = require('./proxyRoutes');
+const accessGateRoutes = require('./accessGateRoutes');
+const accessGate = require('../src/access-gate');
 // Import health check route if it will be separated
 // const healthRoutes = require('./healthRoutes'); 
 
@@ -11,6 +13,9 @@ const router = express.Router();
 // router.use('/health', healthRoutes);
 
 router.use('/admin', adminRoutes);
+// 代理访问控制只作用于代理请求；管理接口有自己的认证
+router.use(accessGate.GATE_PATH, accessGateRoutes);
+router.use(accessGate.middleware());
 router.use('/', proxyRoutes); // This should generally be last if it has wildcard paths
 
 module.exports = router; 
\ No newline at end of file
@@ -9,36 +9,23 @@ const {
 } = require('../src/entities');
 const { 
   proxyHandler, 
-  streamProxyHandler, 
-  shouldUseStreamProcessing 
+  streamProxyHandler,
+  generateRequestId
 } = require('../src/proxy-handler');
-
-// 导入处理器
-const {
-  preHandler,
-  mediaPreHandler,
-  createCustomHomePathHandler,
-  securityHeaderHandler,
-  requestBodyHandler,
-  youtubeHeaderHandler,
-  cloudflarePreHandler,
-  antiDetectionPreHandler
-} = require('../src/handlers/pre-handlers');
-
-const {
-  postHandler,
-  postReplaceContentHandler,
-  postInjectHandler,
-  postDecompressHandler,
-  postOptimizeHeadersHandler,
-  postErrorPageHandler
-} = require('../src/handlers/post-handlers');
+const pipelineResolver = require('../src/pipeline-resolver');
+const urlSigner = require('../src/url-signer');
+const rateLimiter = require('../src/rate-limiter');
+const errorPages = require('../src/error-pages');
+const { prepareProxyBody } = require('../src/utils/request-body');
 
 // 导入自定义错误类
 const {
   ProxyError,
   InvalidTargetUrlError,
   AccessDeniedError,
+  UrlSignatureError,
+  DestinationDeniedError,
+  RateLimitError,
   TargetNotFoundError,
   TargetConnectionRefusedError,
   RequestTimeoutError
@@ -47,16 +34,62 @@ const {
 const router = express.Router();
 
 /**
- * 检测域名是否可能受Cloudflare保护
- * @param {string} hostname 主机名
- * @param {string[]} cloudflareHostsList 配置文件中读取的Cloudflare域名列表
- * @returns {boolean} 是否可能受保护
+ * 返回目标被拦截的响应：浏览器访问页面时返回错误页，其他请求返回JSON
+ * @param {import('express').Request} req Express请求对象
+ * @param {import('express').Response} res Express响应对象
+ * @param {DestinationDeniedError} error 拦截错误
+ * @param {import('../src/entities').SiteProfile} site 请求所属的站点
  */
-function isLikelyCloudflareProtected(hostname, cloudflareHostsList) {
-  if (!hostname || !Array.isArray(cloudflareHostsList)) {
-    return false;
+function sendDestinationDenied(req, res, error, site) {
+  const timestamp = new Date().toISOString();
+  if (req.accepts(['json', 'html']) === 'html') {
+    const page = errorPages.render('destination-blocked', {
+      status: error.statusCode,
+      message: error.message,
+      requestId: generateRequestId(),
+      host: error.host,
+      reason: error.reason,
+      path: req.path,
+      timestamp
+    }, site);
+    return res.status(error.statusCode).type('html').send(page);
   }
-  return cloudflareHostsList.some(host => hostname.includes(host));
+  res.status(error.statusCode).json({
+    error: error.message,
+    host: error.host,
+    reason: error.reason,
+    timestamp
+  });
+}
+
+/**
+ * 返回超过限流的 429 响应，带 Retry-After 头部：浏览器访问页面时返回错误页，其他请求返回JSON
+ * @param {import('express').Request} req Express请求对象
+ * @param {import('express').Response} res Express响应对象
+ * @param {RateLimitError} error 限流错误
+ * @param {import('../src/entities').SiteProfile} site 请求所属的站点
+ */
+function sendRateLimited(req, res, error, site) {
+  const timestamp = new Date().toISOString();
+  res.set('Retry-After', String(error.retryAfter));
+  if (req.accepts(['json', 'html']) === 'html') {
+    const page = errorPages.render('rate-limited', {
+      status: error.statusCode,
+      message: error.message,
+      requestId: generateRequestId(),
+      retryAfter: error.retryAfter,
+      rule: error.rule,
+      path: req.path,
+      timestamp
+    }, site);
+    return res.status(error.statusCode).type('html').send(page);
+  }
+  res.status(error.statusCode).json({
+    error: error.message,
+    retryAfter: error.retryAfter,
+    rule: error.rule,
+    timestamp
+  });
 }
 
 /**
@@ -67,17 +100,33 @@ function isLikelyCloudflareProtected(hostname, cloudflareHostsList) {
  */
 async function handleProxyRequest(req, res, mode) {
   const currentConfig = configLoader.getConfig();
+  // 按入站Host（基础模式下还包括路径前缀挂载点）选择站点配置
+  const site = configLoader.resolveSite(req.get('host'), mode === 'base' ? req.path : undefined);
   try {
     let proxyRequest;
     let upstream;
 
     if (mode === 'global') {
       try {
+        // 启用URL签名时先校验并去掉签名段，之后按普通的全局代理URL解析
+        req.url = urlSigner.unwrapRequestUrl(req, currentConfig.globalProxyPath);
         const targetSite = extractTargetSiteFromProxyUrl(req.url, currentConfig.globalProxyPath);
         upstream = new Upstream(targetSite);
         proxyRequest = requestProxyConvert(req, currentConfig.globalProxyPath);
         logger.debug('全局代理请求', { targetSite: targetSite, path: proxyRequest.urlNoSite, method: req.method });
       } catch (error) {
+        if (error instanceof DestinationDeniedError) {
+          logger.warn('目标被访问策略拦截', { host: error.host, reason: error.reason, ip: req.ip });
+          return sendDestinationDenied(req, res, error, site);
+        }
+        if (error instanceof UrlSignatureError) {
+          logger.warn('拒绝未通过签名校验的代理URL', { url: req.url, reason: error.message, ip: req.ip });
+          return res.status(error.statusCode).json({
+            error: error.message,
+            message: '只能访问由本代理生成的链接',
+            timestamp: new Date().toISOString()
+          });
+        }
         logger.error('解析全局代理URL失败:', { url: req.url, error: error.message });
         return res.status(400).json({ 
           error: '无效的代理URL',
@@ -87,53 +136,45 @@ async function handleProxyRequest(req, res, mode) {
         });
       }
     } else {
-      if (!currentConfig.baseUpstream) {
-        logger.error('基础上游服务器未配置');
+      if (!site.baseUpstream) {
+        logger.error('基础上游服务器未配置', { host: req.get('host'), site: site.name });
         return res.status(500).json({ error: '代理服务器配置错误' });
       }
-      upstream = currentConfig.baseUpstream;
-      proxyRequest = requestBaseConvert(req);
+      // 挂载点根路径补全末尾斜杠，保证页面中的相对链接仍落在挂载点内
+      if (site.mountPath && req.path === site.mountPath) {
+        const queryIndex = req.originalUrl.indexOf('?');
+        const query = queryIndex !== -1 ? req.originalUrl.slice(queryIndex) : '';
+        return res.redirect(301, `${site.mountPath}/${query}`);
+      }
+      upstream = site.baseUpstream;
+      proxyRequest = requestBaseConvert(req, site.mountPath);
     }
+    proxyRequest.siteProfile = site;
+    proxyRequest.mode = mode;
+
+    // 按 rate_limits 为客户端IP、API密钥和目标主机消耗令牌，超过限制时抛出 RateLimitError
+    rateLimiter.consume({
+      mode,
+      path: req.path,
+      ip: req.ip,
+      apiKeyId: req.accessIdentity?.keyId || null,
+      host: upstream.host
+    });
 
-    if (shouldUseStreamProcessing(proxyRequest)) {
-      logger.debug('使用流式代理处理', { path: proxyRequest.urlNoSite, method: req.method });
-      return await streamProxyHandler(
-        proxyRequest, upstream, res,
-        [
-          securityHeaderHandler,
-          preHandler,
-          mediaPreHandler,
-          youtubeHeaderHandler,
-          requestBodyHandler
-        ]
-      );
+    // 按 pipelines 配置（未命中时为默认管道）解析本次请求的处理器
+    const pipeline = pipelineResolver.resolve({ mode, site, upstream, proxyRequest });
+
+    // 请求体默认以流的形式转发，管道中的处理器需要改写请求体时才读入内存；大小限制可按管道配置
+    await prepareProxyBody(req, proxyRequest, pipeline.preHandlers, pipeline.bodyLimit ?? currentConfig.requestBodyLimit);
+
+    if (pipeline.stream) {
+      logger.debug('使用流式代理处理', { path: proxyRequest.urlNoSite, method: req.method, pipeline: pipeline.name });
+      return await streamProxyHandler(proxyRequest, upstream, res, pipeline.preHandlers);
     }
 
-    logger.debug('使用常规代理处理', { upstream: upstream.site, path: proxyRequest.urlNoSite, method: req.method });
-    
-    const needsCloudflareHandling = isLikelyCloudflareProtected(upstream.host, currentConfig.cloudflareProtectedHosts);
-    
-    const preHandlers = [
-      securityHeaderHandler,
-      antiDetectionPreHandler,
-      needsCloudflareHandling ? cloudflarePreHandler : null,
-      mode === 'base' ? createCustomHomePathHandler(currentConfig.homePath) : null,
-      preHandler,
-      mediaPreHandler,
-      youtubeHeaderHandler,
-      requestBodyHandler
-    ].filter(Boolean);
-
-    const postHandlers = [
-      postDecompressHandler,
-      postHandler,
-      postReplaceContentHandler,
-      mode === 'base' ? postInjectHandler : null, // 确保 postInjectHandler 存在或正确导入
-      postOptimizeHeadersHandler,
-      postErrorPageHandler
-    ].filter(Boolean);
-
-    const proxyResponse = await proxyHandler(proxyRequest, upstream, preHandlers, postHandlers);
+    logger.debug('使用常规代理处理', { upstream: upstream.site, path: proxyRequest.urlNoSite, method: req.method, pipeline: pipeline.name });
+
+    const proxyResponse = await proxyHandler(proxyRequest, upstream, pipeline.preHandlers, pipeline.postHandlers);
 
     res.status(proxyResponse.statusCode);
     if (proxyResponse.headers) {
@@ -159,6 +200,7 @@ async function handleProxyRequest(req, res, mode) {
       url: req.url,
       status: proxyResponse.statusCode,
       upstream: upstream.site,
+      site: site.name,
       contentType: proxyResponse.headers['content-type'],
       userAgent: req.get('user-agent'),
       ip: req.ip || req.connection?.remoteAddress, // req.connection might be undefined
@@ -166,29 +208,20 @@ async function handleProxyRequest(req, res, mode) {
     });
 
   } catch (error) {
+    if (error instanceof RateLimitError) {
+      return sendRateLimited(req, res, error, site);
+    }
     logger.error('处理代理请求时发生错误:', { method: req.method, url: req.url, error: error.message, stack: error.stack });
     if (!res.headersSent) {
       let statusCode = 500;
       let errorMessage = '代理服务器内部错误';
 
-      // TODO: 理想情况下，应该在错误发生源头抛出特定的自定义错误实例，
-      // 然后在这里使用 instanceof 进行判断，而不是依赖 error.message 字符串匹配。
-      // 例如: if (error instanceof InvalidTargetUrlError) { ... }
-      // 当前保留字符串匹配作为过渡，待相关模块（如 proxyHandler）改造后更新。
-
       if (error instanceof ProxyError) {
         statusCode = error.statusCode;
         errorMessage = error.message;
       } else {
-        // Fallback to message checking if not a known ProxyError instance
-        // This section can be removed once all relevant errors are instances of ProxyError subtypes
-        if (error.message?.includes('无效的目标URL')) {
-          statusCode = 400;
-          errorMessage = '无效的目标URL';
-        } else if (error.message?.includes('ACCESS_DENIED')) {
-          statusCode = 403;
-          errorMessage = '访问被拒绝';
-        } else if (error.message?.includes('ENOTFOUND') || error.code === 'ENOTFOUND') { // Also check error.code
+        // 代理自身的错误都是 ProxyError 的子类；其余是网络层（Node.js、axios）的原始错误，按错误码归类
+        if (error.message?.includes('ENOTFOUND') || error.code === 'ENOTFOUND') { // Also check error.code
           statusCode = 502;
           errorMessage = '无法解析目标服务器';
         } else if (error.message?.includes('ECONNREFUSED') || error.code === 'ECONNREFUSED') { // Also check error.code
@@ -0,0 +1,247 @@
+const express = require('express');
+const configLoader = require('../config/config-loader');
+const logger = require('../src/utils/logger');
+const { parseJsonBody } = require('../src/utils/request-body');
+const { ConfigValidationError } = require('../src/utils/errors');
+
+const router = express.Router();
+
+// ReplaceItem 在配置文件中的字段
+const RULE_FIELDS = ['search', 'replace', 'matchType', 'urlMatch', 'urlExclude', 'contentType'];
+const OPTIONAL_RULE_FIELDS = ['urlMatch', 'urlExclude', 'contentType'];
+
+/**
+ * 请求参数错误，由路由统一转换为对应的状态码
+ */
+class RuleRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 从请求体中提取替换规则，只保留 ReplaceItem 的字段
+ * @param {import('express').Request} req Express请求对象
+ * @returns {Object} 配置文件格式的替换规则
+ */
+function readRuleFromBody(req) {
+  let body;
+  try {
+    body = parseJsonBody(req);
+  } catch (error) {
+    throw new RuleRequestError(`无效的JSON: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new RuleRequestError('请求体必须是替换规则对象');
+  }
+  // 可选字段缺省为 null，与配置文件中已有规则的写法一致
+  const rule = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      rule[field] = body[field];
+    } else if (OPTIONAL_RULE_FIELDS.includes(field)) {
+      rule[field] = null;
+    }
+  });
+  return rule;
+}
+
+/**
+ * 解析路径中的规则序号
+ * @param {string} value 路径参数
+ * @param {Array} list 替换规则列表
+ * @returns {number} 规则序号
+ */
+function parseRuleIndex(value, list) {
+  const index = Number(value);
+  if (!Number.isInteger(index) || index < 0 || index >= list.length) {
+    throw new RuleRequestError('替换规则不存在', 404);
+  }
+  return index;
+}
+
+/**
+ * 获取要操作的替换规则列表。
+ * 生效的规则列表中，include 片段的规则排在主配置文件自身的规则之前（见 config-source 的合并规则）；
+ * 接口使用的序号是规则在生效列表中的位置，片段中的规则只读，只能修改主配置文件自身的规则。
+ * 指定 site 时操作 sites 中该站点的 replace_list；站点尚未声明自己的规则时，以顶层规则的副本为起点。
+ * @param {Object} rawConfig 主配置文件内容
+ * @param {Object} resolvedConfig 展开 include 后生效的配置
+ * @param {string} [site] sites 中的站点主机名
+ * @param {boolean} [forWrite=false] 是否用于修改
+ * @returns {{list: Object[], included: Object[], inherited: boolean}}
+ *   主配置文件中的规则列表（可直接修改）、排在其前面的片段规则，以及是否沿用顶层规则
+ */
+function getReplaceList(rawConfig, resolvedConfig, site, forWrite = false) {
+  let owner = rawConfig;
+  let resolvedOwner = resolvedConfig;
+  if (site) {
+    owner = rawConfig.sites?.[site];
+    resolvedOwner = resolvedConfig.sites?.[site];
+    if (!owner || typeof owner !== 'object') {
+      throw new RuleRequestError(`站点不存在: ${site}`, 404);
+    }
+  }
+
+  // 站点自身或站点的片段声明了 replace_list 时不再沿用顶层规则
+  const inherited = Boolean(site) && !Array.isArray(resolvedOwner?.replace_list);
+  const liveList = (inherited ? resolvedConfig.replace_list : resolvedOwner?.replace_list) || [];
+  const ownList = (inherited ? rawConfig.replace_list : owner.replace_list) || [];
+  const included = liveList.slice(0, liveList.length - ownList.length);
+
+  if (!inherited) {
+    if (forWrite && !Array.isArray(owner.replace_list)) {
+      owner.replace_list = [];
+    }
+    return { list: Array.isArray(owner.replace_list) ? owner.replace_list : [], included, inherited };
+  }
+  // 沿用的顶层规则中有片段规则时，复制到站点会丢失这些规则
+  if (forWrite && included.length > 0) {
+    throw new RuleRequestError('站点沿用的顶层规则中包含 include 片段中的规则，请先在配置文件中为该站点声明 replace_list', 409);
+  }
+  const list = JSON.parse(JSON.stringify(ownList));
+  if (forWrite) {
+    owner.replace_list = list;
+  }
+  return { list, included, inherited };
+}
+
+/**
+ * 合并片段规则和主配置文件中的规则，按生效顺序列出
+ * @param {Object[]} included 片段中的规则（只读）
+ * @param {Object[]} list 主配置文件中的规则
+ * @returns {Object[]} 带序号和 readonly 标记的规则
+ */
+function describeRules(included, list) {
+  return [
+    ...included.map(rule => ({ ...rule, readonly: true })),
+    ...list.map(rule => ({ ...rule, readonly: false }))
+  ].map((rule, index) => ({ index, ...rule }));
+}
+
+/**
+ * 执行一次规则修改并统一处理错误
+ * @param {import('express').Request} req Express请求对象
+ * @param {import('express').Response} res Express响应对象
+ * @param {function(Object[], Object[]): Object} mutate 修改函数，参数为可直接修改的主配置文件规则列表和排在其前面的片段规则，返回响应内容
+ * @param {number} [successStatus=200] 成功时的状态码
+ */
+function applyRuleChange(req, res, mutate, successStatus = 200) {
+  try {
+    const result = configLoader.updateConfig(draft => {
+      const { list, included } = getReplaceList(draft, configLoader.config, req.query.site, true);
+      return mutate(list, included);
+    }, 'admin:replace-rules');
+    res.status(successStatus).json({
+      ...result,
+      // 写回时重新生成整个文件
+      ...(configLoader.format === 'yaml' ? { warning: 'YAML 配置文件已重新生成，其中的注释没有保留' } : {}),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof RuleRequestError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error instanceof ConfigValidationError) {
+      return res.status(422).json({ error: '替换规则验证失败', errors: error.errors });
+    }
+    logger.error('修改替换规则失败:', error);
+    res.status(500).json({ error: '修改替换规则失败' });
+  }
+}
+
+/**
+ * 把生效列表中的序号转换为主配置文件规则列表中的位置，片段中的规则不能修改
+ * @param {string} value 路径参数
+ * @param {Object[]} list 主配置文件中的规则
+ * @param {Object[]} included 片段中的规则
+ * @returns {number} 在 list 中的位置
+ */
+function toOwnIndex(value, list, included) {
+  const index = parseRuleIndex(value, [...included, ...list]);
+  if (index < included.length) {
+    throw new RuleRequestError('该规则来自 include 片段，只能在片段文件中修改', 409);
+  }
+  return index - included.length;
+}
+
+// 列出替换规则，包括 include 片段中的只读规则
+router.get('/', (req, res) => {
+  try {
+    const { list, included, inherited } = getReplaceList(configLoader.source, configLoader.config, req.query.site);
+    res.json({
+      site: req.query.site || null,
+      inherited,
+      rules: describeRules(included, list)
+    });
+  } catch (error) {
+    if (error instanceof RuleRequestError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    logger.error('获取替换规则失败:', error);
+    res.status(500).json({ error: '获取替换规则失败' });
+  }
+});
+
+// 新增替换规则，?position= 指定插入位置，默认追加到末尾；不能插入到片段规则之间
+router.post('/', (req, res) => {
+  applyRuleChange(req, res, (list, included) => {
+    const rule = readRuleFromBody(req);
+    const total = included.length + list.length;
+    const position = req.query.position !== undefined ? Number(req.query.position) : total;
+    if (!Number.isInteger(position) || position < included.length || position > total) {
+      throw new RuleRequestError(`插入位置无效，必须在 ${included.length} 到 ${total} 之间`);
+    }
+    list.splice(position - included.length, 0, rule);
+    return { message: '替换规则已添加', index: position, rule };
+  }, 201);
+});
+
+// 调整顺序，请求体为 { "order": [原序号...] }，必须包含每条规则的序号各一次；片段规则的位置不能改变
+router.post('/reorder', (req, res) => {
+  applyRuleChange(req, res, (list, included) => {
+    let body;
+    try {
+      body = parseJsonBody(req);
+    } catch (error) {
+      throw new RuleRequestError(`无效的JSON: ${error.message}`);
+    }
+    const order = body?.order;
+    const total = included.length + list.length;
+    const isPermutation = Array.isArray(order)
+      && order.length === total
+      && new Set(order).size === total
+      && order.every(index => Number.isInteger(index) && index >= 0 && index < total);
+    if (!isPermutation) {
+      throw new RuleRequestError('order必须包含每条规则的序号各一次');
+    }
+    if (order.slice(0, included.length).some((index, position) => index !== position)) {
+      throw new RuleRequestError('include 片段中的规则不能调整顺序', 409);
+    }
+    const reordered = order.slice(included.length).map(index => list[index - included.length]);
+    list.splice(0, list.length, ...reordered);
+    return { message: '替换规则顺序已更新', rules: describeRules(included, list) };
+  });
+});
+
+// 替换指定序号的规则
+router.put('/:index', (req, res) => {
+  applyRuleChange(req, res, (list, included) => {
+    const ownIndex = toOwnIndex(req.params.index, list, included);
+    const rule = readRuleFromBody(req);
+    list[ownIndex] = rule;
+    return { message: '替换规则已更新', index: ownIndex + included.length, rule };
+  });
+});
+
+// 删除指定序号的规则
+router.delete('/:index', (req, res) => {
+  applyRuleChange(req, res, (list, included) => {
+    const ownIndex = toOwnIndex(req.params.index, list, included);
+    const [rule] = list.splice(ownIndex, 1);
+    return { message: '替换规则已删除', index: ownIndex + included.length, rule };
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * 生成 admin_auth.users 中使用的密码哈希
+ * 用法：npm run hash-password -- <密码>，省略密码时从标准输入读取
+ */
+const { hashPassword } = require('../src/utils/password');
+
+async function main() {
+  let password = process.argv[2];
+  if (password === undefined) {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    password = Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+  }
+  if (!password) {
+    console.error('用法: npm run hash-password -- <密码>');
+    process.exit(1);
+  }
+  console.log(await hashPassword(password));
+}
+
+main().catch(error => {
+  console.error('生成密码哈希失败:', error.message);
+  process.exit(1);
+});
@@ -1,6 +1,8 @@
+// 加载 .env 中的环境变量，配置文件中的 ${ENV_VAR} 会引用它们
+require('dotenv').config();
+
 const express = require('express');
 const helmet = require('helmet');
-const cors = require('cors');
 const compression = require('compression');
 const path = require('path');
 const fs = require('fs-extra');
@@ -8,7 +10,11 @@ const fs = require('fs-extra');
 // 导入自定义模块
 const logger = require('./src/utils/logger');
 const connectionManager = require('./src/utils/connection-manager');
+const cookieManager = require('./src/utils/cookie-parser');
+const cookieStore = require('./src/utils/cookie-store');
+const cloudflareHandler = require('./src/utils/cloudflare-handler');
 const configLoader = require('./config/config-loader');
+const corsPolicy = require('./src/cors-policy');
 const { 
   Upstream, 
   requestBaseConvert, 
@@ -19,8 +25,12 @@ const {
   proxyHandler, 
   streamProxyHandler, 
   shouldUseStreamProcessing,
-  warmupConnectionPool 
+  warmupAllSites
 } = require('./src/proxy-handler');
+const pluginLoader = require('./src/plugin-loader');
+const destinationPolicy = require('./src/destination-policy');
+const networkGuard = require('./src/utils/network-guard');
+const accessGate = require('./src/access-gate');
 
 // 导入处理器
 const {
@@ -55,20 +65,16 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false // 禁用COEP以允许跨域嵌入
 }));
 
-app.use(cors({
-  origin: '*',
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'Cache-Control']
-}));
+// 跨域访问策略由 cors 配置决定，预检请求在这里直接应答；cors 只作用于代理的内容，管理接口和代理登录页不加CORS头部
+app.use(corsPolicy.middleware({ exclude: ['/admin', accessGate.GATE_PATH] }));
 
 app.use(compression()); // 启用压缩
 
-// 处理原始请求体
-app.use(express.raw({ 
-  type: '*/*', 
-  limit: '50mb' 
-}));
+// 管理接口和代理登录页的请求体读入内存（req.body 为 Buffer）；
+// 代理请求的请求体不在这里读取，由代理路由按需以流的形式转发
+const bufferedBody = express.raw({ type: '*/*', limit: '10mb' });
+app.use('/admin', bufferedBody);
+app.use(accessGate.GATE_PATH, bufferedBody);
 
 // 静态文件服务
 app.use('/static', express.static(path.join(__dirname, 'static')));
@@ -103,57 +109,55 @@ app.get('/health', (req, res) => {
   });
 });
 
-// 详细的系统状态端点
-app.get('/admin/status', (req, res) => {
-  try {
-    const connectionMetrics = connectionManager.getMetrics();
-    const config = configLoader.getConfig();
-    
-    res.json({
-      system: {
-        version: '2.1.0',
-        nodeVersion: process.version,
-        platform: process.platform,
-        arch: process.arch,
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        cpuUsage: process.cpuUsage(),
-        env: process.env.NODE_ENV || 'development'
-      },
-      configuration: {
-        baseUpstream: config.baseUpstream?.site,
-        globalProxyPath: config.globalProxyPath,
-        replaceRulesCount: config.replaceList.length,
-        denyRulesCount: config.denyRequestList.length,
-        cloudflareBypass: process.env.CLOUDFLARE_BYPASS !== 'false'
-      },
-      connectionManager: connectionMetrics,
-      features: {
-        base64Encoding: '✅ URL Base64编码传输',
-        streamProcessing: '✅ 大文件流式处理',
-        connectionPooling: '✅ 智能连接池管理',
-        intelligentRetry: '✅ 指数退避重试策略',
-        enhancedContentProcessing: '✅ 增强内容处理',
-        mediaOptimization: '✅ 媒体请求优化',
-        cssProcessing: '✅ CSS URL处理',
-        jsProcessing: '✅ JavaScript URL处理',
-        errorRecovery: '✅ 错误恢复机制',
-        performanceMonitoring: '✅ 性能监控',
-        cloudflareBypass: '✅ Cloudflare验证绕过',
-        browserFingerprint: '✅ 浏览器指纹伪装',
-        antiDetection: '✅ 反爬虫检测',
-        advancedTLS: '✅ 增强TLS配置'
-      }
-    });
-  } catch (error) {
-    logger.error('获取系统状态失败:', error);
-    res.status(500).json({ error: '获取系统状态失败' });
-  }
-});
-
 // 获取配置
 const config = configLoader.getConfig();
 
+if (!config.adminAuth.enabled) {
+  logger.warn('未配置 admin_auth，管理接口 /admin 无需认证即可访问');
+}
+
+// 加载 custom_handlers 中声明的插件
+pluginLoader.load(config.customHandlers);
+
+/**
+ * 应用全局代理的目标访问策略和出站连接的网络保护
+ * 拦截列表文件相对于配置文件所在目录；配置文件中的上游由管理员指定，可以是内网服务，基础模式下访问这些上游源时不受网络保护限制
+ * @param {Object} currentConfig configLoader.getConfig() 的结果
+ */
+function applyNetworkPolicies(currentConfig) {
+  destinationPolicy.configure(currentConfig.destinationPolicy, configLoader.getResolveOptions().baseDir);
+  const upstreamOrigins = [currentConfig.defaultSite, ...currentConfig.sites]
+    .flatMap(site => [site, ...site.mounts])
+    .filter(site => site && site.baseUpstream)
+    .map(site => site.baseUpstream.site);
+  networkGuard.configure(currentConfig.networkGuard, upstreamOrigins);
+}
+
+applyNetworkPolicies(config);
+cookieManager.configure(config.cookieJars);
+
+// 上游Cookie罐和Cloudflare会话Cookie写入持久化存储，重启后恢复
+cookieStore.register('upstreamJars', cookieManager);
+cookieStore.register('cloudflare', cloudflareHandler);
+cookieStore.configure(config.cookieStore, configLoader.getResolveOptions().baseDir);
+if (config.cookieStore && !config.cookieJars.secret) {
+  logger.warn('启用了 cookie_store 但未配置 cookie_jars.secret，重启后浏览器的会话Cookie失效，恢复的上游Cookie无法使用');
+}
+
+// 配置重新加载成功后（管理接口或文件监听触发），重新加载插件、网络策略、Cookie罐设置并预热新站点的连接池
+configLoader.on('reload', (newConfig) => {
+  pluginLoader.load(newConfig.customHandlers);
+  applyNetworkPolicies(newConfig);
+  cookieManager.configure(newConfig.cookieJars);
+  cookieStore.configure(newConfig.cookieStore, configLoader.getResolveOptions().baseDir);
+  warmupAllSites();
+});
+
+// 监听配置文件变化，自动安全地重新加载
+if (process.env.CONFIG_WATCH !== 'false') {
+  configLoader.watch();
+}
+
 // 应用主路由
 app.use('/', mainRoutes);
 
@@ -201,7 +205,10 @@ app.use((req, res) => {
 process.on('SIGTERM', async () => {
   logger.info('收到SIGTERM信号，正在关闭服务器...');
   
-  // 关闭连接管理器
+  // 停止监听配置文件、拦截列表，保存Cookie存储并关闭连接管理器
+  configLoader.unwatch();
+  destinationPolicy.unwatch();
+  await cookieStore.close();
   await connectionManager.shutdown();
   
   server.close(() => {
@@ -213,7 +220,10 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('收到SIGINT信号，正在关闭服务器...');
   
-  // 关闭连接管理器
+  // 停止监听配置文件、拦截列表，保存Cookie存储并关闭连接管理器
+  configLoader.unwatch();
+  destinationPolicy.unwatch();
+  await cookieStore.close();
   await connectionManager.shutdown();
   
   server.close(() => {
@@ -246,6 +256,7 @@ const server = app.listen(PORT, HOST, async () => {
     port: PORT,
     env: process.env.NODE_ENV || 'development',
     baseUpstream: config.baseUpstream?.site,
+    sites: config.sites.map(site => `${site.hostPattern} -> ${site.baseUpstream?.site}`),
     globalProxyPath: config.globalProxyPath,
     features: {
       base64Encoding: true,
@@ -256,12 +267,10 @@ const server = app.listen(PORT, HOST, async () => {
     }
   });
 
-  // 预热连接池
-  if (config.baseUpstream) {
-    setTimeout(() => {
-      warmupConnectionPool(config.baseUpstream.site);
-    }, 1000);
-  }
+  // 预热连接池（默认站点与所有虚拟主机站点）
+  setTimeout(() => {
+    warmupAllSites();
+  }, 1000);
 
   console.log(`
 ╭─────────────────────────────────────────────────────────────╮
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const configLoader = require('../config/config-loader');
+const logger = require('./utils/logger');
+const accessKeyStore = require('./access-key-store');
+const { verifyPassword } = require('./utils/password');
+const { readSignedCookie, writeSignedCookie } = require('./utils/signed-cookie');
+const { LoginThrottle } = require('./utils/login-throttle');
+
+// 访问会话 Cookie；转发到上游之前会从请求中移除
+const SESSION_COOKIE = 'gproxy_session';
+
+// 登录页等代理自身页面的路径前缀，不会被代理到上游
+const GATE_PATH = '/__gproxy';
+
+/**
+ * 代理访问控制
+ * 启用 access_gate 后，代理请求（基础模式和全局模式）必须通过以下任一方式认证：
+ * - 浏览器：在 /__gproxy/login 输入访问密码，获得签名的会话 Cookie
+ * - 脚本：携带API密钥（默认请求头 X-Gproxy-Key 或查询参数 gproxy_key），密钥通过管理接口管理
+ *
+ * 未通过认证的页面请求跳转到登录页，其他请求返回401，不会访问上游。
+ * 访问密码登录按来源IP限制失败次数。
+ * 认证用的 Cookie、请求头和查询参数在转发之前移除，不会泄露给上游。
+ */
+class AccessGate {
+  constructor() {
+    // 未配置 session.secret 时使用的随机密钥
+    this.fallbackSecret = crypto.randomBytes(32).toString('hex');
+    // 同一IP的访问密码登录失败次数限制，与管理界面登录分开计数
+    this.loginThrottle = new LoginThrottle({ rule: 'gate_login' });
+  }
+
+  /**
+   * 获取当前的访问控制设置
+   * @returns {Object} configLoader 解析后的 access_gate
+   */
+  getSettings() {
+    return configLoader.getConfig().accessGate;
+  }
+
+  /**
+   * 识别请求的访问身份
+   * @param {import('express').Request} req Express请求对象
+   * @returns {{type: string, name: string}|null} 访问身份，未通过认证时返回null
+   */
+  authenticate(req) {
+    const settings = this.getSettings();
+    const key = req.get(settings.keyHeader) || new URL(req.originalUrl, 'http://localhost').searchParams.get(settings.keyQuery);
+    if (key) {
+      const record = accessKeyStore.verify(key);
+      return record ? { type: 'key', name: record.name, keyId: record.id } : null;
+    }
+    const payload = readSignedCookie(req, SESSION_COOKIE, this._getSessionSecret(settings));
+    // 会话绑定当前的访问密码，修改密码后旧会话失效
+    if (payload && settings.passwordHash && payload.v === passwordVersion(settings.passwordHash)) {
+      return { type: 'session', name: 'session' };
+    }
+    return null;
+  }
+
+  /**
+   * 创建访问控制中间件，放在代理路由之前
+   * @returns {Function} Express中间件
+   */
+  middleware() {
+    return (req, res, next) => {
+      const settings = this.getSettings();
+      if (!settings.enabled || settings.exemptPaths.some(pattern => pattern.test(req.path))) {
+        return next();
+      }
+
+      const identity = this.authenticate(req);
+      if (!identity) {
+        return this._rejectUnauthenticated(req, res, settings);
+      }
+
+      stripCredentials(req, settings);
+      req.accessIdentity = identity;
+      next();
+    };
+  }
+
+  /**
+   * 使用访问密码登录，成功时写入会话 Cookie
+   * @param {import('express').Request} req Express请求对象
+   * @param {import('express').Response} res Express响应对象
+   * @param {string} password 访问密码
+   * @returns {Promise<boolean>} 是否登录成功
+   * @throws {RateLimitError} 该IP登录失败次数过多时抛出
+   */
+  async login(req, res, password) {
+    const settings = this.getSettings();
+    this.loginThrottle.assertAllowed(req);
+    if (!settings.passwordHash || !(await verifyPassword(password, settings.passwordHash))) {
+      this.loginThrottle.recordFailure(req);
+      logger.warn('代理访问登录失败', { ip: req.ip });
+      return false;
+    }
+    this.loginThrottle.reset(req);
+    writeSignedCookie(req, res, SESSION_COOKIE, { v: passwordVersion(settings.passwordHash) }, {
+      secret: this._getSessionSecret(settings),
+      ttl: settings.session.ttl,
+      // 从其他网站点击进入代理页面时也要携带会话，否则每次都会跳转到登录页
+      sameSite: 'lax'
+    });
+    logger.info('代理访问登录成功', { ip: req.ip });
+    return true;
+  }
+
+  /**
+   * 退出登录，清除会话 Cookie
+   * @param {import('express').Response} res Express响应对象
+   */
+  logout(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+  }
+
+  /**
+   * 判断是否可以使用登录页
+   * @returns {boolean}
+   */
+  isLoginEnabled() {
+    const settings = this.getSettings();
+    return settings.enabled && Boolean(settings.passwordHash);
+  }
+
+  /**
+   * 获取访问控制状态，供 /admin/status 展示
+   * @returns {Object}
+   */
+  getStatus() {
+    const settings = this.getSettings();
+    return {
+      enabled: settings.enabled,
+      passwordLogin: Boolean(settings.passwordHash),
+      keysCount: accessKeyStore.list().length
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getSessionSecret(settings) {
+    return settings.session?.secret || this.fallbackSecret;
+  }
+
+  /**
+   * @private
+   */
+  _rejectUnauthenticated(req, res, settings) {
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html' && settings.passwordHash) {
+      return res.redirect(`${GATE_PATH}/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.status(401).json({
+      error: '需要访问授权',
+      message: `请登录或通过 ${settings.keyHeader} 请求头提供API密钥`,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * 移除请求中的访问凭据，避免转发给上游
+ * @param {import('express').Request} req Express请求对象
+ * @param {Object} settings 访问控制设置
+ */
+function stripCredentials(req, settings) {
+  delete req.headers[settings.keyHeader.toLowerCase()];
+
+  if (req.headers.cookie) {
+    const cookies = req.headers.cookie
+      .split(';')
+      .filter(part => part.split('=')[0].trim() !== SESSION_COOKIE)
+      .join(';')
+      .trim();
+    if (cookies) {
+      req.headers.cookie = cookies;
+    } else {
+      delete req.headers.cookie;
+    }
+  }
+
+  if (req.originalUrl.includes(`${settings.keyQuery}=`)) {
+    req.url = removeQueryParam(req.url, settings.keyQuery);
+    req.originalUrl = removeQueryParam(req.originalUrl, settings.keyQuery);
+  }
+}
+
+/**
+ * 从URL中移除指定的查询参数，保留其他参数的原始写法
+ * @param {string} url 请求URL（路径加查询字符串）
+ * @param {string} name 参数名
+ * @returns {string} 移除后的URL
+ */
+function removeQueryParam(url, name) {
+  const queryIndex = url.indexOf('?');
+  if (queryIndex === -1) {
+    return url;
+  }
+  const query = url
+    .slice(queryIndex + 1)
+    .split('&')
+    .filter(part => decodeURIComponentSafe(part.split('=')[0]) !== name)
+    .join('&');
+  return query ? `${url.slice(0, queryIndex)}?${query}` : url.slice(0, queryIndex);
+}
+
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function passwordVersion(passwordHash) {
+  return crypto.createHash('sha256').update(passwordHash).digest('hex').slice(0, 16);
+}
+
+// 创建单例实例
+const accessGate = new AccessGate();
+
+module.exports = accessGate;
+module.exports.GATE_PATH = GATE_PATH;
@@ -0,0 +1,133 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+
+// API密钥的保存文件
+const KEYS_FILE = process.env.ACCESS_KEYS_FILE
+  ? path.resolve(process.env.ACCESS_KEYS_FILE)
+  : path.join(__dirname, '..', 'data', 'access-keys.json');
+
+// 密钥前缀，便于在日志和代码仓库中识别泄露的密钥
+const KEY_PREFIX = 'gpk_';
+
+/**
+ * 代理访问API密钥存储
+ * 密钥只以 SHA-256 哈希保存，明文只在创建时返回一次。
+ * 存储在独立的数据文件而不是配置文件中，通过管理接口增删，不会进入配置历史。
+ */
+class AccessKeyStore {
+  constructor(filePath = KEYS_FILE) {
+    this.filePath = filePath;
+    this.keys = null; // 首次使用时从文件读取
+  }
+
+  /**
+   * 列出全部密钥（不含哈希）
+   * @returns {Object[]} 密钥信息列表
+   */
+  list() {
+    return this._getKeys().map(describeKey);
+  }
+
+  /**
+   * 创建密钥
+   * @param {Object} options 选项
+   * @param {string} options.name 密钥名称
+   * @param {string|null} [options.expiresAt] 过期时间（ISO 8601），不设置时永不过期
+   * @returns {{key: string, info: Object}} 密钥明文与密钥信息
+   */
+  create({ name, expiresAt = null }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      lastUsedAt: null
+    };
+    const keys = this._getKeys();
+    keys.push(record);
+    this._save(keys);
+    logger.info('已创建代理访问密钥', { id: record.id, name });
+    return { key, info: describeKey(record) };
+  }
+
+  /**
+   * 删除密钥
+   * @param {string} id 密钥ID
+   * @returns {Object|null} 被删除的密钥信息，不存在时返回null
+   */
+  remove(id) {
+    const keys = this._getKeys();
+    const index = keys.findIndex(record => record.id === id);
+    if (index === -1) {
+      return null;
+    }
+    const [record] = keys.splice(index, 1);
+    this._save(keys);
+    logger.info('已删除代理访问密钥', { id, name: record.name });
+    return describeKey(record);
+  }
+
+  /**
+   * 校验密钥明文
+   * @param {string} key 请求中携带的密钥
+   * @returns {Object|null} 有效时返回密钥信息，不存在或已过期时返回null
+   */
+  verify(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+    const hash = hashKey(key);
+    const record = this._getKeys().find(item => item.hash === hash);
+    if (!record || (record.expiresAt && Date.parse(record.expiresAt) <= Date.now())) {
+      return null;
+    }
+    // 最近使用时间只保存在内存中，随下一次增删一起写入文件
+    record.lastUsedAt = new Date().toISOString();
+    return describeKey(record);
+  }
+
+  /**
+   * @private
+   */
+  _getKeys() {
+    if (this.keys) {
+      return this.keys;
+    }
+    try {
+      this.keys = fs.existsSync(this.filePath) ? fs.readJsonSync(this.filePath).keys || [] : [];
+    } catch (error) {
+      logger.error('读取代理访问密钥失败:', error);
+      this.keys = [];
+    }
+    return this.keys;
+  }
+
+  /**
+   * 原子写入密钥文件
+   * @private
+   */
+  _save(keys) {
+    fs.ensureDirSync(path.dirname(this.filePath));
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function describeKey({ hash, ...info }) {
+  return info;
+}
+
+// 创建单例实例
+const accessKeyStore = new AccessKeyStore();
+
+module.exports = accessKeyStore;
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const configLoader = require('../config/config-loader');
+const logger = require('./utils/logger');
+const { hashPassword, verifyPassword } = require('./utils/password');
+const { readSignedCookie, writeSignedCookie } = require('./utils/signed-cookie');
+const { LoginThrottle } = require('./utils/login-throttle');
+const { RateLimitError } = require('./utils/errors');
+
+// 管理会话 Cookie，只在 /admin 路径下发送，不会随代理请求转发到上游
+const SESSION_COOKIE = 'gproxy_admin';
+const SESSION_COOKIE_PATH = '/admin';
+
+// 角色等级：readonly 只能读取，admin 可以修改
+const ROLE_LEVELS = { readonly: 1, admin: 2 };
+
+// 只读角色可以使用的请求方法
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * 管理接口认证
+ * 支持三种认证方式，按 admin_auth.methods 启用：
+ * - bearer：`Authorization: Bearer <token>`，令牌在 admin_auth.tokens 中配置
+ * - basic：HTTP Basic，用户在 admin_auth.users 中配置，密码以 scrypt 哈希保存
+ * - session：通过 /admin/login 登录后签发的签名 Cookie，供管理界面使用
+ *
+ * 认证设置随配置热重载生效；会话 Cookie 每次请求都会重新对照当前的用户列表，删除用户或修改角色立即生效。
+ * 密码登录按来源IP限制失败次数；用户名不存在时同样计算一次 scrypt，响应时间不会透露用户是否存在。
+ */
+class AdminAuth {
+  constructor() {
+    // 未配置 session.secret 时使用的随机密钥
+    this.fallbackSecret = crypto.randomBytes(32).toString('hex');
+    // 用户名不存在时用于校验的哈希，使耗时与校验真实用户一致
+    this.dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    // 同一IP的密码登录失败次数限制，登录页和 Basic 认证共用
+    this.loginThrottle = new LoginThrottle({ rule: 'admin_login' });
+    this.strategies = {
+      bearer: (req, settings) => this._authenticateBearer(req, settings),
+      basic: (req, settings) => this._authenticateBasic(req, settings),
+      session: (req, settings) => this._authenticateSession(req, settings)
+    };
+  }
+
+  /**
+   * 获取当前的认证设置
+   * @returns {Object} configLoader 解析后的 admin_auth
+   */
+  getSettings() {
+    return configLoader.getConfig().adminAuth;
+  }
+
+  /**
+   * 识别请求的管理员身份
+   * @param {import('express').Request} req Express请求对象
+   * @returns {Promise<{name: string, role: string, method: string}|null>} 管理员身份，未通过认证时返回null
+   */
+  async authenticate(req) {
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return { name: 'anonymous', role: 'admin', method: 'none' };
+    }
+    for (const method of settings.methods) {
+      const strategy = this.strategies[method];
+      const principal = strategy ? await strategy(req, settings) : null;
+      if (principal) {
+        return principal;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 创建认证与授权中间件：未认证的页面请求跳转到登录页，接口请求返回401；
+   * 只读角色只能使用 GET/HEAD/OPTIONS 以及 readonlyPaths 中列出的路径。
+   * @param {Object} [options] 选项
+   * @param {string[]} [options.readonlyPaths=[]] 虽然不是 GET 但不修改状态、只读角色也可以访问的路径
+   * @returns {Function} Express中间件
+   */
+  middleware({ readonlyPaths = [] } = {}) {
+    return async (req, res, next) => {
+      try {
+        const principal = await this.authenticate(req);
+        if (!principal) {
+          return this._rejectUnauthenticated(req, res);
+        }
+
+        const requiredRole = SAFE_METHODS.has(req.method) || readonlyPaths.includes(req.path) ? 'readonly' : 'admin';
+        if (!hasRole(principal.role, requiredRole)) {
+          logger.warn('管理接口权限不足', { user: principal.name, role: principal.role, method: req.method, path: req.originalUrl });
+          return res.status(403).json({ error: '权限不足', requiredRole });
+        }
+
+        // 会话 Cookie 由浏览器自动携带，修改操作额外检查来源，防止跨站请求
+        if (principal.method === 'session' && !SAFE_METHODS.has(req.method) && !isSameOrigin(req)) {
+          logger.warn('拒绝跨站的管理请求', { user: principal.name, origin: req.get('origin') || req.get('referer') });
+          return res.status(403).json({ error: '跨站请求被拒绝' });
+        }
+
+        req.adminUser = principal;
+        next();
+      } catch (error) {
+        if (error instanceof RateLimitError) {
+          res.set('Retry-After', String(error.retryAfter));
+          return res.status(error.statusCode).json({ error: error.message, retryAfter: error.retryAfter });
+        }
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * 使用用户名和密码登录，成功时写入会话 Cookie
+   * @param {import('express').Request} req Express请求对象
+   * @param {import('express').Response} res Express响应对象
+   * @param {string} username 用户名
+   * @param {string} password 密码
+   * @returns {Promise<{name: string, role: string}|null>} 登录的用户，用户名或密码错误时返回null
+   * @throws {RateLimitError} 该IP登录失败次数过多时抛出
+   */
+  async login(req, res, username, password) {
+    const settings = this.getSettings();
+    const user = await this._verifyCredentials(req, settings, username, password);
+    if (!user) {
+      logger.warn('管理界面登录失败', { username, ip: req.ip });
+      return null;
+    }
+    writeSignedCookie(req, res, SESSION_COOKIE, { u: user.username }, {
+      secret: this._getSessionSecret(settings),
+      ttl: settings.session.ttl,
+      path: SESSION_COOKIE_PATH
+    });
+    logger.info('管理界面登录成功', { username, ip: req.ip });
+    return { name: user.username, role: user.role };
+  }
+
+  /**
+   * 退出登录，清除会话 Cookie
+   * @param {import('express').Response} res Express响应对象
+   */
+  logout(res) {
+    res.clearCookie(SESSION_COOKIE, { path: SESSION_COOKIE_PATH });
+  }
+
+  /**
+   * 判断是否可以使用登录页
+   * @returns {boolean}
+   */
+  isSessionEnabled() {
+    const settings = this.getSettings();
+    return settings.enabled && settings.methods.includes('session') && settings.users.length > 0;
+  }
+
+  /**
+   * 获取认证状态，供 /admin/status 展示（不包含任何凭据）
+   * @returns {Object}
+   */
+  getStatus() {
+    const settings = this.getSettings();
+    return {
+      enabled: settings.enabled,
+      methods: settings.methods,
+      tokensCount: settings.tokens.length,
+      usersCount: settings.users.length
+    };
+  }
+
+  /**
+   * @private
+   */
+  _authenticateBearer(req, settings) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return null;
+    }
+    const token = settings.tokens.find(item => safeEqual(item.token, match[1].trim()));
+    return token ? { name: token.name, role: token.role, method: 'bearer' } : null;
+  }
+
+  /**
+   * @private
+   */
+  async _authenticateBasic(req, settings) {
+    const match = (req.headers.authorization || '').match(/^Basic\s+(.+)$/i);
+    if (!match) {
+      return null;
+    }
+    const decoded = Buffer.from(match[1].trim(), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator < 0) {
+      return null;
+    }
+    const user = await this._verifyCredentials(req, settings, decoded.slice(0, separator), decoded.slice(separator + 1));
+    return user ? { name: user.username, role: user.role, method: 'basic' } : null;
+  }
+
+  /**
+   * 校验用户名和密码，记录失败次数
+   * @private
+   * @returns {Promise<Object|null>} 匹配的用户
+   * @throws {RateLimitError} 该IP登录失败次数过多时抛出
+   */
+  async _verifyCredentials(req, settings, username, password) {
+    this.loginThrottle.assertAllowed(req);
+
+    const user = settings.users.find(item => item.username === username);
+    const passwordHash = user ? user.passwordHash : await this.dummyPasswordHash;
+    const valid = await verifyPassword(password, passwordHash);
+    if (user && valid) {
+      this.loginThrottle.reset(req);
+      return user;
+    }
+    this.loginThrottle.recordFailure(req);
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _authenticateSession(req, settings) {
+    const payload = readSignedCookie(req, SESSION_COOKIE, this._getSessionSecret(settings));
+    const user = payload && settings.users.find(item => item.username === payload.u);
+    return user ? { name: user.username, role: user.role, method: 'session' } : null;
+  }
+
+  /**
+   * @private
+   */
+  _getSessionSecret(settings) {
+    return settings.session?.secret || this.fallbackSecret;
+  }
+
+  /**
+   * @private
+   */
+  _rejectUnauthenticated(req, res) {
+    // 浏览器直接打开管理页面时跳转到登录页
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html' && this.isSessionEnabled()) {
+      return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    // 只声明 Bearer，避免浏览器中的管理界面在会话过期时弹出 Basic 认证对话框
+    res.set('WWW-Authenticate', 'Bearer realm="gproxy-admin"');
+    res.status(401).json({ error: '需要管理员认证' });
+  }
+}
+
+/**
+ * 判断角色是否满足要求
+ * @param {string} role 当前角色
+ * @param {string} requiredRole 需要的角色
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+  return (ROLE_LEVELS[role] || 0) >= ROLE_LEVELS[requiredRole];
+}
+
+/**
+ * 常量时间比较两个字符串
+ * @param {string} expected 期望值
+ * @param {string} actual 实际值
+ * @returns {boolean}
+ */
+function safeEqual(expected, actual) {
+  const a = crypto.createHash('sha256').update(String(expected)).digest();
+  const b = crypto.createHash('sha256').update(String(actual)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * 判断请求的 Origin（或 Referer）是否与当前主机一致；两者都没有时视为同源
+ * @param {import('express').Request} req Express请求对象
+ * @returns {boolean}
+ */
+function isSameOrigin(req) {
+  const origin = req.get('origin') || req.get('referer');
+  if (!origin) {
+    return true;
+  }
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch (error) {
+    return false;
+  }
+}
+
+// 创建单例实例
+const adminAuth = new AdminAuth();
+
+module.exports = adminAuth;
+module.exports.hasRole = hasRole;
@@ -0,0 +1,244 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./utils/logger');
+const { normalizeIp } = require('./utils/ip-utils');
+const { parseJsonBody } = require('./utils/request-body');
+
+// 审计日志文件，与 combined.log 分开保存
+const AUDIT_FILE = process.env.AUDIT_LOG_FILE
+  ? path.resolve(process.env.AUDIT_LOG_FILE)
+  : path.join(process.cwd(), 'logs', 'audit.log');
+
+// 单个文件超过该大小时轮转，轮转后的文件为 audit.log.1（最新）到 audit.log.<maxFiles>（最旧）
+const DEFAULT_MAX_SIZE = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 10;
+
+// 查询默认返回的条数与上限
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+// 请求体中需要隐去的字段
+const SENSITIVE_FIELD = /pass(word)?|secret|token|^key$|authorization|cookie/i;
+
+// 请求体序列化后超过该长度时只记录大小
+const MAX_BODY_LENGTH = 4096;
+
+// 不修改状态的请求方法，不记录审计日志
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * 管理操作审计日志
+ * 每个修改类的管理请求（包括登录与退出）结束后追加一行JSON，记录操作者、操作、参数、结果和来源IP。
+ * 只追加不修改，按大小独立轮转，可以通过 /admin/audit 按条件查询。
+ */
+class AuditLog {
+  /**
+   * @param {Object} [options] 选项
+   * @param {string} [options.filePath] 日志文件路径
+   * @param {number} [options.maxSize] 单个文件的最大字节数
+   * @param {number} [options.maxFiles] 保留的轮转文件数量
+   */
+  constructor({
+    filePath = AUDIT_FILE,
+    maxSize = parseInt(process.env.AUDIT_LOG_MAX_SIZE) || DEFAULT_MAX_SIZE,
+    maxFiles = parseInt(process.env.AUDIT_LOG_MAX_FILES) || DEFAULT_MAX_FILES
+  } = {}) {
+    this.filePath = filePath;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+  }
+
+  /**
+   * 追加一条审计记录。写入失败只记录错误，不影响管理请求。
+   * @param {Object} entry 审计记录
+   * @param {string|null} entry.actor 操作者
+   * @param {string} entry.action 操作，如 `POST /config/reload`
+   * @param {Object} entry.params 参数
+   * @param {Object} entry.result 结果
+   * @param {string|null} entry.ip 来源IP
+   * @returns {Object|null} 写入的记录，失败时返回null
+   */
+  record({ actor = null, action, params = {}, result = {}, ip = null }) {
+    const entry = { timestamp: new Date().toISOString(), actor, action, params, result, ip };
+    try {
+      fs.ensureDirSync(path.dirname(this.filePath));
+      this._rotateIfNeeded();
+      fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+      return entry;
+    } catch (error) {
+      logger.error('写入审计日志失败:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 查询审计记录，最新的在前
+   * @param {Object} [filters] 查询条件
+   * @param {string} [filters.actor] 操作者
+   * @param {string} [filters.action] 操作中包含的文字，不区分大小写
+   * @param {string} [filters.result] success 或 failure
+   * @param {string} [filters.ip] 来源IP
+   * @param {string} [filters.since] 起始时间（ISO 8601）
+   * @param {string} [filters.until] 截止时间（ISO 8601）
+   * @param {number} [filters.limit=100] 最多返回的条数
+   * @returns {Object[]} 审计记录
+   */
+  query({ actor, action, result, ip, since, until, limit } = {}) {
+    const max = Math.min(Math.max(parseInt(limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    const actionText = action ? String(action).toLowerCase() : null;
+    const matches = (entry) => {
+      const time = Date.parse(entry.timestamp);
+      return (!actor || entry.actor === actor)
+        && (!actionText || String(entry.action).toLowerCase().includes(actionText))
+        && (!result || (result === 'success') === Boolean(entry.result?.success))
+        && (!ip || entry.ip === normalizeIp(ip))
+        && (sinceTime === null || Number.isNaN(sinceTime) || time >= sinceTime)
+        && (untilTime === null || Number.isNaN(untilTime) || time <= untilTime);
+    };
+
+    const entries = [];
+    for (const file of this._files()) {
+      const lines = readLines(file);
+      for (let i = lines.length - 1; i >= 0; i--) {
+        const entry = parseLine(lines[i]);
+        if (entry && matches(entry)) {
+          entries.push(entry);
+          if (entries.length >= max) {
+            return entries;
+          }
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * 创建记录管理请求的中间件，挂载在管理接口的认证之前，未通过认证的修改请求也会被记录
+   * @param {Object} [options] 选项
+   * @param {string[]} [options.exclude=[]] 虽然不是 GET 但不修改状态、不需要记录的路径
+   * @returns {Function} Express中间件
+   */
+  middleware({ exclude = [] } = {}) {
+    return (req, res, next) => {
+      if (SAFE_METHODS.has(req.method) || exclude.includes(req.path)) {
+        return next();
+      }
+      const mountPath = req.baseUrl;
+      const params = { query: { ...req.query }, body: describeBody(req) };
+
+      // 记下错误信息，写入审计结果
+      let errorMessage = null;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (body && typeof body.error === 'string') {
+          errorMessage = body.error;
+        }
+        return json(body);
+      };
+
+      res.once('finish', () => {
+        // 子路由根路径的路由为 `/`，去掉末尾的斜杠，如 `POST /access/keys`
+        const routePath = (req.route ? `${req.baseUrl}${req.route.path}` : `${mountPath}${req.path}`).replace(/(.)\/$/, '$1');
+        this.record({
+          actor: req.adminUser?.name ?? res.locals.auditActor ?? null,
+          action: `${req.method} ${routePath.slice(mountPath.length) || '/'}`,
+          params: { ...params, route: req.route ? { ...req.params } : undefined },
+          result: { success: res.statusCode < 400, status: res.statusCode, error: errorMessage || undefined },
+          ip: normalizeIp(req.ip) || null
+        });
+      });
+      next();
+    };
+  }
+
+  /**
+   * 文件超过大小限制时轮转：audit.log.<n> 依次后移，最旧的文件被删除
+   */
+  _rotateIfNeeded() {
+    let size;
+    try {
+      size = fs.statSync(this.filePath).size;
+    } catch (error) {
+      return;
+    }
+    if (size < this.maxSize) {
+      return;
+    }
+    fs.removeSync(`${this.filePath}.${this.maxFiles}`);
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const from = `${this.filePath}.${index}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+  }
+
+  /**
+   * 当前文件与轮转文件，从新到旧
+   * @returns {string[]} 文件路径
+   */
+  _files() {
+    const files = [this.filePath];
+    for (let index = 1; index <= this.maxFiles; index++) {
+      files.push(`${this.filePath}.${index}`);
+    }
+    return files.filter(file => fs.existsSync(file));
+  }
+}
+
+/**
+ * 读取文件的全部非空行
+ * @param {string} file 文件路径
+ * @returns {string[]}
+ */
+function readLines(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  } catch (error) {
+    logger.error(`读取审计日志失败: ${file}`, error);
+    return [];
+  }
+}
+
+/**
+ * 解析一行审计记录，损坏的行（如写入时进程退出）忽略
+ * @param {string} line JSON文本
+ * @returns {Object|null}
+ */
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 生成请求体的审计摘要：隐去密码、令牌等字段，过大的请求体只记录大小
+ * @param {import('express').Request} req Express请求对象
+ * @returns {*} 请求体摘要，没有请求体时为 undefined
+ */
+function describeBody(req) {
+  let body;
+  try {
+    body = parseJsonBody(req);
+  } catch (error) {
+    return { invalidJson: true };
+  }
+  if (body === undefined) {
+    return undefined;
+  }
+  const text = JSON.stringify(body, (field, value) => (
+    field && SENSITIVE_FIELD.test(field) && value !== null && value !== undefined ? '[REDACTED]' : value
+  ));
+  return text.length > MAX_BODY_LENGTH ? { truncated: true, size: text.length } : JSON.parse(text);
+}
+
+// 创建单例实例
+const auditLog = new AuditLog();
+
+module.exports = auditLog;
+module.exports.AuditLog = AuditLog;
@@ -0,0 +1,182 @@
+const configLoader = require('../config/config-loader');
+const logger = require('./utils/logger');
+
+/**
+ * 跨域访问（CORS）策略
+ * 按 cors 配置（站点可以用自己的 cors 覆盖部分字段）决定返回哪些 Access-Control-* 头部：
+ * - allow_origins 中列出的来源、或匹配 allow_origin_patterns 的来源原样返回；
+ * - reflect_origin 为 true 时任意来源都原样返回；
+ * - allow_origins 包含 `*` 时其余来源返回 `*`，此时不会带上 Access-Control-Allow-Credentials。
+ * 预检请求（带 Access-Control-Request-Method 的 OPTIONS）默认由代理直接应答，不转发给上游。
+ */
+class CorsPolicy {
+  /**
+   * 获取请求所属站点的CORS设置
+   * @param {import('./entities').SiteProfile} [site] 站点
+   * @returns {Object} configLoader 解析后的 cors 设置
+   */
+  getSettings(site) {
+    return site?.cors || configLoader.getConfig().cors;
+  }
+
+  /**
+   * 计算应返回的CORS头部
+   * @param {Object} request 请求信息
+   * @param {string} [request.origin] 请求的 Origin
+   * @param {string} [request.method] 请求方法
+   * @param {string} [request.requestMethod] 预检请求的 Access-Control-Request-Method
+   * @param {string} [request.requestHeaders] 预检请求的 Access-Control-Request-Headers
+   * @param {import('./entities').SiteProfile} [site] 站点
+   * @returns {Object|null} 头部（名称为小写），未启用CORS策略时返回null
+   */
+  getHeaders({ origin, method, requestMethod, requestHeaders }, site) {
+    const settings = this.getSettings(site);
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const headers = {};
+    const allowOrigin = resolveAllowOrigin(origin, settings);
+    if (allowOrigin !== '*') {
+      // 返回的来源随请求变化，缓存需要区分 Origin
+      headers['vary'] = 'Origin';
+    }
+    if (!allowOrigin) {
+      return headers;
+    }
+
+    headers['access-control-allow-origin'] = allowOrigin;
+    if (settings.allowCredentials && allowOrigin !== '*') {
+      headers['access-control-allow-credentials'] = 'true';
+    }
+    if (settings.exposeHeaders.length > 0) {
+      headers['access-control-expose-headers'] = settings.exposeHeaders.join(', ');
+    }
+    if (isPreflight(method, requestMethod)) {
+      headers['access-control-allow-methods'] = settings.allowMethods.join(', ');
+      // 未配置 allow_headers 时允许预检请求声明的全部头部
+      const allowHeaders = settings.allowHeaders ? settings.allowHeaders.join(', ') : requestHeaders;
+      if (allowHeaders) {
+        headers['access-control-allow-headers'] = allowHeaders;
+      }
+      if (settings.maxAge !== null) {
+        headers['access-control-max-age'] = String(settings.maxAge);
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * 用代理的CORS策略替换上游响应中的 Access-Control-* 头部（直接修改传入的对象）
+   * @param {Object} headers 响应头部，名称为小写
+   * @param {Object} clientHeaders 客户端原始请求头
+   * @param {string} method 请求方法
+   * @param {import('./entities').SiteProfile} [site] 站点
+   * @returns {Object} 修改后的头部
+   */
+  applyToResponse(headers, clientHeaders = {}, method, site) {
+    const corsHeaders = this.getHeaders({
+      origin: clientHeaders['origin'],
+      method,
+      requestMethod: clientHeaders['access-control-request-method'],
+      requestHeaders: clientHeaders['access-control-request-headers']
+    }, site);
+    if (!corsHeaders) {
+      return headers;
+    }
+
+    // 上游的CORS头部针对的是上游自己的来源，对代理后的页面没有意义
+    Object.keys(headers)
+      .filter(name => name.startsWith('access-control-'))
+      .forEach(name => delete headers[name]);
+    const { vary, ...rest } = corsHeaders;
+    Object.assign(headers, rest);
+    if (vary) {
+      headers['vary'] = appendVary(headers['vary'], vary);
+    }
+    return headers;
+  }
+
+  /**
+   * 创建CORS中间件：为所有响应加上CORS头部，按配置直接应答预检请求
+   * @param {Object} [options] 选项
+   * @param {string[]} [options.exclude=[]] 不加CORS头部的路径前缀（管理接口、代理登录页等代理自身的接口）
+   * @returns {Function} Express中间件
+   */
+  middleware({ exclude = [] } = {}) {
+    return (req, res, next) => {
+      if (exclude.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`))) {
+        return next();
+      }
+      const site = configLoader.resolveSite(req.get('host'), req.path);
+      const requestMethod = req.get('access-control-request-method');
+      const headers = this.getHeaders({
+        origin: req.get('origin'),
+        method: req.method,
+        requestMethod,
+        requestHeaders: req.get('access-control-request-headers')
+      }, site);
+      if (!headers) {
+        return next();
+      }
+
+      const { vary, ...rest } = headers;
+      res.set(rest);
+      if (vary) {
+        res.vary(vary);
+      }
+      if (isPreflight(req.method, requestMethod) && this.getSettings(site).handlePreflight) {
+        logger.debug('代理直接应答CORS预检请求', { origin: req.get('origin'), path: req.path, allowed: Boolean(rest['access-control-allow-origin']) });
+        res.set('Content-Length', '0');
+        return res.status(204).end();
+      }
+      next();
+    };
+  }
+}
+
+/**
+ * 判断是否为CORS预检请求
+ * @param {string} method 请求方法
+ * @param {string} [requestMethod] Access-Control-Request-Method
+ * @returns {boolean}
+ */
+function isPreflight(method, requestMethod) {
+  return String(method).toUpperCase() === 'OPTIONS' && Boolean(requestMethod);
+}
+
+/**
+ * 按设置决定 Access-Control-Allow-Origin 的值
+ * @param {string} [origin] 请求的 Origin
+ * @param {Object} settings cors 设置
+ * @returns {string|null} 允许的来源、`*`，不允许时返回null
+ */
+function resolveAllowOrigin(origin, settings) {
+  if (origin) {
+    if (settings.reflectOrigin
+      || settings.allowOrigins.includes(origin)
+      || settings.allowOriginPatterns.some(pattern => pattern.test(origin))) {
+      return origin;
+    }
+  }
+  return settings.allowOrigins.includes('*') ? '*' : null;
+}
+
+/**
+ * 把字段追加到 Vary 头部，已有时不重复
+ * @param {string|undefined} current 当前的 Vary
+ * @param {string} field 要追加的字段
+ * @returns {string} 新的 Vary
+ */
+function appendVary(current, field) {
+  if (!current) {
+    return field;
+  }
+  const fields = String(current).split(',').map(item => item.trim().toLowerCase());
+  return fields.includes('*') || fields.includes(field.toLowerCase()) ? current : `${current}, ${field}`;
+}
+
+// 创建单例实例
+const corsPolicy = new CorsPolicy();
+
+module.exports = corsPolicy;
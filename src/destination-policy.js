@@ -0,0 +1,272 @@
+const fs = require('fs-extra');
+const net = require('net');
+const path = require('path');
+const logger = require('./utils/logger');
+const { normalizeHost } = require('./utils/host-matcher');
+const { createIpMatcher, normalizeIp } = require('./utils/ip-utils');
+const { DestinationDeniedError } = require('./utils/errors');
+
+// 拦截列表文件变化后延迟重新加载，合并编辑器保存时的多次写入
+const WATCH_DEBOUNCE_MS = 300;
+
+// hosts 文件中指向本机的常见条目，不作为拦截域名
+const HOSTS_FILE_IGNORED_NAMES = new Set([
+  'localhost', 'localhost.localdomain', 'local', 'broadcasthost',
+  'ip6-localhost', 'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix',
+  'ip6-allnodes', 'ip6-allrouters', 'ip6-allhosts', '0.0.0.0'
+]);
+
+/**
+ * 全局代理的目标访问策略
+ * - allow：配置后只允许访问匹配的目标
+ * - deny：拒绝访问匹配的目标，优先于 allow
+ * - blocklist_files：本地拦截列表文件（hosts 格式或每行一个域名），列表中的域名及其子域名都会被拒绝
+ *
+ * 条目支持精确域名、通配符（*.example.com）和 IP/CIDR（匹配以IP地址访问的目标）。
+ * 域名按标签逐级查找哈希集合，检查耗时只与域名层级有关，与列表大小无关。
+ */
+class DestinationPolicy {
+  constructor() {
+    this.allow = null;          // 编译后的允许列表，未配置时为null（允许全部）
+    this.deny = compileRules([]);
+    this.blocklists = new Map(); // 文件绝对路径 => Set<域名>
+    this.watchers = new Map();   // 目录 => { watcher, names }
+    this.watchTimers = new Map(); // 文件绝对路径 => 定时器
+  }
+
+  /**
+   * 应用配置：编译允许与拒绝列表，加载拦截列表文件并监听其变化
+   * @param {Object} settings configLoader 解析后的 destination_policy
+   * @param {string} baseDir 拦截列表文件相对路径的基准目录（配置文件所在目录）
+   */
+  configure(settings, baseDir) {
+    this.allow = settings.allow.length > 0 ? compileRules(settings.allow) : null;
+    this.deny = compileRules(settings.deny);
+
+    const files = settings.blocklistFiles.map(file => path.resolve(baseDir, file));
+    const blocklists = new Map();
+    files.forEach(file => {
+      // 已加载且未变化的文件直接沿用，文件变化由监听器负责重新加载
+      blocklists.set(file, this.blocklists.get(file) || loadBlocklist(file));
+    });
+    this.blocklists = blocklists;
+    this._updateWatchers(files);
+  }
+
+  /**
+   * 检查目标主机是否允许访问
+   * @param {string} host 目标主机名（可带端口）
+   * @throws {DestinationDeniedError} 目标被拒绝时抛出
+   */
+  assertAllowed(host) {
+    const hostname = normalizeHost(host);
+    if (this.deny.matches(hostname)) {
+      throw new DestinationDeniedError(hostname, 'deny');
+    }
+    for (const [file, domains] of this.blocklists) {
+      if (matchDomainSet(domains, hostname)) {
+        throw new DestinationDeniedError(hostname, `blocklist:${path.basename(file)}`);
+      }
+    }
+    if (this.allow && !this.allow.matches(hostname)) {
+      throw new DestinationDeniedError(hostname, 'not_allowed');
+    }
+  }
+
+  /**
+   * 获取策略状态，供 /admin/status 展示
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      allowRules: this.allow ? this.allow.size : 0,
+      denyRules: this.deny.size,
+      blocklists: Array.from(this.blocklists, ([file, domains]) => ({ file, domains: domains.size }))
+    };
+  }
+
+  /**
+   * 停止监听拦截列表文件
+   */
+  unwatch() {
+    this.watchTimers.forEach(timer => clearTimeout(timer));
+    this.watchTimers.clear();
+    this.watchers.forEach(entry => entry.watcher.close());
+    this.watchers.clear();
+  }
+
+  /**
+   * 按当前的拦截列表文件调整目录监听
+   * @private
+   * @param {string[]} files 拦截列表文件的绝对路径
+   */
+  _updateWatchers(files) {
+    const wanted = new Map();
+    files.forEach(file => {
+      const dir = path.dirname(file);
+      if (!wanted.has(dir)) {
+        wanted.set(dir, new Set());
+      }
+      wanted.get(dir).add(path.basename(file));
+    });
+
+    this.watchers.forEach((entry, dir) => {
+      if (!wanted.has(dir)) {
+        entry.watcher.close();
+        this.watchers.delete(dir);
+      }
+    });
+
+    wanted.forEach((names, dir) => {
+      const existing = this.watchers.get(dir);
+      if (existing) {
+        existing.names = names;
+        return;
+      }
+      try {
+        const entry = { names, watcher: null };
+        entry.watcher = fs.watch(dir, (eventType, filename) => {
+          if (filename && entry.names.has(filename)) {
+            this._scheduleReload(path.join(dir, filename));
+          }
+        });
+        entry.watcher.unref();
+        entry.watcher.on('error', (error) => {
+          logger.warn('拦截列表目录监听出错:', { dir, error: error.message });
+          entry.watcher.close();
+          this.watchers.delete(dir);
+        });
+        this.watchers.set(dir, entry);
+      } catch (error) {
+        logger.warn('无法监听拦截列表目录:', { dir, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _scheduleReload(file) {
+    clearTimeout(this.watchTimers.get(file));
+    const timer = setTimeout(() => {
+      this.watchTimers.delete(file);
+      if (this.blocklists.has(file)) {
+        this.blocklists.set(file, loadBlocklist(file));
+      }
+    }, WATCH_DEBOUNCE_MS);
+    timer.unref();
+    this.watchTimers.set(file, timer);
+  }
+}
+
+/**
+ * 编译 allow/deny 列表
+ * @param {string[]} entries 域名、通配符或 IP/CIDR
+ * @returns {{matches: function(string): boolean, size: number}}
+ */
+function compileRules(entries) {
+  const exact = new Set();
+  const suffixes = new Set();
+  const cidrs = [];
+  let matchAll = false;
+
+  entries.forEach(entry => {
+    const value = entry.trim().toLowerCase();
+    if (value === '*') {
+      matchAll = true;
+    } else if (value.includes('/') || net.isIP(normalizeIp(value))) {
+      cidrs.push(value);
+    } else if (value.startsWith('*.')) {
+      suffixes.add(normalizeHost(value.slice(2)));
+    } else {
+      exact.add(normalizeHost(value));
+    }
+  });
+  const ipMatcher = createIpMatcher(cidrs);
+
+  return {
+    size: entries.length,
+    matches(hostname) {
+      if (!hostname) {
+        return false;
+      }
+      if (matchAll || exact.has(hostname)) {
+        return true;
+      }
+      if (net.isIP(hostname)) {
+        return ipMatcher(hostname);
+      }
+      // *.example.com 只匹配子域名，从父域名开始逐级查找
+      return parentDomains(hostname).some(domain => suffixes.has(domain));
+    }
+  };
+}
+
+/**
+ * 判断域名或其任一父域名是否在集合中
+ * @param {Set<string>} domains 域名集合
+ * @param {string} hostname 规范化后的主机名
+ * @returns {boolean}
+ */
+function matchDomainSet(domains, hostname) {
+  if (!hostname || net.isIP(hostname)) {
+    return domains.has(hostname);
+  }
+  return domains.has(hostname) || parentDomains(hostname).some(domain => domains.has(domain));
+}
+
+/**
+ * 列出主机名的各级父域名，如 a.b.example.com => [b.example.com, example.com, com]
+ * @param {string} hostname 主机名
+ * @returns {string[]}
+ */
+function parentDomains(hostname) {
+  const parents = [];
+  let index = hostname.indexOf('.');
+  while (index !== -1) {
+    parents.push(hostname.slice(index + 1));
+    index = hostname.indexOf('.', index + 1);
+  }
+  return parents;
+}
+
+/**
+ * 读取拦截列表文件，支持 hosts 格式（`0.0.0.0 ads.example.com`）和每行一个域名，`#` 之后为注释
+ * @param {string} file 文件绝对路径
+ * @returns {Set<string>} 域名集合，读取失败时为空集合
+ */
+function loadBlocklist(file) {
+  const domains = new Set();
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    logger.error('读取拦截列表失败:', { file, error: error.message });
+    return domains;
+  }
+
+  for (const rawLine of content.split('\n')) {
+    const commentIndex = rawLine.indexOf('#');
+    const line = (commentIndex === -1 ? rawLine : rawLine.slice(0, commentIndex)).trim();
+    if (!line) {
+      continue;
+    }
+    const tokens = line.split(/\s+/);
+    // hosts 格式的第一列是IP地址，其余列是域名
+    const names = tokens.length > 1 && net.isIP(tokens[0]) ? tokens.slice(1) : tokens;
+    names.forEach(name => {
+      const domain = normalizeHost(name);
+      if (domain && !HOSTS_FILE_IGNORED_NAMES.has(domain)) {
+        domains.add(domain);
+      }
+    });
+  }
+
+  logger.info('拦截列表加载完成', { file, domains: domains.size });
+  return domains;
+}
+
+// 创建单例实例
+const destinationPolicy = new DestinationPolicy();
+
+module.exports = destinationPolicy;
@@ -1,9 +1,13 @@
 const { URL } = require('url');
 const {
   InvalidUrlError,
+  DestinationDeniedError,
   RequestConversionError
 } = require('./utils/errors'); // 引入自定义错误
-const net = require('net'); // 引入 net 模块
+const { matchHostPattern } = require('./utils/host-matcher');
+const { createIpMatcher, normalizeIp } = require('./utils/ip-utils');
+const destinationPolicy = require('./destination-policy');
+const networkGuard = require('./utils/network-guard');
 
 /**
  * 上游服务器信息类
@@ -57,6 +61,197 @@ class ReplaceItem {
   }
 }
 
+/**
+ * 拒绝规则类
+ * 兼容旧格式（仅匹配 urlNoSite 的正则字符串），也支持按上游主机名、路径、请求方法、
+ * 请求头和客户端IP组合匹配（所有声明的条件都满足时命中），并可以自定义拒绝响应。
+ */
+class DenyRule {
+  constructor(spec) {
+    const rule = typeof spec === 'string' ? { path: spec } : spec;
+    this.spec = spec;                                   // 配置中的原始写法
+    this.name = rule.name || null;
+    this.hosts = rule.host ? [].concat(rule.host) : null; // 上游主机名模式，支持 *.example.com
+    this.path = rule.path ? new RegExp(rule.path) : null;
+    this.methods = Array.isArray(rule.methods) ? rule.methods.map(method => method.toUpperCase()) : null;
+    this.headers = rule.headers
+      ? Object.entries(rule.headers).map(([name, pattern]) => [name.toLowerCase(), new RegExp(pattern, 'i')])
+      : null;
+    this.clientMatcher = rule.client ? createIpMatcher([].concat(rule.client)) : null;
+    // 自定义响应：{ status, body, contentType, headers } 或 { redirect, status }，未声明时返回默认的403页面
+    this.response = rule.response || null;
+  }
+
+  /**
+   * 判断请求是否命中该规则
+   * @param {Object} context 请求信息
+   * @param {string} context.host 上游主机名
+   * @param {string} context.path 上游路径（含查询参数）
+   * @param {string} context.method 请求方法
+   * @param {Object} context.headers 客户端请求头
+   * @param {string} context.clientIp 客户端IP
+   * @returns {boolean} 是否命中
+   */
+  matches({ host, path, method, headers = {}, clientIp }) {
+    if (this.hosts && !this.hosts.some(pattern => matchHostPattern(host, pattern))) {
+      return false;
+    }
+    if (this.path && !this.path.test(path || '')) {
+      return false;
+    }
+    if (this.methods && !this.methods.includes((method || '').toUpperCase())) {
+      return false;
+    }
+    if (this.headers && !this.headers.every(([name, pattern]) => {
+      const value = headers[name];
+      return value !== undefined && pattern.test(Array.isArray(value) ? value.join(', ') : String(value));
+    })) {
+      return false;
+    }
+    if (this.clientMatcher && !this.clientMatcher(clientIp)) {
+      return false;
+    }
+    return true;
+  }
+
+  toJSON() {
+    return this.spec;
+  }
+}
+
+/**
+ * 头部改写规则类
+ * 按上游主机、路径和内容类型匹配请求或响应，依次执行 keep、remove、set、append、replace 操作
+ */
+class HeaderRule {
+  constructor(spec) {
+    this.spec = spec;                                   // 配置中的原始写法
+    this.name = spec.name || null;
+    this.direction = spec.direction;                    // request 或 response
+    this.hosts = spec.host ? [].concat(spec.host) : null; // 上游主机名模式，支持 *.example.com
+    this.path = spec.path ? new RegExp(spec.path) : null;
+    this.contentType = spec.content_type ? new RegExp(spec.content_type, 'i') : null;
+    this.keep = (spec.keep || []).map(name => name.toLowerCase());
+    this.remove = (spec.remove || []).map(name => name.toLowerCase());
+    this.set = Object.entries(spec.set || {}).map(([name, value]) => [name.toLowerCase(), value]);
+    this.append = Object.entries(spec.append || {}).map(([name, value]) => [name.toLowerCase(), value]);
+    this.replace = (spec.replace || []).map(item => ({
+      header: item.header.toLowerCase(),
+      pattern: new RegExp(item.pattern, 'g'),
+      replacement: item.replacement ?? ''
+    }));
+  }
+
+  /**
+   * 判断请求或响应是否命中该规则
+   * @param {Object} context 匹配信息
+   * @param {string} context.host 上游主机名
+   * @param {string} context.path 上游路径（含查询参数）
+   * @param {string} [context.contentType] 请求或响应的 Content-Type
+   * @returns {boolean} 是否命中
+   */
+  matches({ host, path, contentType }) {
+    if (this.hosts && !this.hosts.some(pattern => matchHostPattern(host, pattern))) {
+      return false;
+    }
+    if (this.path && !this.path.test(path || '')) {
+      return false;
+    }
+    if (this.contentType && !this.contentType.test(contentType || '')) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 改写头部（直接修改传入的对象，头部名称为小写）
+   * @param {Object} headers 要改写的头部
+   * @param {Object} [original={}] 上游的原始响应头部，keep 从这里恢复被代理移除的头部
+   * @returns {Object} 改写后的头部
+   */
+  apply(headers, original = {}) {
+    this.keep.forEach(name => {
+      if (original[name] !== undefined) {
+        headers[name] = original[name];
+      }
+    });
+    this.remove.forEach(name => {
+      delete headers[name];
+    });
+    this.set.forEach(([name, value]) => {
+      headers[name] = value;
+    });
+    this.append.forEach(([name, value]) => {
+      const current = headers[name];
+      if (current === undefined) {
+        headers[name] = value;
+      } else if (Array.isArray(current)) {
+        headers[name] = [...current, value];
+      } else {
+        headers[name] = `${current}, ${value}`;
+      }
+    });
+    this.replace.forEach(({ header, pattern, replacement }) => {
+      const current = headers[header];
+      if (current === undefined) {
+        return;
+      }
+      headers[header] = Array.isArray(current)
+        ? current.map(value => String(value).replace(pattern, replacement))
+        : String(current).replace(pattern, replacement);
+    });
+    return headers;
+  }
+
+  toJSON() {
+    return this.spec;
+  }
+}
+
+/**
+ * 站点配置类
+ * 描述一个入站主机名（支持通配符）或路径前缀挂载点对应的上游、首页路径、替换规则与拒绝规则
+ */
+class SiteProfile {
+  constructor({
+    name,
+    hostPattern = null,
+    mountPath = '',
+    baseUpstream = null,
+    homePath = '/',
+    replaceList = [],
+    denyRequestList = [],
+    mounts = [],
+    cors = null,
+    securityHeaders = null
+  }) {
+    this.name = name;                       // 站点名称（用于日志与管理接口）
+    this.hostPattern = hostPattern;         // 入站主机名模式，null 表示默认站点
+    this.mountPath = mountPath;             // 路径前缀挂载点（如 /gh），'' 表示挂载在根路径
+    this.baseUpstream = baseUpstream;       // Upstream 实例
+    this.homePath = homePath;
+    this.replaceList = replaceList;         // ReplaceItem 数组
+    this.denyRequestList = denyRequestList; // DenyRule 数组
+    this.mounts = mounts;                   // 该站点下的路径前缀挂载点（SiteProfile 数组）
+    this.cors = cors;                       // 跨域访问策略（configLoader 解析后的 cors 设置）
+    this.securityHeaders = securityHeaders; // 安全头部处理设置（移除或改写）
+  }
+
+  /**
+   * 查找与请求路径匹配的挂载点（最长前缀优先）
+   * @param {string} requestPath 请求路径
+   * @returns {SiteProfile|null} 匹配的挂载点
+   */
+  findMount(requestPath) {
+    if (!requestPath) {
+      return null;
+    }
+    return this.mounts.find(mount =>
+      requestPath === mount.mountPath || requestPath.startsWith(mount.mountPath + '/')
+    ) || null;
+  }
+}
+
 /**
  * 代理请求信息类
  */
@@ -73,6 +268,12 @@ class ProxyRequest {
     this.hostTop = null;        // 顶级域名
     this.query = null;          // 查询参数
     this.originalUrl = null;    // 原始完整URL
+    this.siteProfile = null;    // 匹配到的站点配置（SiteProfile）
+    this.mountPath = '';        // 路径前缀挂载点，转发前已从路径中去除
+    this.mode = null;           // 代理模式：base 或 global
+    this.clientIp = null;       // 客户端IP
+    this.clientHeaders = {};    // 客户端原始请求头（前置处理器修改前）
+    this.cookieSession = null;  // 上游Cookie罐的会话 { id, isNew }，由 preHandler 设置
   }
 }
 
@@ -156,45 +357,14 @@ function isValidUrl(url) {
     
     const hostname = parsedUrl.hostname.toLowerCase();
 
-    // 检查是否为IP地址
-    const ipVersion = net.isIP(hostname);
-
-    if (ipVersion) {
-      // IPv4 私有地址和保留地址范围
-      // 10.0.0.0/8, 172.16.0.0/12, 192.168.0.0/16
-      // 127.0.0.0/8 (loopback)
-      // 169.254.0.0/16 (link-local)
-      // 0.0.0.0 (any)
-      const ipv4PrivateRanges = [
-        /^10\.(\d{1,3}\.){2}\d{1,3}$/,
-        /^172\.(1[6-9]|2\d|3[01])\.(\d{1,3}\.){1}\d{1,3}$/,
-        /^192\.168\.\d{1,3}\.\d{1,3}$/,
-        /^127\.(\d{1,3}\.){2}\d{1,3}$/,
-        /^169\.254\.(\d{1,3}\.){1}\d{1,3}$/,
-        /^0\.0\.0\.0$/
-      ];
-      if (ipVersion === 4 && ipv4PrivateRanges.some(range => range.test(hostname))) {
+    // IP地址按 network_guard 的受保护网络检查；域名解析出的地址在建立连接时由 networkGuard.lookup 检查
+    const address = normalizeIp(hostname);
+    if (address) {
+      if (networkGuard.isAddressBlocked(address)) {
         return false;
       }
-
-      // IPv6 私有地址和保留地址范围
-      // ::1 (loopback)
-      // fc00::/7 (unique local)
-      // fe80::/10 (link-local)
-      const ipv6PrivatePatterns = [
-        /^::1$/,
-        /^[fF][cC0-9a-fA-F]{2}:/ , // ULA fc00::/7
-        /^[fF][eE][89aAbB][0-9a-fA-F]:/ // Link-local fe80::/10
-      ];
-      if (ipVersion === 6 && ipv6PrivatePatterns.some(pattern => pattern.test(hostname))) {
-        return false;
-      }
-    } else {
-      // 如果不是IP地址，检查是否是 localhost
-      if (hostname === 'localhost') {
-        return false;
-      }
-      // 可以在这里添加其他基于名称的黑名单，如果需要
+    } else if (hostname === 'localhost') {
+      return false;
     }
     
     // 可以在这里添加端口校验逻辑，例如：
@@ -262,21 +432,29 @@ function _populateHostTop(proxyRequest) {
 /**
  * 将Express请求转换为ProxyRequest对象（基本模式）
  * @param {Request} req Express请求对象
+ * @param {string} [mountPath=''] 路径前缀挂载点，转发到上游前会从路径中去除
  * @returns {ProxyRequest} 代理请求对象
  */
-function requestBaseConvert(req) {
+function requestBaseConvert(req, mountPath = '') {
   const proxyRequest = new ProxyRequest();
   
   try {
     const parsedUrl = new URL(req.url, `${req.protocol}://${req.get('host')}`);
+    let upstreamPath = parsedUrl.pathname;
+    if (mountPath && (upstreamPath === mountPath || upstreamPath.startsWith(mountPath + '/'))) {
+      upstreamPath = upstreamPath.slice(mountPath.length) || '/';
+    }
     
     proxyRequest.site = `${parsedUrl.protocol}//${parsedUrl.host}`;
     proxyRequest.host = parsedUrl.host;
-    proxyRequest.urlNoSite = parsedUrl.pathname + parsedUrl.search;
+    proxyRequest.mountPath = mountPath;
+    proxyRequest.urlNoSite = upstreamPath + parsedUrl.search;
     proxyRequest.method = req.method;
     proxyRequest.headers = { ...req.headers };
+    proxyRequest.clientHeaders = { ...req.headers };
+    proxyRequest.clientIp = normalizeIp(req.ip || req.socket?.remoteAddress);
     proxyRequest.cookies = req.headers.cookie || '';
-    proxyRequest.path = parsedUrl.pathname;
+    proxyRequest.path = upstreamPath;
     proxyRequest.query = parsedUrl.search;
     proxyRequest.originalUrl = req.originalUrl;
     
@@ -306,6 +484,8 @@ function requestProxyConvert(req, globalProxyPath) {
     proxyRequest.host = parsedUrl.host;
     proxyRequest.method = req.method;
     proxyRequest.headers = { ...req.headers };
+    proxyRequest.clientHeaders = { ...req.headers };
+    proxyRequest.clientIp = normalizeIp(req.ip || req.socket?.remoteAddress);
     proxyRequest.cookies = req.headers.cookie || '';
     proxyRequest.originalUrl = req.originalUrl;
     
@@ -355,6 +535,7 @@ function requestProxyConvert(req, globalProxyPath) {
  * @param {string} requestUrl 请求URL
  * @param {string} globalProxyPath 全局代理路径
  * @returns {string} 目标站点URL
+ * @throws {DestinationDeniedError} 目标被 destination_policy 拒绝时抛出
  */
 function extractTargetSiteFromProxyUrl(requestUrl, globalProxyPath) {
   try {
@@ -371,10 +552,12 @@ function extractTargetSiteFromProxyUrl(requestUrl, globalProxyPath) {
     }
     
     const targetUrlObj = new URL(targetUrl);
+    // 按 destination_policy 检查目标是否允许访问
+    destinationPolicy.assertAllowed(targetUrlObj.hostname);
     return `${targetUrlObj.protocol}//${targetUrlObj.host}`;
     
   } catch (error) {
-    if (error instanceof InvalidUrlError) throw error; // Re-throw
+    if (error instanceof InvalidUrlError || error instanceof DestinationDeniedError) throw error; // Re-throw
     throw new RequestConversionError(`提取目标站点URL失败: ${error.message}`, error);
   }
 }
@@ -382,6 +565,9 @@ function extractTargetSiteFromProxyUrl(requestUrl, globalProxyPath) {
 module.exports = {
   Upstream,
   ReplaceItem,
+  DenyRule,
+  HeaderRule,
+  SiteProfile,
   ProxyRequest,
   ProxyResponse,
   requestBaseConvert,
@@ -0,0 +1,117 @@
+const fs = require('fs-extra');
+const path = require('path');
+const configLoader = require('../config/config-loader');
+const logger = require('./utils/logger');
+
+// 内置的错误页模板
+const BUILTIN_DIR = path.join(__dirname, '..', 'static', 'error-pages');
+
+// 模板中的占位符：{{name}} 或 {{ name }}
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const SERVER_VERSION = process.env.npm_package_version || '2.1.0';
+
+/**
+ * 错误页模板
+ * 所有由代理生成的HTML错误页都通过这里渲染。模板中的 {{name}} 占位符替换为变量值，值一律经过HTML转义。
+ *
+ * 配置 error_pages_dir 后优先使用该目录中的模板，查找顺序（找到即停止）：
+ * 1. sites/<站点名>/<状态码>.html、sites/<站点名>/<页面类型>.html、sites/<站点名>/default.html
+ * 2. <状态码>.html、<页面类型>.html、default.html
+ * 3. 内置模板 static/error-pages/<页面类型>.html、static/error-pages/default.html
+ *
+ * 模板每次渲染时读取，修改模板文件不需要重新加载配置。
+ */
+class ErrorPages {
+  /**
+   * 渲染错误页
+   * @param {string} kind 页面类型：default、upstream、cloudflare、destination-blocked、rate-limited
+   * @param {Object} values 模板变量，必须包含 status
+   * @param {import('./entities').SiteProfile} [site] 请求所属的站点，用于查找站点自己的模板
+   * @returns {string} 页面HTML
+   */
+  render(kind, values, site) {
+    const variables = {
+      timestamp: new Date().toISOString(),
+      time: new Date().toLocaleString('zh-CN'),
+      version: SERVER_VERSION,
+      site: site?.name || '',
+      ...values
+    };
+    const template = this._findTemplate(kind, variables.status, site);
+    return fs.readFileSync(template, 'utf8')
+      .replace(PLACEHOLDER, (match, name) => escapeHtml(variables[name] ?? ''));
+  }
+
+  /**
+   * 生成 HTML 错误响应对象（与 proxyHandler 返回的响应结构相同）
+   * @param {string} kind 页面类型
+   * @param {Object} values 模板变量，必须包含 status 和 requestId
+   * @param {import('./entities').SiteProfile} [site] 请求所属的站点
+   * @param {Object} [headers] 额外的响应头部
+   * @returns {object} 响应对象
+   */
+  createResponse(kind, values, site, headers = {}) {
+    return {
+      content: Buffer.from(this.render(kind, values, site)),
+      statusCode: values.status,
+      headers: {
+        'content-type': 'text/html; charset=utf-8',
+        'cache-control': 'no-cache',
+        'x-gproxy-error': 'true',
+        'x-gproxy-error-code': String(values.status),
+        'x-gproxy-request-id': values.requestId,
+        'x-gproxy-version': SERVER_VERSION,
+        ...headers
+      },
+      isRedirect: false,
+      contentType: 'text/html; charset=utf-8'
+    };
+  }
+
+  /**
+   * 按查找顺序选择模板文件
+   * @param {string} kind 页面类型
+   * @param {number} status 状态码
+   * @param {import('./entities').SiteProfile} [site] 站点
+   * @returns {string} 模板文件路径
+   */
+  _findTemplate(kind, status, site) {
+    const names = [`${status}.html`, `${kind}.html`, 'default.html'];
+    const candidates = [];
+    const configuredDir = configLoader.getConfig().errorPagesDir;
+    if (configuredDir) {
+      const dir = path.resolve(configLoader.getResolveOptions().baseDir, configuredDir);
+      const siteDir = site?.name ? path.resolve(dir, 'sites', site.name) : null;
+      // 站点名来自配置，仍然确认目录没有越出模板目录
+      if (siteDir && siteDir.startsWith(path.resolve(dir, 'sites') + path.sep)) {
+        candidates.push(...names.map(name => path.join(siteDir, name)));
+      }
+      candidates.push(...names.map(name => path.join(dir, name)));
+    }
+    candidates.push(path.join(BUILTIN_DIR, `${kind}.html`));
+
+    const template = candidates.find(file => fs.existsSync(file));
+    if (!template) {
+      logger.warn('未找到错误页模板，使用内置的默认模板', { kind, status });
+    }
+    return template || path.join(BUILTIN_DIR, 'default.html');
+  }
+}
+
+/**
+ * 转义HTML特殊字符
+ * @param {*} value 原始值
+ * @returns {string} 可以安全插入HTML的文本
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// 创建单例实例
+const errorPages = new ErrorPages();
+
+module.exports = errorPages;
+module.exports.escapeHtml = escapeHtml;
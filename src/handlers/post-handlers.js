@@ -1,14 +1,16 @@
 const { URL } = require('url');
 const zlib = require('zlib');
-const CookieManager = require('../utils/cookie-parser');
+const cookieManager = require('../utils/cookie-parser');
 const logger = require('../utils/logger');
 const configLoader = require('../../config/config-loader');
 const { promisify } = require('util');
 const fs = require('fs-extra');
 const path = require('path');
 const { HandlerError } = require('../utils/errors');
-
-const cookieManager = new CookieManager();
+const urlSigner = require('../url-signer');
+const errorPages = require('../error-pages');
+const corsPolicy = require('../cors-policy');
+const securityHeaders = require('../security-headers');
 
 // 压缩方法的Promise版本
 const gunzip = promisify(zlib.gunzip);
@@ -174,38 +176,24 @@ async function postDecompressHandler(upstream, proxyResponse) {
  * @param {string} originalSite 原始站点URL (e.g., https://original.com)。
  * @param {string} proxySite 代理站点URL (e.g., https://proxy.com)。
  * @param {string} globalProxyPath 全局代理路径段。
+ * @param {string} [mountPath=''] 路径前缀挂载点（如 /gh），用于让改写后的链接留在挂载点内。
  * @returns {string} URL替换后的内容字符串。
  */
-function enhancedUrlReplace(content, originalSite, proxySite, globalProxyPath) {
+function enhancedUrlReplace(content, originalSite, proxySite, globalProxyPath, mountPath = '') {
   try {
     if (!content || typeof content !== 'string') {
       return content;
     }
     
-    // Base64编码函数
-    function _safeBase64EncodeUrl(str) {
-      try {
-        // Directly encode the UTF-8 string to Base64
-        return Buffer.from(str, 'utf8').toString('base64');
-      } catch (error) {
-        // Fallback for safety, though Buffer.from should handle typical strings.
-        // Original fallback was encodeURIComponent, which is not a Base64 encoding.
-        // If an error occurs here, it's likely an issue with `str` itself.
-        // Returning the original string تغييرات  or a marker might be better than encodeURIComponent.
-        logger.warn('safeBase64EncodeUrl failed for input:', str, error);
-        return str; // Or perhaps a URL-safe version of the original string if base64 fails
-      }
-    }
-    
     // 1. 替换绝对URL（http://、https://）
     // Ensure originalSite and proxySite are properly escaped for RegExp if they contain special chars
     const escapedOriginalSite = originalSite.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    content = content.replace(new RegExp(escapedOriginalSite, 'g'), proxySite);
+    content = content.replace(new RegExp(escapedOriginalSite, 'g'), proxySite + mountPath);
     
     // 2. 处理协议相对URL（//example.com）
     const originalHost = new URL(originalSite).host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const protocolRelativePattern = new RegExp(`//(?:www\\.)?${originalHost}`, 'g');
-    content = content.replace(protocolRelativePattern, `//${new URL(proxySite).host}`);
+    content = content.replace(protocolRelativePattern, `//${new URL(proxySite).host}${mountPath}`);
     
     // 3. 处理其他域名的URL，转换为全局代理格式
     const urlPattern = /(https?:\/\/[^\s"'<>()]+)/g;
@@ -215,10 +203,21 @@ function enhancedUrlReplace(content, originalSite, proxySite, globalProxyPath) {
       }
       // Avoid re-proxying URLs that are already pointing to common CDNs or known safe external domains if needed.
       // For now, all external URLs not matching proxySite are re-proxied.
-      const encodedUrl = _safeBase64EncodeUrl(match);
-      return `${proxySite}/${globalProxyPath}/${encodedUrl}`;
+      // 编码为Base64，启用 signed_urls 时附带签名和过期时间
+      return `${proxySite}/${globalProxyPath}/${urlSigner.encodeTarget(match)}`;
     });
     
+    // 4. 挂载点模式下，为属性和CSS url()中的根相对路径（/path）补上挂载前缀
+    if (mountPath) {
+      const escapedMount = mountPath.slice(1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const escapedGlobalPath = globalProxyPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const rootRelativePattern = new RegExp(
+        `((?:\\s(?:href|src|action|poster|formaction)\\s*=\\s*|url\\(\\s*)["']?)/(?!/|${escapedMount}(?:[/?#"')]|$)|${escapedGlobalPath}/)`,
+        'gi'
+      );
+      content = content.replace(rootRelativePattern, `$1${mountPath}/`);
+    }
+    
     return content;
   } catch (error) {
     logger.error('URL替换失败:', error);
@@ -233,28 +232,29 @@ function enhancedUrlReplace(content, originalSite, proxySite, globalProxyPath) {
  * @param {string} originalSite 原始站点URL。
  * @param {string} proxySite 代理站点URL。
  * @param {string} globalProxyPath 全局代理路径段。
+ * @param {string} [mountPath=''] 路径前缀挂载点（如 /gh），用于让改写后的链接留在挂载点内。
  * @returns {string} 处理后的CSS内容字符串。
  */
-function processCssContent(cssContent, originalSite, proxySite, globalProxyPath) {
+function processCssContent(cssContent, originalSite, proxySite, globalProxyPath, mountPath = '') {
   try {
     // 基础URL替换
-    let processed = enhancedUrlReplace(cssContent, originalSite, proxySite, globalProxyPath);
+    let processed = enhancedUrlReplace(cssContent, originalSite, proxySite, globalProxyPath, mountPath);
     
     // 处理@import语句
     processed = processed.replace(/@import\s+url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) => {
-      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath);
+      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath, mountPath);
       return `@import url(${quote}${modifiedUrl}${quote})`;
     });
     
     // 处理CSS中的url()函数
     processed = processed.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) => {
-      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath);
+      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath, mountPath);
       return `url(${quote}${modifiedUrl}${quote})`;
     });
     
     // 处理字体文件引用
     processed = processed.replace(/src:\s*url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) => {
-      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath);
+      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath, mountPath);
       return `src: url(${quote}${modifiedUrl}${quote})`;
     });
     
@@ -272,34 +272,35 @@ function processCssContent(cssContent, originalSite, proxySite, globalProxyPath)
  * @param {string} originalSite 原始站点URL。
  * @param {string} proxySite 代理站点URL。
  * @param {string} globalProxyPath 全局代理路径段。
+ * @param {string} [mountPath=''] 路径前缀挂载点（如 /gh），用于让改写后的链接留在挂载点内。
  * @returns {string} 处理后的JavaScript内容字符串。
  */
-function processJavaScriptContent(jsContent, originalSite, proxySite, globalProxyPath) {
+function processJavaScriptContent(jsContent, originalSite, proxySite, globalProxyPath, mountPath = '') {
   try {
     // 基础URL替换
-    let processed = enhancedUrlReplace(jsContent, originalSite, proxySite, globalProxyPath);
+    let processed = enhancedUrlReplace(jsContent, originalSite, proxySite, globalProxyPath, mountPath);
     
     // 处理fetch请求中的URL
     processed = processed.replace(/fetch\s*\(\s*['"`]([^'"`]+)['"`]/gi, (match, url) => {
-      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath);
+      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath, mountPath);
       return match.replace(url, modifiedUrl);
     });
     
     // 处理XMLHttpRequest中的URL
     processed = processed.replace(/\.open\s*\(\s*['"`]([^'"`]+)['"`]\s*,\s*['"`]([^'"`]+)['"`]/gi, (match, method, url) => {
-      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath);
+      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath, mountPath);
       return match.replace(url, modifiedUrl);
     });
     
     // 处理动态URL构建
     processed = processed.replace(/location\.href\s*=\s*['"`]([^'"`]+)['"`]/gi, (match, url) => {
-      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath);
+      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath, mountPath);
       return match.replace(url, modifiedUrl);
     });
     
     // 处理window.open
     processed = processed.replace(/window\.open\s*\(\s*['"`]([^'"`]+)['"`]/gi, (match, url) => {
-      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath);
+      const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath, mountPath);
       return match.replace(url, modifiedUrl);
     });
     
@@ -317,53 +318,54 @@ function processJavaScriptContent(jsContent, originalSite, proxySite, globalProx
  * @param {string} originalSite 原始站点URL。
  * @param {string} proxySite 代理站点URL。
  * @param {string} globalProxyPath 全局代理路径段。
+ * @param {string} [mountPath=''] 路径前缀挂载点（如 /gh），用于让改写后的链接留在挂载点内。
  * @returns {string} 处理后的HTML内容字符串。
  */
-function processHtmlContent(htmlContent, originalSite, proxySite, globalProxyPath) {
+function processHtmlContent(htmlContent, originalSite, proxySite, globalProxyPath, mountPath = '') {
   try {
     // 基础URL替换
-    let processed = enhancedUrlReplace(htmlContent, originalSite, proxySite, globalProxyPath);
+    let processed = enhancedUrlReplace(htmlContent, originalSite, proxySite, globalProxyPath, mountPath);
     
     // 处理meta标签中的URL
     processed = processed.replace(/<meta([^>]*)(property|name)=["']?([^"'>]*url[^"'>]*)["']?([^>]*content=["']?)([^"'>]+)(["'][^>]*>)/gi, 
       (match, before, attrType, attrName, contentStart, url, contentEnd) => {
-        const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath);
+        const modifiedUrl = enhancedUrlReplace(url, originalSite, proxySite, globalProxyPath, mountPath);
         return `<meta${before}${attrType}="${attrName}"${contentStart}${modifiedUrl}${contentEnd}`;
       });
     
     // 处理base标签
     processed = processed.replace(/<base\s+href=["']?([^"'>]+)["']?([^>]*)>/gi, (match, href, rest) => {
-      const modifiedHref = enhancedUrlReplace(href, originalSite, proxySite, globalProxyPath);
+      const modifiedHref = enhancedUrlReplace(href, originalSite, proxySite, globalProxyPath, mountPath);
       return `<base href="${modifiedHref}"${rest}>`;
     });
     
     // 处理link标签
     processed = processed.replace(/<link([^>]*href=["']?)([^"'>]+)(["'][^>]*>)/gi, (match, before, href, after) => {
-      const modifiedHref = enhancedUrlReplace(href, originalSite, proxySite, globalProxyPath);
+      const modifiedHref = enhancedUrlReplace(href, originalSite, proxySite, globalProxyPath, mountPath);
       return `<link${before}${modifiedHref}${after}`;
     });
     
     // 处理form action
     processed = processed.replace(/<form([^>]*action=["']?)([^"'>]+)(["'][^>]*>)/gi, (match, before, action, after) => {
-      const modifiedAction = enhancedUrlReplace(action, originalSite, proxySite, globalProxyPath);
+      const modifiedAction = enhancedUrlReplace(action, originalSite, proxySite, globalProxyPath, mountPath);
       return `<form${before}${modifiedAction}${after}`;
     });
     
     // 处理iframe src
     processed = processed.replace(/<iframe([^>]*src=["']?)([^"'>]+)(["'][^>]*>)/gi, (match, before, src, after) => {
-      const modifiedSrc = enhancedUrlReplace(src, originalSite, proxySite, globalProxyPath);
+      const modifiedSrc = enhancedUrlReplace(src, originalSite, proxySite, globalProxyPath, mountPath);
       return `<iframe${before}${modifiedSrc}${after}`;
     });
     
     // 处理video/audio源文件
     processed = processed.replace(/<(video|audio|source)([^>]*src=["']?)([^"'>]+)(["'][^>]*>)/gi, (match, tag, before, src, after) => {
-      const modifiedSrc = enhancedUrlReplace(src, originalSite, proxySite, globalProxyPath);
+      const modifiedSrc = enhancedUrlReplace(src, originalSite, proxySite, globalProxyPath, mountPath);
       return `<${tag}${before}${modifiedSrc}${after}`;
     });
     
     // 处理内联CSS中的URL
     processed = processed.replace(/style=["']([^"']*url\([^)]+\)[^"']*)["']/gi, (match, style) => {
-      const modifiedStyle = processCssContent(style, originalSite, proxySite, globalProxyPath);
+      const modifiedStyle = processCssContent(style, originalSite, proxySite, globalProxyPath, mountPath);
       return `style="${modifiedStyle}"`;
     });
     
@@ -376,7 +378,7 @@ function processHtmlContent(htmlContent, originalSite, proxySite, globalProxyPat
 
 /**
  * 基础后置处理器 - 主要处理响应头。
- * 移除潜在冲突的安全头部，添加CORS头部，转换Location和Set-Cookie头部，确保文本类型编码。
+ * 移除或改写（security_headers.mode 为 rewrite 时）上游的安全头部，按CORS策略替换跨域头部，转换Location和Set-Cookie头部，确保文本类型编码。
  * @param {import('../entities').Upstream} upstream 上游服务器信息对象。
  * @param {import('../entities').ProxyResponse} proxyResponse 代理响应对象。
  * @returns {import('../entities').ProxyResponse} 处理后的响应对象。
@@ -387,52 +389,42 @@ function postHandler(upstream, proxyResponse) {
     const request = proxyResponse.proxyRequest;
     const upstreamSite = upstream.site;
     const proxySite = request?.site; // request might be null if proxyResponse was an error created early
+    const mountPath = request?.mountPath || '';
 
-    // 移除可能干扰的头部
-    const headersToRemove = [
-      'content-security-policy',
-      'content-security-policy-report-only',
-      'x-frame-options',
-      'x-content-type-options',
-      'strict-transport-security',
-      'expect-ct',
-      'referrer-policy',
-      'feature-policy',
-      'permissions-policy',
-      'cross-origin-opener-policy',
-      'cross-origin-embedder-policy',
-      'cross-origin-resource-policy',
-      'origin-agent-cluster'
-    ];
-
-    headersToRemove.forEach(header => {
-      delete headers[header];
-    });
+    // 移除可能干扰的安全头部，或按配置改写为适用于代理的形式
+    securityHeaders.process(headers, { upstreamSite, proxySite, mountPath }, request?.siteProfile);
 
-    // 添加CORS头部
-    headers['access-control-allow-origin'] = '*';
-    headers['access-control-allow-credentials'] = 'true';
-    headers['access-control-allow-methods'] = 'GET, POST, PUT, DELETE, OPTIONS, PATCH';
-    headers['access-control-allow-headers'] = 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Cache-Control';
+    // 按CORS策略替换上游的跨域头部
+    corsPolicy.applyToResponse(headers, request?.clientHeaders, request?.method, request?.siteProfile);
 
     // 处理Location头部（重定向）
     if (headers['location']) {
       if (proxySite) {
-        headers['location'] = headers['location'].replace(upstreamSite, proxySite);
+        headers['location'] = headers['location'].replace(upstreamSite, proxySite + mountPath);
+        // 挂载点模式下，根相对的重定向也要留在挂载点内
+        if (mountPath && headers['location'].startsWith('/') && !headers['location'].startsWith('//')) {
+          headers['location'] = mountPath + headers['location'];
+        }
         logger.debug('重定向URL转换:', { newLocation: headers['location'] });
       } else {
         logger.warn('无法转换Location头：缺少proxyRequest.site信息');
       }
     }
 
-    // 处理Set-Cookie头部
+    // 处理Set-Cookie头部，上游Cookie保存在该浏览器会话自己的Cookie罐中
     if (headers['set-cookie']) {
       if (proxySite) {
+        const session = request.cookieSession;
         headers['set-cookie'] = cookieManager.handleSetCookieFromUpstream(
           headers['set-cookie'], 
           upstreamSite, // URL the cookie was received from (upstream)
-          proxySite     // URL the client is talking to (proxy)
+          proxySite,    // URL the client is talking to (proxy)
+          mountPath,    // Cookie path prefix so it stays inside the mount
+          session?.id   // Jar of this browser session
         );
+        if (session?.isNew) {
+          headers['set-cookie'].push(cookieManager.buildSessionCookie(session.id, proxySite.startsWith('https:')));
+        }
       } else {
         logger.warn('无法转换Set-Cookie头：缺少proxyRequest.site信息');
         // Decide: pass through original Set-Cookie, or remove, or attempt partial modification?
@@ -500,32 +492,38 @@ function postReplaceContentHandler(upstream, proxyResponse) {
     const config = configLoader.getConfig();
     const proxySite = request.site;
     const globalProxyPath = config.globalProxyPath;
+    const mountPath = request.mountPath || '';
 
+    const originalContent = content;
     if (contentInfo.isHtml) {
-      content = processHtmlContent(content, upstream.site, proxySite, globalProxyPath);
+      content = processHtmlContent(content, upstream.site, proxySite, globalProxyPath, mountPath);
     } else if (contentInfo.isCss) {
-      content = processCssContent(content, upstream.site, proxySite, globalProxyPath);
+      content = processCssContent(content, upstream.site, proxySite, globalProxyPath, mountPath);
     } else if (contentInfo.isJavaScript) {
-      content = processJavaScriptContent(content, upstream.site, proxySite, globalProxyPath);
+      content = processJavaScriptContent(content, upstream.site, proxySite, globalProxyPath, mountPath);
     } else if (contentInfo.isJson) {
-      content = enhancedUrlReplace(content, upstream.site, proxySite, globalProxyPath);
+      content = enhancedUrlReplace(content, upstream.site, proxySite, globalProxyPath, mountPath);
     } else {
-      content = enhancedUrlReplace(content, upstream.site, proxySite, globalProxyPath);
+      content = enhancedUrlReplace(content, upstream.site, proxySite, globalProxyPath, mountPath);
     }
 
-    const replaceList = config.replaceList || [];
+    const replaceList = request.siteProfile?.replaceList || config.replaceList || [];
     for (const replaceItem of replaceList) {
       try {
         if (replaceItem.urlMatch && !new RegExp(replaceItem.urlMatch).test(request.urlNoSite)) continue;
         if (replaceItem.urlExclude && new RegExp(replaceItem.urlExclude).test(request.urlNoSite)) continue;
         if (replaceItem.contentType && !contentInfo.contentType.includes(replaceItem.contentType)) continue;
-        let searchStr = replaceItem.search.replace(/\$upstream/g, upstream.site).replace(/\$custom_site/g, proxySite).replace(/\$scheme/g, new URL(proxySite).protocol.slice(0, -1)).replace(/\$host/g, new URL(proxySite).host).replace(/\$PROXY/g, globalProxyPath);
-        let replaceStr = replaceItem.replace.replace(/\$upstream/g, upstream.site).replace(/\$custom_site/g, proxySite).replace(/\$scheme/g, new URL(proxySite).protocol.slice(0, -1)).replace(/\$host/g, new URL(proxySite).host).replace(/\$PROXY/g, globalProxyPath);
+        let searchStr = replaceItem.search.replace(/\$upstream/g, upstream.site).replace(/\$custom_site/g, proxySite + mountPath).replace(/\$scheme/g, new URL(proxySite).protocol.slice(0, -1)).replace(/\$host/g, new URL(proxySite).host).replace(/\$PROXY/g, globalProxyPath);
+        let replaceStr = replaceItem.replace.replace(/\$upstream/g, upstream.site).replace(/\$custom_site/g, proxySite + mountPath).replace(/\$scheme/g, new URL(proxySite).protocol.slice(0, -1)).replace(/\$host/g, new URL(proxySite).host).replace(/\$PROXY/g, globalProxyPath);
         content = content.replace(new RegExp(searchStr, replaceItem.matchType === 2 ? 'g' : 'gi'), replaceStr); // use 'gi' for string replace for consistency if desired, or just 'g'
       } catch (ruleError) {
         logger.warn('替换规则执行失败:', { rule: replaceItem, error: ruleError.message });
       }
     }
+    // 保留的CSP中以哈希允许的内联脚本、样式被改写后，需要补上新的哈希
+    if (contentInfo.isHtml) {
+      securityHeaders.updateInlineHashes(proxyResponse.headers, originalContent, content);
+    }
     proxyResponse.content = Buffer.from(content, 'utf-8');
     if (proxyResponse.headers['content-length']) {
       proxyResponse.headers['content-length'] = proxyResponse.content.length.toString();
@@ -559,10 +557,23 @@ function postInjectHandler(upstream, proxyResponse) {
     }
     let injectScript = fs.readFileSync(injectJsPath, 'utf-8');
     const config = configLoader.getConfig();
+    const mountPath = proxyResponse.proxyRequest.mountPath || '';
     injectScript = injectScript.replace(/#global_proxy_path#/g, config.globalProxyPath || 'proxy-dGltZWhv');
-    const siteInfo = `\nwindow.__GPROXY_INFO__ = { upstream: '${upstream.site}', proxy: '${proxyResponse.proxyRequest.site}', globalPath: '${config.globalProxyPath}', timestamp: ${Date.now()} };\n`;
+    injectScript = injectScript.replace(/#mount_path#/g, mountPath);
+    // 启用URL签名时注入当前浏览器会话的客户端签名密钥
+    const clientKey = urlSigner.issueClientKey(proxyResponse.proxyRequest.clientHeaders);
+    injectScript = injectScript.replace(/#url_signing_key#/g, clientKey ? clientKey.key : '');
+    injectScript = injectScript.replace(/#url_signing_expires#/g, clientKey ? String(clientKey.expires) : '0');
+    if (clientKey?.isNewSession) {
+      const sessionCookie = urlSigner.buildSessionCookie(clientKey.sessionId, proxyResponse.proxyRequest.site.startsWith('https:'));
+      proxyResponse.headers['set-cookie'] = [].concat(proxyResponse.headers['set-cookie'] || [], sessionCookie);
+    }
+    const siteInfo = `\nwindow.__GPROXY_INFO__ = { upstream: '${upstream.site}', proxy: '${proxyResponse.proxyRequest.site}', mountPath: '${mountPath}', globalPath: '${config.globalProxyPath}', timestamp: ${Date.now()} };\n`;
     injectScript = siteInfo + injectScript;
-    const fullInjectScript = `\n<script type="text/javascript">\n(function() { if (window.__GPROXY_INJECTED__) return; window.__GPROXY_INJECTED__ = true; ${injectScript} })();\n</script>\n`;
+    const scriptBody = `\n(function() { if (window.__GPROXY_INJECTED__) return; window.__GPROXY_INJECTED__ = true; ${injectScript} })();\n`;
+    // 上游的CSP被保留时，为注入脚本加上 nonce 或哈希
+    const scriptAttributes = securityHeaders.allowInlineScript(proxyResponse.headers, scriptBody, proxyResponse.proxyRequest.siteProfile);
+    const fullInjectScript = `\n<script type="text/javascript"${scriptAttributes}>${scriptBody}</script>\n`;
     let injectionPoint = content.indexOf('</head>');
     if (injectionPoint !== -1) {
       content = content.slice(0, injectionPoint) + fullInjectScript + content.slice(injectionPoint);
@@ -637,7 +648,16 @@ function postErrorPageHandler(upstream, proxyResponse) {
       : proxyResponse.content.toString();
     if (currentContent.length < 500 || !currentContent.toLowerCase().includes('<html')) {
       const requestPath = proxyResponse.proxyRequest?.urlNoSite || '/';
-      const enhancedErrorPageHtml = _generateProxyErrorPageHtml(proxyResponse.statusCode, upstream.site, requestPath);
+      const enhancedErrorPageHtml = errorPages.render('upstream', {
+        status: proxyResponse.statusCode,
+        message: getErrorMessage(proxyResponse.statusCode),
+        requestId: proxyResponse.response?.config?.headers?.['x-gproxy-request-id'] || '',
+        method: proxyResponse.proxyRequest?.method || '',
+        path: requestPath,
+        upstream: upstream.site,
+        host: upstream.host,
+        url: upstream.site + requestPath
+      }, proxyResponse.proxyRequest?.siteProfile);
       proxyResponse.content = Buffer.from(enhancedErrorPageHtml, 'utf-8');
       proxyResponse.headers['content-type'] = 'text/html; charset=utf-8';
       proxyResponse.headers['content-length'] = proxyResponse.content.length.toString();
@@ -650,50 +670,6 @@ function postErrorPageHandler(upstream, proxyResponse) {
   }
 }
 
-/**
- * @private
- * Generates HTML for a custom proxy error page.
- */
-function _generateProxyErrorPageHtml(statusCode, upstreamSite, requestPath) {
-  const friendlyMessage = getErrorMessage(statusCode);
-  const serverVersion = process.env.npm_package_version || '2.1.0'; // Try to get version from package.json
-
-  return `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>代理错误 ${statusCode}</title>
-    <style>
-        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #333; min-height: 100vh; display: flex; align-items: center; justify-content: center; }
-        .container { background: white; border-radius: 10px; padding: 40px; box-shadow: 0 10px 30px rgba(0,0,0,0.1); max-width: 600px; text-align: center; }
-        .error-code { font-size: 4em; font-weight: bold; color: #e74c3c; margin-bottom: 20px; }
-        .error-message { font-size: 1.2em; margin-bottom: 30px; color: #555; }
-        .details { background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: left; font-family: monospace; word-break: break-all; }
-        .retry-btn { background: #3498db; color: white; padding: 12px 24px; border: none; border-radius: 5px; cursor: pointer; font-size: 1em; margin: 10px; transition: background 0.3s; }
-        .retry-btn:hover { background: #2980b9; }
-        .footer { margin-top: 30px; color: #7f8c8d; font-size: 0.9em; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="error-code">${statusCode}</div>
-        <div class="error-message">${friendlyMessage}</div>
-        <div class="details">
-            <strong>请求地址:</strong> ${upstreamSite}${requestPath || '/'}<br>
-            <strong>代理服务器:</strong> Gproxy-Node v${serverVersion}<br>
-            <strong>时间:</strong> ${new Date().toLocaleString('zh-CN')}
-        </div>
-        <button class="retry-btn" onclick="location.reload()">重试</button>
-        <button class="retry-btn" onclick="history.back()">返回</button>
-        <div class="footer">
-            如果问题持续存在，请联系管理员或稍后重试。
-        </div>
-    </div>
-</body>
-</html>`;
-}
-
 /**
  * 获取友好的错误消息
  * @param {number} statusCode HTTP状态码
@@ -1,10 +1,8 @@
-const CookieManager = require('../utils/cookie-parser');
+const cookieManager = require('../utils/cookie-parser');
 const logger = require('../utils/logger');
 const configLoader = require('../../config/config-loader');
 const { HandlerError } = require('../utils/errors');
 
-const cookieManager = new CookieManager();
-
 /**
  * 基础前置处理器 - 处理特定于代理转发的请求头转换。
  * 主要负责修改 Host, Referer, Origin 以匹配上游，并使用 CookieManager 处理请求 Cookie。
@@ -24,8 +22,12 @@ function preHandler(upstream, proxyRequest) {
         const originalRefererUrl = new URL(proxyRequest.headers['referer']);
         const proxySiteUrl = new URL(proxyRequest.site);
         if (originalRefererUrl.host === proxySiteUrl.host) {
-          proxyRequest.headers['referer'] = proxyRequest.headers['referer']
-            .replace(proxyRequest.site, upstream.site);
+          // 来自同一挂载点的Referer需要一并去掉路径前缀
+          const proxyBase = proxyRequest.site + (proxyRequest.mountPath || '');
+          const referer = proxyRequest.headers['referer'];
+          proxyRequest.headers['referer'] = proxyRequest.mountPath && referer.startsWith(proxyBase)
+            ? upstream.site + referer.slice(proxyBase.length)
+            : referer.replace(proxyRequest.site, upstream.site);
         }
       } catch (e) {
         logger.warn('无法解析或修改Referer URL:', { referer: proxyRequest.headers['referer'], error: e.message });
@@ -53,10 +55,15 @@ function preHandler(upstream, proxyRequest) {
     // However, if client explicitly sets cookies for the PROXY domain that are meant for upstream,
     // simple domain rewriting might be needed if not using a jar for client->proxy cookies.
 
-    // Current approach: Get cookies specifically for the upstream from our managed jar.
+    // Current approach: Get cookies specifically for the upstream from the client's own jar,
+    // identified by the signed proxy session cookie (postHandler issues it once the upstream sets cookies).
     // This implies the jar is populated by responses from the upstream.
     // Any cookies client sent to proxy *for the proxy's domain* are not automatically forwarded unless also in jar for upstream.
-    proxyRequest.headers['cookie'] = cookieManager.getCookiesForUpstream(upstream.site + proxyRequest.urlNoSite);
+    proxyRequest.cookieSession = cookieManager.resolveSession(proxyRequest.clientHeaders);
+    proxyRequest.headers['cookie'] = cookieManager.getCookiesForUpstream(
+      upstream.site + proxyRequest.urlNoSite,
+      proxyRequest.cookieSession.id
+    );
     
     delete proxyRequest.headers['content-length'];
     delete proxyRequest.headers['connection'];
@@ -287,7 +294,8 @@ function requestBodyHandler(upstream, proxyRequest) {
         let bodyStr = Buffer.isBuffer(proxyRequest.data) ? proxyRequest.data.toString() : 
                       (typeof proxyRequest.data === 'string' ? proxyRequest.data : JSON.stringify(proxyRequest.data));
         // Ensure proxyRequest.site is a valid base for RegExp
-        const sitePattern = (proxyRequest.site || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const proxyBase = proxyRequest.site ? proxyRequest.site + (proxyRequest.mountPath || '') : '';
+        const sitePattern = proxyBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         if (sitePattern) { // Only replace if sitePattern is not empty
             const replacedBody = bodyStr.replace(new RegExp(sitePattern, 'g'), upstream.site);
             if (replacedBody !== bodyStr) {
@@ -304,6 +312,9 @@ function requestBodyHandler(upstream, proxyRequest) {
   }
 }
 
+// 只有JSON请求体需要改写，需要先读入内存；其他请求体直接以流的形式转发
+requestBodyHandler.needsBody = (proxyRequest) => (proxyRequest.headers['content-type'] || '').includes('application/json');
+
 /**
  * YouTube专用头部处理器。
  * 为YouTube和GoogleVideo的请求设置特定的Cookie, x-youtube-client-* 头部，以及必要的Referer/Origin。
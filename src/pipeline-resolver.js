@@ -0,0 +1,277 @@
+const configLoader = require('../config/config-loader');
+const logger = require('./utils/logger');
+const pluginLoader = require('./plugin-loader');
+const { shouldUseStreamProcessing } = require('./proxy-handler');
+const { matchHostPattern } = require('./utils/host-matcher');
+
+const {
+  preHandler,
+  mediaPreHandler,
+  preDisableCache,
+  createCustomHomePathHandler,
+  securityHeaderHandler,
+  requestBodyHandler,
+  youtubeHeaderHandler,
+  cloudflarePreHandler,
+  antiDetectionPreHandler
+} = require('./handlers/pre-handlers');
+
+const {
+  postHandler,
+  postReplaceContentHandler,
+  postInjectHandler,
+  postDecompressHandler,
+  postOptimizeHeadersHandler,
+  postErrorPageHandler
+} = require('./handlers/post-handlers');
+
+/**
+ * 检测域名是否可能受Cloudflare保护
+ * @param {string} hostname 主机名
+ * @param {string[]} cloudflareHostsList 配置文件中读取的Cloudflare域名列表
+ * @returns {boolean} 是否可能受保护
+ */
+function isLikelyCloudflareProtected(hostname, cloudflareHostsList) {
+  if (!hostname || !Array.isArray(cloudflareHostsList)) {
+    return false;
+  }
+  return cloudflareHostsList.some(host => hostname.includes(host));
+}
+
+// 内置处理器注册表：名称 => 根据请求上下文创建处理器的工厂，返回null表示本次请求跳过
+const BUILTIN_HANDLERS = {
+  pre: {
+    securityHeaderHandler: () => securityHeaderHandler,
+    antiDetectionPreHandler: () => antiDetectionPreHandler,
+    cloudflarePreHandler: ({ upstream }) => (
+      isLikelyCloudflareProtected(upstream.host, configLoader.getConfig().cloudflareProtectedHosts)
+        ? cloudflarePreHandler
+        : null
+    ),
+    customHomePathHandler: ({ site }) => createCustomHomePathHandler(site?.homePath),
+    preHandler: () => preHandler,
+    mediaPreHandler: () => mediaPreHandler,
+    youtubeHeaderHandler: () => youtubeHeaderHandler,
+    requestBodyHandler: () => requestBodyHandler,
+    preDisableCache: () => preDisableCache
+  },
+  post: {
+    postDecompressHandler: () => postDecompressHandler,
+    postHandler: () => postHandler,
+    postReplaceContentHandler: () => postReplaceContentHandler,
+    postInjectHandler: () => postInjectHandler,
+    postOptimizeHeadersHandler: () => postOptimizeHeadersHandler,
+    postErrorPageHandler: () => postErrorPageHandler
+  }
+};
+
+// 未命中 pipelines 配置时使用的默认管道，顺序值与插件的 order 处于同一数轴
+const DEFAULT_PIPELINES = {
+  stream: {
+    name: 'default-stream',
+    pre: [
+      { handler: 'securityHeaderHandler', order: 100 },
+      { handler: 'preHandler', order: 500 },
+      { handler: 'mediaPreHandler', order: 600 },
+      { handler: 'youtubeHeaderHandler', order: 700 },
+      { handler: 'requestBodyHandler', order: 800 }
+    ],
+    post: []
+  },
+  base: {
+    name: 'default-base',
+    pre: [
+      { handler: 'securityHeaderHandler', order: 100 },
+      { handler: 'antiDetectionPreHandler', order: 200 },
+      { handler: 'cloudflarePreHandler', order: 300 },
+      { handler: 'customHomePathHandler', order: 400 },
+      { handler: 'preHandler', order: 500 },
+      { handler: 'mediaPreHandler', order: 600 },
+      { handler: 'youtubeHeaderHandler', order: 700 },
+      { handler: 'requestBodyHandler', order: 800 }
+    ],
+    post: [
+      { handler: 'postDecompressHandler', order: 100 },
+      { handler: 'postHandler', order: 200 },
+      { handler: 'postReplaceContentHandler', order: 300 },
+      { handler: 'postInjectHandler', order: 400 },
+      { handler: 'postOptimizeHeadersHandler', order: 500 },
+      { handler: 'postErrorPageHandler', order: 600 }
+    ]
+  },
+  global: {
+    name: 'default-global',
+    pre: [
+      { handler: 'securityHeaderHandler', order: 100 },
+      { handler: 'antiDetectionPreHandler', order: 200 },
+      { handler: 'cloudflarePreHandler', order: 300 },
+      { handler: 'preHandler', order: 500 },
+      { handler: 'mediaPreHandler', order: 600 },
+      { handler: 'youtubeHeaderHandler', order: 700 },
+      { handler: 'requestBodyHandler', order: 800 }
+    ],
+    post: [
+      { handler: 'postDecompressHandler', order: 100 },
+      { handler: 'postHandler', order: 200 },
+      { handler: 'postReplaceContentHandler', order: 300 },
+      { handler: 'postOptimizeHeadersHandler', order: 500 },
+      { handler: 'postErrorPageHandler', order: 600 }
+    ]
+  }
+};
+
+/**
+ * 将配置中的处理器列表规范化为 { handler, order }，字符串项按位置分配顺序值 100、200、...
+ * @param {Array<string|Object>} list 处理器列表
+ * @returns {Array<{handler: string, order: number}>} 规范化后的列表
+ */
+function normalizeHandlerList(list) {
+  return list.map((item, index) => {
+    if (typeof item === 'string') {
+      return { handler: item, order: (index + 1) * 100 };
+    }
+    return {
+      handler: item?.handler,
+      order: typeof item?.order === 'number' ? item.order : (index + 1) * 100
+    };
+  });
+}
+
+/**
+ * 处理管道解析器
+ * 根据代理模式、站点、上游主机名和URL选择 pipelines 中声明的处理管道（未命中时使用默认管道），
+ * 并与插件处理器合并为最终的前置/后置处理器列表。
+ */
+class PipelineResolver {
+  constructor() {
+    // 已提示过的未知处理器，避免每个请求重复告警
+    this.warnedHandlers = new Set();
+  }
+
+  /**
+   * 查找第一个匹配当前请求的声明管道
+   * @param {Object} context 请求上下文
+   * @returns {Object|null} 管道定义
+   */
+  findDeclaredPipeline({ mode, site, upstream, proxyRequest }) {
+    const pipelines = configLoader.getConfig().pipelines || [];
+    return pipelines.find(pipeline => {
+      if (pipeline.mode && pipeline.mode !== mode) {
+        return false;
+      }
+      if (pipeline.site && pipeline.site !== site?.name) {
+        return false;
+      }
+      if (pipeline.host && !matchHostPattern(upstream.host, pipeline.host)) {
+        return false;
+      }
+      if (pipeline.path && !pipeline.path.test(proxyRequest.urlNoSite || '')) {
+        return false;
+      }
+      return true;
+    }) || null;
+  }
+
+  /**
+   * 为当前请求解析处理管道
+   * @param {Object} context 请求上下文
+   * @param {string} context.mode 代理模式：'base' 或 'global'
+   * @param {import('./entities').SiteProfile} context.site 当前站点配置
+   * @param {import('./entities').Upstream} context.upstream 上游服务器
+   * @param {import('./entities').ProxyRequest} context.proxyRequest 代理请求（使用 urlNoSite 匹配）
+   * @returns {{name: string, stream: boolean, bodyLimit: number|null, preHandlers: Function[], postHandlers: Function[], pre: string[], post: string[], unknownHandlers: string[]}}
+   */
+  resolve(context) {
+    const declared = this.findDeclaredPipeline(context);
+    const stream = typeof declared?.stream === 'boolean'
+      ? declared.stream
+      : shouldUseStreamProcessing(context.proxyRequest);
+    const fallback = stream ? DEFAULT_PIPELINES.stream : DEFAULT_PIPELINES[context.mode];
+
+    const preSpecs = declared?.pre ? normalizeHandlerList(declared.pre) : fallback.pre;
+    // 流式处理直接把上游响应转发给客户端，不执行后置处理器
+    const postSpecs = stream ? [] : (declared?.post ? normalizeHandlerList(declared.post) : fallback.post);
+
+    const unknownHandlers = [];
+    const composeContext = { mode: context.mode, site: context.site, stream };
+    const pre = this._composeStage('pre', preSpecs, context, composeContext, unknownHandlers);
+    const post = stream ? [] : this._composeStage('post', postSpecs, context, composeContext, unknownHandlers);
+
+    return {
+      name: declared?.name || fallback.name,
+      stream,
+      bodyLimit: declared?.bodyLimit ?? null,
+      preHandlers: pre.map(entry => entry.handler),
+      postHandlers: post.map(entry => entry.handler),
+      pre: pre.map(entry => entry.name),
+      post: post.map(entry => entry.name),
+      unknownHandlers
+    };
+  }
+
+  /**
+   * 获取可供 /admin/pipelines 展示的管道信息
+   * @returns {Object} 默认管道、声明的管道与可用处理器
+   */
+  describe() {
+    const config = configLoader.getConfig();
+    return {
+      defaults: Object.values(DEFAULT_PIPELINES),
+      pipelines: (config.pipelines || []).map(pipeline => ({
+        ...pipeline,
+        path: pipeline.path ? pipeline.path.source : null,
+        pre: pipeline.pre ? normalizeHandlerList(pipeline.pre) : null,
+        post: pipeline.post ? normalizeHandlerList(pipeline.post) : null
+      })),
+      availableHandlers: {
+        pre: [
+          ...Object.keys(BUILTIN_HANDLERS.pre),
+          ...pluginLoader.preHandlers.map(item => item.fullName)
+        ],
+        post: [
+          ...Object.keys(BUILTIN_HANDLERS.post),
+          ...pluginLoader.postHandlers.map(item => item.fullName)
+        ]
+      }
+    };
+  }
+
+  /**
+   * 将处理器列表解析为处理器函数并与插件处理器合并
+   * @private
+   */
+  _composeStage(stage, specs, context, composeContext, unknownHandlers) {
+    const exclude = new Set();
+    const entries = [];
+
+    specs.forEach(({ handler: name, order }) => {
+      const factory = BUILTIN_HANDLERS[stage][name];
+      if (factory) {
+        const handler = factory(context);
+        if (handler) {
+          entries.push({ name, order, handler });
+        }
+        return;
+      }
+      // 显式列出的插件处理器（插件名:处理器名）按列表位置执行，不再按其 order 重复插入
+      const pluginHandler = pluginLoader.findHandler(stage, name);
+      if (pluginHandler) {
+        exclude.add(pluginHandler.fullName);
+        entries.push({ name, order, handler: pluginHandler.handler });
+        return;
+      }
+      unknownHandlers.push(name);
+      if (!this.warnedHandlers.has(`${stage}:${name}`)) {
+        this.warnedHandlers.add(`${stage}:${name}`);
+        logger.warn('管道中的处理器不存在，已跳过', { stage, handler: name });
+      }
+    });
+
+    return pluginLoader.compose(stage, entries, { ...composeContext, exclude });
+  }
+}
+
+// 创建单例实例
+const pipelineResolver = new PipelineResolver();
+
+module.exports = pipelineResolver;
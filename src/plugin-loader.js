@@ -0,0 +1,262 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./utils/logger');
+const { HandlerError } = require('./utils/errors');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const PLUGINS_DIR = path.join(PROJECT_ROOT, 'plugins');
+
+// 未指定顺序的插件处理器默认排在所有内置处理器之后
+const DEFAULT_PLUGIN_ORDER = 1000;
+
+/**
+ * 插件加载器
+ * 根据配置中的 custom_handlers 加载插件（plugins/ 目录下的本地模块或 npm 包），
+ * 收集插件注册的具名前置/后置处理器，并按顺序插入代理处理管道。
+ *
+ * 插件模块需导出 `register(api, options)` 函数（或直接导出该函数），可选导出 `name`：
+ *   module.exports = {
+ *     name: 'my-plugin',
+ *     register(api, options) {
+ *       api.registerPreHandler('myPreHandler', (upstream, proxyRequest) => proxyRequest, { order: 450 });
+ *       api.registerPostHandler('myPostHandler', async (upstream, proxyResponse) => proxyResponse);
+ *     }
+ *   };
+ */
+class PluginLoader {
+  constructor() {
+    this.plugins = [];
+    this.preHandlers = [];
+    this.postHandlers = [];
+  }
+
+  /**
+   * 加载 custom_handlers 中声明的全部插件，替换之前加载的处理器。
+   * 单个插件加载失败只记录错误，不影响其他插件和代理服务。
+   * @param {Array<string|Object>} customHandlers 配置中的 custom_handlers 列表
+   * @returns {Object[]} 插件加载状态列表
+   */
+  load(customHandlers = []) {
+    const plugins = [];
+    const preHandlers = [];
+    const postHandlers = [];
+
+    (Array.isArray(customHandlers) ? customHandlers : []).forEach((entry, index) => {
+      const spec = typeof entry === 'string' ? { module: entry } : (entry || {});
+      const status = {
+        name: spec.name || spec.module,
+        module: spec.module,
+        source: null,
+        enabled: spec.enabled !== false,
+        loaded: false,
+        error: null,
+        handlers: []
+      };
+      plugins.push(status);
+
+      if (!spec.module || typeof spec.module !== 'string') {
+        status.error = `custom_handlers[${index}] 缺少module字段`;
+        logger.warn('忽略无效的插件配置:', { index });
+        return;
+      }
+      if (!status.enabled) {
+        logger.info('插件已禁用，跳过加载', { module: spec.module });
+        return;
+      }
+
+      try {
+        const { modulePath, source } = this._resolveModule(spec.module);
+        status.source = source;
+        const pluginModule = this._requireModule(modulePath, source);
+        const register = typeof pluginModule === 'function' ? pluginModule : pluginModule?.register;
+        if (typeof register !== 'function') {
+          throw new Error('插件未导出register函数');
+        }
+        status.name = spec.name || pluginModule.name || spec.module;
+
+        const collected = { pre: [], post: [] };
+        register(this._createApi(status.name, collected), spec.options || {});
+
+        const scope = {
+          modes: Array.isArray(spec.modes) ? spec.modes : null,
+          sites: Array.isArray(spec.sites) ? spec.sites : null
+        };
+        const orderOverrides = spec.order && typeof spec.order === 'object' ? spec.order : {};
+        ['pre', 'post'].forEach(stage => {
+          collected[stage].forEach(item => {
+            const handler = {
+              ...item,
+              ...scope,
+              order: typeof orderOverrides[item.name] === 'number' ? orderOverrides[item.name] : item.order,
+              sequence: index
+            };
+            (stage === 'pre' ? preHandlers : postHandlers).push(handler);
+            status.handlers.push({ stage, name: handler.name, order: handler.order, stream: handler.stream });
+          });
+        });
+
+        status.loaded = true;
+        logger.info('插件加载成功', { plugin: status.name, source, handlers: status.handlers.map(h => h.name) });
+      } catch (error) {
+        status.error = error.message;
+        logger.error('插件加载失败:', { module: spec.module, error: error.message });
+      }
+    });
+
+    this.plugins = plugins;
+    this.preHandlers = preHandlers;
+    this.postHandlers = postHandlers;
+    return plugins;
+  }
+
+  /**
+   * 将管道中声明的处理器与插件处理器合并为最终的处理管道
+   * @param {'pre'|'post'} stage 处理阶段
+   * @param {Array<{name: string, order: number, handler: Function}>} entries 管道中声明的处理器及其顺序值
+   * @param {Object} context 当前请求上下文
+   * @param {string} context.mode 代理模式：'base' 或 'global'
+   * @param {import('./entities').SiteProfile} [context.site] 当前站点配置
+   * @param {boolean} [context.stream=false] 是否为流式处理管道
+   * @param {Set<string>} [context.exclude] 已在管道中显式声明、无需再按 order 插入的插件处理器全名
+   * @returns {Array<{name: string, order: number, handler: Function}>} 按顺序排列的处理器
+   */
+  compose(stage, entries, { mode, site, stream = false, exclude = new Set() }) {
+    const pluginHandlers = (stage === 'pre' ? this.preHandlers : this.postHandlers)
+      .filter(item => !exclude.has(item.fullName))
+      .filter(item => !stream || item.stream)
+      .filter(item => !item.modes || item.modes.includes(mode))
+      .filter(item => !item.sites || (site && item.sites.includes(site.name)))
+      .map(item => ({ name: item.fullName, order: item.order, sequence: item.sequence, handler: item.handler }));
+
+    // 相同顺序值时管道中声明的处理器在前，插件之间按 custom_handlers 中的声明顺序
+    return [
+      ...entries
+        .filter(entry => typeof entry.handler === 'function')
+        .map(entry => ({ ...entry, sequence: -1 })),
+      ...pluginHandlers
+    ]
+      .map((entry, position) => ({ ...entry, position }))
+      .sort((a, b) => a.order - b.order || a.sequence - b.sequence || a.position - b.position)
+      .map(({ name, order, handler }) => ({ name, order, handler }));
+  }
+
+  /**
+   * 按全名（插件名:处理器名）查找已注册的插件处理器
+   * @param {'pre'|'post'} stage 处理阶段
+   * @param {string} fullName 处理器全名
+   * @returns {Object|null} 插件处理器
+   */
+  findHandler(stage, fullName) {
+    return (stage === 'pre' ? this.preHandlers : this.postHandlers)
+      .find(item => item.fullName === fullName) || null;
+  }
+
+  /**
+   * 获取插件加载状态
+   * @returns {Object[]} 插件状态列表
+   */
+  getStatus() {
+    return this.plugins;
+  }
+
+  /**
+   * 解析插件模块路径：显式相对/绝对路径 > plugins/ 目录 > npm 包名
+   * @private
+   * @param {string} moduleName 配置中的模块名
+   * @returns {{modulePath: string, source: string}} 模块路径与来源
+   */
+  _resolveModule(moduleName) {
+    if (moduleName.startsWith('.') || path.isAbsolute(moduleName)) {
+      return { modulePath: require.resolve(path.resolve(PROJECT_ROOT, moduleName)), source: 'local' };
+    }
+
+    const candidates = [
+      path.join(PLUGINS_DIR, `${moduleName}.js`),
+      path.join(PLUGINS_DIR, moduleName, 'index.js')
+    ];
+    const localPath = candidates.find(candidate => fs.existsSync(candidate));
+    if (localPath) {
+      return { modulePath: localPath, source: 'local' };
+    }
+
+    try {
+      return { modulePath: require.resolve(moduleName, { paths: [PROJECT_ROOT] }), source: 'npm' };
+    } catch (error) {
+      throw new Error(`找不到插件模块: ${moduleName}`);
+    }
+  }
+
+  /**
+   * 加载插件模块。本地插件每次重新读取，使配置重载时插件代码的修改生效。
+   * @private
+   */
+  _requireModule(modulePath, source) {
+    if (source === 'local') {
+      delete require.cache[modulePath];
+    }
+    return require(modulePath);
+  }
+
+  /**
+   * 创建传递给插件 register 函数的API对象
+   * @private
+   * @param {string} pluginName 插件名称
+   * @param {{pre: Object[], post: Object[]}} collected 收集注册结果的容器
+   * @returns {Object} 插件API
+   */
+  _createApi(pluginName, collected) {
+    const registerHandler = (stage) => (name, handler, { order = DEFAULT_PLUGIN_ORDER, stream = true, body = false } = {}) => {
+      if (!name || typeof handler !== 'function') {
+        throw new Error(`插件 ${pluginName} 注册的处理器无效: ${name}`);
+      }
+      const handlerName = `${pluginName}:${name}`;
+      const wrappedHandler = wrapPluginHandler(handlerName, handler);
+      if (stage === 'pre' && body) {
+        // 需要读取 proxyRequest.data 的前置处理器，请求体会先读入内存（见 request-body 的 handlersNeedBody）
+        wrappedHandler.needsBody = body;
+      }
+      collected[stage].push({
+        name,
+        fullName: handlerName,
+        order,
+        // 后置处理器只在常规（缓冲）代理管道中执行
+        stream: stage === 'pre' && stream !== false,
+        handler: wrappedHandler
+      });
+    };
+
+    return {
+      registerPreHandler: registerHandler('pre'),
+      registerPostHandler: registerHandler('post'),
+      logger,
+      HandlerError
+    };
+  }
+}
+
+/**
+ * 包装插件处理器，统一将异常转换为 HandlerError
+ * @param {string} handlerName 处理器全名（插件名:处理器名）
+ * @param {Function} handler 插件处理器
+ * @returns {Function} 包装后的处理器
+ */
+function wrapPluginHandler(handlerName, handler) {
+  return async function pluginHandler(upstream, target) {
+    try {
+      const result = await handler(upstream, target);
+      // 处理器未返回值时沿用原对象
+      return result === undefined ? target : result;
+    } catch (error) {
+      if (error instanceof HandlerError) {
+        throw error;
+      }
+      logger.error(`${handlerName} 执行失败:`, { error: error.message, stack: error.stack });
+      throw new HandlerError(`${handlerName} 失败: ${error.message}`, handlerName, error);
+    }
+  };
+}
+
+// 创建单例实例
+const pluginLoader = new PluginLoader();
+
+module.exports = pluginLoader;
@@ -5,6 +5,11 @@ const connectionManager = require('./utils/connection-manager');
 const configLoader = require('../config/config-loader');
 const cloudflareHandler = require('./utils/cloudflare-handler');
 const browserFingerprint = require('./utils/browser-fingerprint');
+const networkGuard = require('./utils/network-guard');
+const errorPages = require('./error-pages');
+const corsPolicy = require('./cors-policy');
+const { escapeHtml } = errorPages;
+const { applyStreamBodyConfig } = require('./utils/request-body');
 const {
   ProxyError,
   AccessDeniedError,
@@ -12,6 +17,8 @@ const {
   TargetNotFoundError, 
   RequestTimeoutError,
   ConfigurationError,
+  InvalidUrlError,
+  RequestConversionError,
   HandlerError
 } = require('./utils/errors');
 
@@ -31,22 +38,25 @@ async function proxyHandler(requestInfo, upstream, preHandlers = [], postHandler
     // Stage 1: Pre-handlers
     for (const handler of preHandlers) {
       if (typeof handler === 'function') {
-        processedRequest = handler(upstream, processedRequest);
+        processedRequest = await handler(upstream, processedRequest);
       }
     }
 
     // Stage 2: Deny list
     const upstreamUrl = upstream.site + processedRequest.urlNoSite;
-    const denyRequestList = configLoader.getConfig().denyRequestList;
-    for (const denyPattern of denyRequestList) {
-      if (new RegExp(denyPattern).test(processedRequest.urlNoSite)) {
-        logger.warn('请求被拒绝列表阻止 (proxyHandler):', processedRequest.urlNoSite);
+    const denyRule = findDenyRule(processedRequest, upstream);
+    if (denyRule) {
+      logger.warn('请求被拒绝列表阻止 (proxyHandler):', { url: upstreamUrl, rule: denyRule.name, clientIp: processedRequest.clientIp });
+      if (!denyRule.response) {
         throw new AccessDeniedError('请求被策略拒绝 (proxyHandler)');
       }
+      return createDenyResponse(denyRule, processedRequest, upstream);
     }
     logger.debug('代理请求（前置处理后）:', { url: upstreamUrl, method: processedRequest.method });
 
     // Stage 3: Execute request
+    const isMedia = isMediaRequest(processedRequest.urlNoSite, configLoader.getConfig().mediaRequestUrlPatterns);
+    const isLargeFile = isLargeFileRequest(processedRequest.urlNoSite, configLoader.getConfig().largeFileUrlPatterns);
     const rawResponse = await connectionManager.executeWithRetry(
       async (context) => performHttpRequest(context),
       {
@@ -54,8 +64,9 @@ async function proxyHandler(requestInfo, upstream, preHandlers = [], postHandler
         method: processedRequest.method,
         headers: processedRequest.headers,
         data: processedRequest.data,
-        isMedia: isMediaRequest(processedRequest.urlNoSite, configLoader.getConfig().mediaRequestUrlPatterns),
-        isLargeFile: isLargeFileRequest(processedRequest.urlNoSite, configLoader.getConfig().largeFileUrlPatterns),
+        isMedia,
+        isLargeFile,
+        priority: getRequestPriority(processedRequest, isMedia || isLargeFile),
         requestInfo: processedRequest
       }
     );
@@ -65,12 +76,19 @@ async function proxyHandler(requestInfo, upstream, preHandlers = [], postHandler
     logger.info('从上游接收到响应', { status: mainProxyResponse.statusCode });
 
     // Stage 4: Post-handlers
+    const upstreamHeaders = { ...rawResponse.headers };
     let finalResponse = mainProxyResponse;
     for (const handler of postHandlers) {
       if (typeof handler === 'function') {
         finalResponse = await handler(upstream, finalResponse);
       }
     }
+
+    // Stage 5: Response header rules
+    finalResponse.headers = applyHeaderRules('response', { ...finalResponse.headers }, {
+      host: upstream.host,
+      path: processedRequest.urlNoSite
+    }, upstreamHeaders);
     return finalResponse;
 
   } catch (error) {
@@ -86,12 +104,12 @@ async function proxyHandler(requestInfo, upstream, preHandlers = [], postHandler
     });
 
     if (error instanceof AccessDeniedError) {
-      return createErrorResponse(error.statusCode, error.message, requestInfo, error.name);
+      return createErrorResponse(error.statusCode, error.message, requestInfo, error.name, upstream);
     }
     if (error instanceof HandlerError) {
       return createErrorResponse(error.statusCode || 500, 
         `处理环节 '${error.handlerName}' 执行失败: ${error.message}`,
-        requestInfo, error.name);
+        requestInfo, error.name, upstream);
     }
     // Check for specific ProxyError subtypes from ConnectionManager or entities.js before generic ProxyError
     if (error instanceof TargetNotFoundError || 
@@ -100,11 +118,11 @@ async function proxyHandler(requestInfo, upstream, preHandlers = [], postHandler
         error instanceof InvalidUrlError || 
         error instanceof RequestConversionError ||
         error instanceof ConfigurationError) {
-      return createErrorResponse(error.statusCode, error.message, requestInfo, error.name);
+      return createErrorResponse(error.statusCode, error.message, requestInfo, error.name, upstream);
     }
     // Generic ProxyError if not caught by more specific types above
     if (error instanceof ProxyError) { 
-      return createErrorResponse(error.statusCode, error.message, requestInfo, error.name);
+      return createErrorResponse(error.statusCode, error.message, requestInfo, error.name, upstream);
     }
     if (error.isAxiosError && error.response) {
       const upstreamErrorResponse = new ProxyResponse(error.response);
@@ -112,9 +130,10 @@ async function proxyHandler(requestInfo, upstream, preHandlers = [], postHandler
       return createErrorResponse(upstreamErrorResponse.statusCode, 
                                  upstreamErrorResponse.response?.statusText || '上游服务器返回错误', 
                                  requestInfo, 
-                                 'UpstreamHTTPError');
+                                 'UpstreamHTTPError',
+                                 upstream);
     }
-    return createErrorResponse(500, '代理服务器发生未知内部错误', requestInfo, 'UnknownProxyError');
+    return createErrorResponse(500, '代理服务器发生未知内部错误', requestInfo, 'UnknownProxyError', upstream);
   }
 }
 
@@ -159,119 +178,16 @@ function isCloudflareError(error) {
   return false;
 }
 
-/**
- * 生成通用错误页面的HTML
- * @private
- */
-function _generateGenericErrorHtml(statusCode, message, requestInfo, errorType) {
-  const errorRequestId = requestInfo?.headers?.['x-gproxy-request-id'] || generateRequestId();
-  const serverVersion = process.env.npm_package_version || '2.1.0'; // 尝试从 package.json 获取版本
-
-  return `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <title>代理错误 ${statusCode}</title>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <style>
-        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #333; min-height: 100vh; display: flex; align-items: center; justify-content: center; }
-        .container { background: white; border-radius: 10px; padding: 40px; box-shadow: 0 10px 30px rgba(0,0,0,0.1); max-width: 600px; text-align: center; }
-        .error-code { font-size: 4em; font-weight: bold; color: #e74c3c; margin-bottom: 20px; }
-        .error-message { font-size: 1.2em; margin-bottom: 30px; color: #555; }
-        .details { background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: left; font-family: monospace; font-size: 0.9em; word-break: break-all; }
-        .retry-btn { background: #3498db; color: white; padding: 12px 24px; border: none; border-radius: 5px; cursor: pointer; font-size: 1em; margin: 10px; transition: background 0.3s; }
-        .retry-btn:hover { background: #2980b9; }
-        .footer { margin-top: 30px; color: #7f8c8d; font-size: 0.9em; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="error-code">${statusCode}</div>
-        <div class="error-message">${message}</div>
-        <div class="details">
-            <strong>时间:</strong> ${new Date().toLocaleString('zh-CN')}<br>
-            <strong>代理服务器:</strong> Gproxy-Node v${serverVersion}<br>
-            <strong>请求ID:</strong> ${errorRequestId}<br>
-            <strong>错误类型:</strong> ${errorType || getErrorType(statusCode)}
-        </div>
-        <button class="retry-btn" onclick="location.reload()">重试</button>
-        <button class="retry-btn" onclick="history.back()">返回</button>
-        <div class="footer">
-            如果问题持续存在，请联系管理员或稍后重试。
-        </div>
-    </div>
-</body>
-</html>`;
-}
-
-/**
- * 生成Cloudflare错误页面的HTML
- * @private
- */
-function _generateCloudflareErrorHtml(status, statusText, requestInfo) {
-  const errorRequestId = requestInfo?.headers?.['x-gproxy-request-id'] || generateRequestId();
-  const serverVersion = process.env.npm_package_version || '2.1.0';
-
-  return `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-    <title>Cloudflare 错误 ${status}</title>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <style>
-        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 40px; background: linear-gradient(135deg, #ff7b7b 0%, #ff416c 100%); color: #333; min-height: 100vh; display: flex; align-items: center; justify-content: center; }
-        .container { background: white; border-radius: 10px; padding: 40px; box-shadow: 0 10px 30px rgba(0,0,0,0.1); max-width: 600px; text-align: center; }
-        .error-code { font-size: 4em; font-weight: bold; color: #ff416c; margin-bottom: 20px; }
-        .error-message { font-size: 1.2em; margin-bottom: 30px; color: #555; }
-        .details { background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: left; font-family: monospace; font-size: 0.9em; word-break: break-all; }
-        .retry-btn { background: #ff416c; color: white; padding: 12px 24px; border: none; border-radius: 5px; cursor: pointer; font-size: 1em; margin: 10px; transition: background 0.3s; }
-        .retry-btn:hover { background: #e73c57; }
-        .footer { margin-top: 30px; color: #7f8c8d; font-size: 0.9em; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="error-code">${status}</div>
-        <div class="error-message">${statusText}</div>
-        <div class="details">
-            <strong>错误类型:</strong> Cloudflare 服务错误<br>
-            <strong>时间:</strong> ${new Date().toLocaleString('zh-CN')}<br>
-            <strong>代理服务器:</strong> Gproxy-Node v${serverVersion}<br>
-            <strong>请求ID:</strong> ${errorRequestId}<br>
-            <strong>建议:</strong> 网站可能正在维护或遇到流量限制。
-        </div>
-        <button class="retry-btn" onclick="location.reload()">重试</button>
-        <button class="retry-btn" onclick="history.back()">返回</button>
-        <div class="footer">
-            这是一个Cloudflare服务错误，通常是临时性的。<br>
-            代理服务器已尝试自动处理，如果问题持续请稍后重试。
-        </div>
-    </div>
-</body>
-</html>`;
-}
-
 /**
  * 创建Cloudflare错误响应
  */
 function createCloudflareErrorResponse(error, requestInfo) {
   const status = error.response?.status || 503;
-  const statusText = getCloudflareErrorMessage(status);
-  
-  const errorHtml = _generateCloudflareErrorHtml(status, statusText, requestInfo);
-
-  return {
-    content: Buffer.from(errorHtml),
-    statusCode: status,
-    headers: {
-      'content-type': 'text/html; charset=utf-8',
-      'cache-control': 'no-cache',
-      'x-gproxy-error': 'cloudflare',
-      'x-gproxy-error-code': status.toString()
-    },
-    isRedirect: false,
-    contentType: 'text/html; charset=utf-8'
-  };
+  return errorPages.createResponse('cloudflare', {
+    ...describeRequest(requestInfo),
+    status,
+    message: getCloudflareErrorMessage(status)
+  }, requestInfo?.siteProfile, { 'x-gproxy-error': 'cloudflare' });
 }
 
 /**
@@ -315,6 +231,7 @@ function _buildAxiosConfig(context, agent) {
     httpsAgent: agent,
     timeout: 30000, // 默认超时
     maxRedirects: 5,
+    beforeRedirect: networkGuard.beforeRedirect, // 每一跳重定向都重新检查目标地址
     validateStatus: () => true, // 接受所有状态码
     responseType: 'arraybuffer',
     decompress: true,
@@ -371,9 +288,17 @@ function _buildAxiosConfig(context, agent) {
 async function performHttpRequest(context) {
   const { url } = context; 
   const urlObj = new URL(url);
-  const agent = connectionManager.getAgent(urlObj.protocol);
+  // 基础模式下发往配置文件中上游的请求不受网络保护限制；其他目标以IP地址表示时不经过DNS解析，在这里检查，域名在连接时检查
+  const trusted = networkGuard.isTrustedUpstream(url, context.requestInfo?.mode);
+  if (!trusted) {
+    networkGuard.assertHostAllowed(urlObj.hostname);
+  }
+  const agent = connectionManager.getAgent(urlObj.protocol, trusted);
   
-  const axiosConfig = _buildAxiosConfig(context, agent);
+  // 以流转发的请求体不经过 follow-redirects 缓冲
+  const axiosConfig = applyStreamBodyConfig(_buildAxiosConfig(context, agent));
+  // 请求头改写规则在浏览器指纹之后执行，才能覆盖指纹设置的头部
+  applyHeaderRules('request', axiosConfig.headers, { host: urlObj.host, path: urlObj.pathname + urlObj.search });
   
   // 添加一些随机延迟以模拟人类行为 (移到 connectionManager.executeWithRetry 循环中更合适)
   // const delay = browserFingerprint.getRandomDelay();
@@ -424,6 +349,25 @@ function isMediaRequest(urlPath) {
   return mediaPatterns.some(pattern => pattern.test(urlPath));
 }
 
+/**
+ * 判断上游请求的优先级（见 connectionManager 的 PRIORITY_CLASSES）：
+ * 页面导航为 document，媒体与大文件为 media，其余为 api
+ * @param {ProxyRequest} requestInfo 代理请求信息
+ * @param {boolean} isMedia 是否是媒体或大文件请求
+ * @returns {string} 优先级
+ */
+function getRequestPriority(requestInfo, isMedia) {
+  if (isMedia) {
+    return 'media';
+  }
+  const headers = requestInfo.headers || {};
+  const fetchDest = headers['sec-fetch-dest'];
+  if (fetchDest === 'document' || fetchDest === 'iframe' || (!fetchDest && String(headers['accept'] || '').includes('text/html'))) {
+    return 'document';
+  }
+  return 'api';
+}
+
 /**
  * 判断是否是大文件请求
  * @param {string} urlPath URL路径
@@ -455,23 +399,131 @@ function isLargeFileRequest(urlPath) {
  * 创建错误响应对象
  * @param {number} statusCode HTTP状态码
  * @param {string} message 错误消息
+ * @param {ProxyRequest} requestInfo 代理请求信息
+ * @param {string} [errorType='ProxyError'] 错误类型
+ * @param {Upstream} [upstream] 上游服务器信息
  * @returns {ProxyResponse} 错误响应对象
  */
-function createErrorResponse(statusCode, message, requestInfo, errorType = 'ProxyError') {
-  const errorHtml = _generateGenericErrorHtml(statusCode, message, requestInfo, errorType);
- 
+function createErrorResponse(statusCode, message, requestInfo, errorType = 'ProxyError', upstream) {
+  return errorPages.createResponse('default', {
+    ...describeRequest(requestInfo, upstream),
+    status: statusCode,
+    message,
+    errorType: errorType || getErrorType(statusCode)
+  }, requestInfo?.siteProfile);
+}
+
+/**
+ * 错误页模板中与请求相关的变量
+ * @param {ProxyRequest} [requestInfo] 代理请求信息
+ * @param {Upstream} [upstream] 上游服务器信息
+ * @returns {Object} requestId、method、path、upstream、host、url
+ */
+function describeRequest(requestInfo, upstream) {
+  const requestPath = requestInfo?.urlNoSite || '';
   return {
-    content: Buffer.from(errorHtml),
-    statusCode: statusCode,
-    headers: {
-      'content-type': 'text/html; charset=utf-8',
-      'cache-control': 'no-cache',
-      'x-gproxy-error': 'true',
-      'x-gproxy-error-code': statusCode.toString(),
-      'x-gproxy-version': '2.1.0'
-    },
+    requestId: requestInfo?.headers?.['x-gproxy-request-id'] || generateRequestId(),
+    method: requestInfo?.method || '',
+    path: requestPath,
+    upstream: upstream?.site || '',
+    host: upstream?.host || '',
+    url: upstream ? upstream.site + requestPath : ''
+  };
+}
+
+/**
+ * 按配置顺序执行命中的头部改写规则（header_rules）
+ * @param {string} direction request 或 response
+ * @param {Object} headers 要改写的头部，直接修改
+ * @param {Object} context 匹配信息
+ * @param {string} context.host 上游主机名
+ * @param {string} context.path 上游路径（含查询参数）
+ * @param {Object} [original] 上游的原始响应头部，供 keep 操作使用
+ * @returns {Object} 改写后的头部
+ */
+function applyHeaderRules(direction, headers, { host, path }, original) {
+  configLoader.getConfig().headerRules.forEach(rule => {
+    // 内容类型按前面的规则改写之后的值匹配
+    if (rule.direction === direction && rule.matches({ host, path, contentType: headers['content-type'] })) {
+      rule.apply(headers, original);
+      logger.debug('已应用头部改写规则', { rule: rule.name, direction, host, path });
+    }
+  });
+  return headers;
+}
+
+/**
+ * 查找当前请求命中的第一条拒绝规则（站点规则优先，未配置时使用顶层规则）
+ * @param {ProxyRequest} requestInfo 代理请求信息（前置处理后）
+ * @param {Upstream} upstream 上游服务器信息
+ * @returns {import('./entities').DenyRule|null} 命中的拒绝规则
+ */
+function findDenyRule(requestInfo, upstream) {
+  const denyRequestList = requestInfo.siteProfile?.denyRequestList || configLoader.getConfig().denyRequestList;
+  const context = {
+    host: upstream.host,
+    path: requestInfo.urlNoSite,
+    method: requestInfo.method,
+    headers: requestInfo.clientHeaders,
+    clientIp: requestInfo.clientIp
+  };
+  return denyRequestList.find(rule => rule.matches(context)) || null;
+}
+
+/**
+ * 按拒绝规则中声明的响应生成拒绝响应。
+ * 响应内容与重定向地址支持 {{host}}、{{path}}、{{method}}、{{clientIp}}、{{url}}、{{rule}} 占位符。
+ * @param {import('./entities').DenyRule} rule 命中的拒绝规则
+ * @param {ProxyRequest} requestInfo 代理请求信息
+ * @param {Upstream} upstream 上游服务器信息
+ * @returns {object} 与 createErrorResponse 结构相同的响应对象
+ */
+function createDenyResponse(rule, requestInfo, upstream) {
+  const { status, body, contentType, headers = {}, redirect } = rule.response;
+  const variables = {
+    host: upstream.host,
+    path: requestInfo.urlNoSite,
+    method: requestInfo.method,
+    clientIp: requestInfo.clientIp || '',
+    url: upstream.site + requestInfo.urlNoSite,
+    rule: rule.name || ''
+  };
+  const render = (template, escape) => template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    Object.prototype.hasOwnProperty.call(variables, key) ? escape(String(variables[key])) : match
+  ));
+
+  const responseHeaders = {
+    'cache-control': 'no-cache',
+    'x-gproxy-error': 'true',
+    'x-gproxy-version': '2.1.0',
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+  };
+
+  if (redirect) {
+    const statusCode = status || 302;
+    responseHeaders['location'] = render(redirect, encodeURIComponent);
+    responseHeaders['x-gproxy-error-code'] = statusCode.toString();
+    return { content: Buffer.alloc(0), statusCode, headers: responseHeaders, isRedirect: true, contentType: '' };
+  }
+
+  const statusCode = status || 403;
+  const responseContentType = contentType || 'text/html; charset=utf-8';
+  const content = body !== undefined
+    ? render(body, responseContentType.includes('html') ? escapeHtml : value => value)
+    : errorPages.render('default', {
+      ...describeRequest(requestInfo, upstream),
+      status: statusCode,
+      message: '请求被策略拒绝',
+      errorType: 'AccessDeniedError'
+    }, requestInfo.siteProfile);
+  responseHeaders['content-type'] = body !== undefined ? responseContentType : 'text/html; charset=utf-8';
+  responseHeaders['x-gproxy-error-code'] = statusCode.toString();
+  return {
+    content: Buffer.from(content),
+    statusCode,
+    headers: responseHeaders,
     isRedirect: false,
-    contentType: 'text/html; charset=utf-8'
+    contentType: responseHeaders['content-type']
   };
 }
 
@@ -500,21 +552,24 @@ async function streamProxyHandler(requestInfo, upstream, res, preHandlers = [])
     // Execute pre-handlers for the stream request
     for (const handler of preHandlers) {
       if (typeof handler === 'function') {
-        processedRequest = handler(upstream, processedRequest);
+        processedRequest = await handler(upstream, processedRequest);
       }
     }
 
     // Deny list check specifically for stream handler (after its pre-handlers)
     const upstreamUrlForStream = upstream.site + processedRequest.urlNoSite;
-    const denyRequestListStream = configLoader.getConfig().denyRequestList;
-    for (const denyPattern of denyRequestListStream) {
-      if (new RegExp(denyPattern).test(processedRequest.urlNoSite)) {
-        logger.warn('流式请求被拒绝列表阻止 (streamProxyHandler):', processedRequest.urlNoSite);
-        if (!res.headersSent) {
+    const denyRuleStream = findDenyRule(processedRequest, upstream);
+    if (denyRuleStream) {
+      logger.warn('流式请求被拒绝列表阻止 (streamProxyHandler):', { url: upstreamUrlForStream, rule: denyRuleStream.name, clientIp: processedRequest.clientIp });
+      if (!res.headersSent) {
+        if (denyRuleStream.response) {
+          const denyResponse = createDenyResponse(denyRuleStream, processedRequest, upstream);
+          res.status(denyResponse.statusCode).set(denyResponse.headers).send(denyResponse.content);
+        } else {
           res.status(403).json({ error: 'Access Denied by policy (stream)', message: '请求被策略拒绝' });
         }
-        return; // Stop processing
       }
+      return; // Stop processing
     }
 
     logger.debug('发起流式代理请求 (前置处理后)', { method: processedRequest.method, url: upstreamUrlForStream });
@@ -525,34 +580,57 @@ async function streamProxyHandler(requestInfo, upstream, res, preHandlers = [])
       const response = await connectionManager.executeWithRetry(
         async (context) => {
           const urlObj = new URL(context.url);
-          const agent = connectionManager.getAgent(urlObj.protocol);
-          return axios({
+          const trusted = networkGuard.isTrustedUpstream(context.url, processedRequest.mode);
+          if (!trusted) {
+            networkGuard.assertHostAllowed(urlObj.hostname);
+          }
+          const agent = connectionManager.getAgent(urlObj.protocol, trusted);
+          // Headers already processed by pre-handlers and fingerprinting; header rules run last
+          const headers = applyHeaderRules('request', { ...context.headers }, {
+            host: urlObj.host,
+            path: urlObj.pathname + urlObj.search
+          });
+          return axios(applyStreamBodyConfig({
             method: context.method,
             url: context.url,
-            headers: context.headers, // Headers already processed by pre-handlers and fingerprinting
+            headers,
             data: context.data,
             httpAgent: agent,
             httpsAgent: agent,
             timeout: 300000, 
+            beforeRedirect: networkGuard.beforeRedirect,
             responseType: 'stream',
             validateStatus: () => true
-          });
+          }));
         },
         {
           url: upstreamUrlForStream,
           method: processedRequest.method,
           headers: processedRequest.headers,
-          data: processedRequest.data
+          data: processedRequest.data,
+          priority: 'media'
         }
       );
 
+      // 客户端提前断开时结束上游响应，及时释放连接和上游并发名额
+      res.once('close', () => {
+        if (!response.data.readableEnded) {
+          response.data.destroy();
+        }
+      });
+
       res.status(response.status);
+      const responseHeaders = {};
       const allowedHeaders = [ /* ... as before ... */ 'content-type', 'content-length', 'content-disposition', 'content-range', 'accept-ranges', 'last-modified', 'etag', 'cache-control'];
-      allowedHeaders.forEach(header => { if (response.headers[header]) res.set(header, response.headers[header]); });
-      res.set('Access-Control-Allow-Origin', '*');
-      res.set('Access-Control-Allow-Credentials', 'true');
-      res.set('X-Accel-Buffering', 'no'); 
-      res.set('Cache-Control', 'no-cache');
+      allowedHeaders.forEach(header => { if (response.headers[header]) responseHeaders[header] = response.headers[header]; });
+      responseHeaders['x-accel-buffering'] = 'no';
+      responseHeaders['cache-control'] = 'no-cache';
+      corsPolicy.applyToResponse(responseHeaders, processedRequest.clientHeaders, processedRequest.method, processedRequest.siteProfile);
+      applyHeaderRules('response', responseHeaders, {
+        host: upstream.host,
+        path: processedRequest.urlNoSite
+      }, response.headers);
+      res.set(responseHeaders);
 
       response.data.pipe(res);
       response.data.on('error', (streamError) => {
@@ -629,13 +707,15 @@ async function warmupConnectionPool(targetSite) {
         connectionManager.executeWithRetry(
           async (context) => {
             const urlObj = new URL(context.url);
-            const agent = connectionManager.getAgent(urlObj.protocol);
+            // 预热的是基础模式的上游，与之后的代理请求使用同一个连接池
+            const agent = connectionManager.getAgent(urlObj.protocol, networkGuard.isTrustedUpstream(context.url, 'base'));
             
             return await axios({
               method: 'HEAD',
               url: context.url,
               httpAgent: agent,
               httpsAgent: agent,
+              beforeRedirect: networkGuard.beforeRedirect,
               timeout: 5000
             });
           },
@@ -654,6 +734,20 @@ async function warmupConnectionPool(targetSite) {
   }
 }
 
+/**
+ * 预热所有站点的上游连接池（默认站点、sites 中的站点及其挂载点，相同上游只预热一次）
+ */
+function warmupAllSites() {
+  const config = configLoader.getConfig();
+  const upstreamSites = new Set(
+    [config.defaultSite, ...config.sites]
+      .flatMap(site => [site, ...site.mounts])
+      .filter(site => site && site.baseUpstream)
+      .map(site => site.baseUpstream.site)
+  );
+  upstreamSites.forEach(upstreamSite => warmupConnectionPool(upstreamSite));
+}
+
 module.exports = {
   proxyHandler,
   streamProxyHandler,
@@ -661,6 +755,8 @@ module.exports = {
   createErrorResponse,
   isMediaRequest,
   isLargeFileRequest,
+  getRequestPriority,
   warmupConnectionPool,
+  warmupAllSites,
   generateRequestId
 }; 
\ No newline at end of file
@@ -0,0 +1,143 @@
+const configLoader = require('../config/config-loader');
+const logger = require('./utils/logger');
+const { normalizeHost } = require('./utils/host-matcher');
+const { normalizeIp } = require('./utils/ip-utils');
+const { RateLimitError } = require('./utils/errors');
+
+// 清理已回满的令牌桶的间隔，避免长时间运行后保存大量不活跃的客户端
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 代理请求限流（令牌桶）
+ * 每条 rate_limits 规则按 key 分桶：ip（客户端IP）、api_key（代理访问API密钥）或 host（目标主机）。
+ * 令牌以 rate 个/秒的速度补充，桶容量为 burst；每个请求从命中的每条规则各取一个令牌，
+ * 任一规则令牌不足时拒绝请求，并给出需要等待的秒数。
+ */
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map(); // 规则名 => Map<分桶键, {tokens, updatedAt}>
+    this.stats = new Map();   // 规则名 => { allowed, limited }
+    this.sweepTimer = setInterval(() => this._sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * 为请求消耗令牌
+   * @param {Object} context 请求信息
+   * @param {string} context.mode 代理模式：base 或 global
+   * @param {string} context.path 请求路径
+   * @param {string} context.ip 客户端IP
+   * @param {string|null} context.apiKeyId 代理访问API密钥ID，未使用密钥时为null
+   * @param {string} context.host 目标主机
+   * @throws {RateLimitError} 超过限制时抛出，retryAfter 为建议的等待秒数
+   */
+  consume({ mode, path, ip, apiKeyId, host }) {
+    const rules = configLoader.getConfig().rateLimits;
+    const now = Date.now();
+    const hits = [];
+
+    for (const rule of rules) {
+      if ((rule.mode && rule.mode !== mode) || (rule.path && !rule.path.test(path))) {
+        continue;
+      }
+      const bucketKey = { ip: normalizeIp(ip) || ip, api_key: apiKeyId, host: normalizeHost(host) }[rule.key];
+      if (!bucketKey) {
+        // 例如没有使用API密钥的请求不受 api_key 规则限制
+        continue;
+      }
+      hits.push({ rule, bucket: this._getBucket(rule, bucketKey, now) });
+    }
+
+    // 先检查全部规则，全部通过后才扣减，被拒绝的请求不会消耗其他规则的令牌
+    const blocked = hits.filter(({ bucket }) => bucket.tokens < 1);
+    if (blocked.length > 0) {
+      const retryAfter = Math.max(...blocked.map(({ rule, bucket }) => Math.ceil((1 - bucket.tokens) / rule.rate)));
+      blocked.forEach(({ rule }) => { this._getStats(rule.name).limited++; });
+      logger.warn('请求超过限流', { rules: blocked.map(({ rule }) => rule.name), ip, host, retryAfter });
+      throw new RateLimitError(retryAfter, blocked[0].rule.name);
+    }
+    hits.forEach(({ rule, bucket }) => {
+      bucket.tokens -= 1;
+      this._getStats(rule.name).allowed++;
+    });
+  }
+
+  /**
+   * 获取各规则的计数，供 /admin/status 展示
+   * @returns {Object[]}
+   */
+  getStatus() {
+    return configLoader.getConfig().rateLimits.map(rule => ({
+      name: rule.name,
+      key: rule.key,
+      rate: rule.rate,
+      burst: rule.burst,
+      ...this._getStats(rule.name),
+      activeBuckets: this.buckets.get(rule.name)?.size || 0
+    }));
+  }
+
+  /**
+   * 重置计数与令牌桶
+   */
+  reset() {
+    this.buckets.clear();
+    this.stats.clear();
+  }
+
+  /**
+   * 获取令牌桶并按经过的时间补充令牌
+   * @private
+   */
+  _getBucket(rule, bucketKey, now) {
+    if (!this.buckets.has(rule.name)) {
+      this.buckets.set(rule.name, new Map());
+    }
+    const ruleBuckets = this.buckets.get(rule.name);
+    let bucket = ruleBuckets.get(bucketKey);
+    if (!bucket) {
+      bucket = { tokens: rule.burst, updatedAt: now };
+      ruleBuckets.set(bucketKey, bucket);
+      return bucket;
+    }
+    bucket.tokens = Math.min(rule.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.rate);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * @private
+   */
+  _getStats(name) {
+    if (!this.stats.has(name)) {
+      this.stats.set(name, { allowed: 0, limited: 0 });
+    }
+    return this.stats.get(name);
+  }
+
+  /**
+   * 删除已回满的令牌桶以及已从配置中移除的规则
+   * @private
+   */
+  _sweep() {
+    const rules = new Map(configLoader.getConfig().rateLimits.map(rule => [rule.name, rule]));
+    const now = Date.now();
+    this.buckets.forEach((ruleBuckets, name) => {
+      const rule = rules.get(name);
+      if (!rule) {
+        this.buckets.delete(name);
+        return;
+      }
+      ruleBuckets.forEach((bucket, bucketKey) => {
+        if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.rate >= rule.burst) {
+          ruleBuckets.delete(bucketKey);
+        }
+      });
+    });
+  }
+}
+
+// 创建单例实例
+const rateLimiter = new RateLimiter();
+
+module.exports = rateLimiter;
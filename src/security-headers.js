@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const configLoader = require('../config/config-loader');
+const logger = require('./utils/logger');
+
+// 默认（strip 模式）移除的安全头部
+const STRIPPED_HEADERS = [
+  'content-security-policy',
+  'content-security-policy-report-only',
+  'x-frame-options',
+  'x-content-type-options',
+  'strict-transport-security',
+  'expect-ct',
+  'referrer-policy',
+  'feature-policy',
+  'permissions-policy',
+  'cross-origin-opener-policy',
+  'cross-origin-embedder-policy',
+  'cross-origin-resource-policy',
+  'origin-agent-cluster'
+];
+
+const CSP_HEADERS = ['content-security-policy', 'content-security-policy-report-only'];
+
+// 值为来源列表的CSP指令，其中的主机来源需要转换为代理地址
+const SOURCE_LIST_DIRECTIVES = new Set([
+  'default-src', 'script-src', 'script-src-elem', 'script-src-attr',
+  'style-src', 'style-src-elem', 'style-src-attr', 'img-src', 'font-src',
+  'connect-src', 'media-src', 'object-src', 'frame-src', 'child-src',
+  'worker-src', 'manifest-src', 'prefetch-src', 'form-action',
+  'frame-ancestors', 'base-uri', 'navigate-to'
+]);
+
+// 主机来源：[scheme://]host[:port][/path]，host 可以以 *. 开头
+const HOST_SOURCE = /^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*|(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(?:\d+|\*))?(?:\/[^?#]*)?$/i;
+
+// 内容改写会改变内联脚本和样式，原有的哈希来源需要补上改写后的哈希
+const INLINE_ELEMENT = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+const HASH_SOURCE = /^'(sha256|sha384|sha512)-([A-Za-z0-9+/=_-]+)'$/i;
+
+/**
+ * 安全头部处理
+ * 默认（mode: strip）移除上游响应中的 CSP、X-Frame-Options、COOP/COEP 等安全头部；
+ * mode: rewrite 时保留这些头部并改写为适用于代理的形式：
+ * - CSP 中上游的主机来源转换为代理地址，其他主机来源转换为代理地址下的全局代理路径；
+ * - 移除 report-uri、report-to，代理地址不应上报给上游；
+ * - 内容改写改变了内联脚本、样式时，补上改写后的哈希；
+ * - 注入脚本通过 nonce 或哈希加入 CSP 的允许列表。
+ */
+class SecurityHeaders {
+  /**
+   * 获取请求所属站点的安全头部设置
+   * @param {import('./entities').SiteProfile} [site] 站点
+   * @returns {{mode: string, injectScript: string}} 设置
+   */
+  getSettings(site) {
+    return site?.securityHeaders || configLoader.getConfig().securityHeaders;
+  }
+
+  /**
+   * 按设置移除或改写响应中的安全头部（直接修改传入的对象）
+   * @param {Object} headers 响应头部，名称为小写
+   * @param {Object} context 代理信息
+   * @param {string} context.upstreamSite 上游站点，如 https://example.com
+   * @param {string} [context.proxySite] 代理站点，如 https://proxy.com；缺少时只能移除
+   * @param {string} [context.mountPath] 路径前缀挂载点
+   * @param {import('./entities').SiteProfile} [site] 站点
+   * @returns {Object} 修改后的头部
+   */
+  process(headers, context, site) {
+    if (this.getSettings(site).mode !== 'rewrite' || !context.proxySite) {
+      STRIPPED_HEADERS.forEach(header => {
+        delete headers[header];
+      });
+      return headers;
+    }
+
+    const proxy = new URL(context.proxySite);
+    const upstream = new URL(context.upstreamSite);
+    CSP_HEADERS.forEach(header => {
+      if (headers[header]) {
+        headers[header] = this.rewritePolicy(headers[header], context);
+      }
+    });
+    // 只有 HTTPS 的代理地址才能使用 HSTS；Expect-CT 已废弃
+    if (proxy.protocol !== 'https:') {
+      delete headers['strict-transport-security'];
+    }
+    delete headers['expect-ct'];
+    // Permissions-Policy 的允许列表中可能出现上游的来源
+    ['permissions-policy', 'feature-policy'].forEach(header => {
+      if (headers[header]) {
+        headers[header] = String(headers[header]).split(upstream.origin).join(proxy.origin);
+      }
+    });
+    return headers;
+  }
+
+  /**
+   * 改写CSP，把来源列表转换为代理地址
+   * @param {string|string[]} value CSP头部的值，多条策略以逗号分隔
+   * @param {Object} context 代理信息，同 process
+   * @returns {string} 改写后的CSP
+   */
+  rewritePolicy(value, context) {
+    const proxy = new URL(context.proxySite);
+    const upstreamHost = new URL(context.upstreamSite).hostname.toLowerCase();
+    const globalProxyPath = configLoader.getConfig().globalProxyPath;
+    const mountSource = proxy.origin + (context.mountPath ? `${context.mountPath}/` : '');
+    const globalSource = `${proxy.origin}/${globalProxyPath}/`;
+
+    const translateSource = (source) => {
+      const match = HOST_SOURCE.exec(source);
+      if (!match || match[2] === '*') {
+        return [source];
+      }
+      const host = match[2].toLowerCase();
+      if (host === upstreamHost) {
+        return [mountSource];
+      }
+      // 其他主机的资源经由全局代理路径加载；通配符同时覆盖上游时两者都保留
+      const coversUpstream = host.startsWith('*.') && upstreamHost.endsWith(host.slice(1));
+      return coversUpstream ? [mountSource, globalSource] : [globalSource];
+    };
+
+    return parsePolicies(value).map(directives => directives
+      .filter(([name]) => name !== 'report-uri' && name !== 'report-to')
+      .filter(([name]) => name !== 'upgrade-insecure-requests' || proxy.protocol === 'https:')
+      .map(([name, sources]) => {
+        if (!SOURCE_LIST_DIRECTIVES.has(name)) {
+          return [name, sources];
+        }
+        return [name, [...new Set(sources.flatMap(translateSource))]];
+      }))
+      .map(serializePolicy)
+      .join(', ');
+  }
+
+  /**
+   * 让注入的内联脚本通过响应的CSP，按设置向脚本所受的指令加入 nonce 或脚本的哈希
+   * @param {Object} headers 响应头部（直接修改）
+   * @param {string} script <script> 标签中的脚本内容
+   * @param {import('./entities').SiteProfile} [site] 站点
+   * @returns {string} 需要加到 <script> 标签上的属性（如 ` nonce="..."`），不需要时为空字符串
+   */
+  allowInlineScript(headers, script, site) {
+    const useHash = this.getSettings(site).injectScript === 'hash';
+    const nonce = useHash ? null : crypto.randomBytes(16).toString('base64');
+    const source = useHash
+      ? `'sha256-${crypto.createHash('sha256').update(script, 'utf8').digest('base64')}'`
+      : `'nonce-${nonce}'`;
+
+    let changed = false;
+    CSP_HEADERS.forEach(header => {
+      if (!headers[header]) {
+        return;
+      }
+      headers[header] = parsePolicies(headers[header]).map(directives => {
+        const directive = ['script-src-elem', 'script-src', 'default-src']
+          .map(name => directives.find(([directiveName]) => directiveName === name))
+          .find(Boolean);
+        if (directive && !allowsInlineScripts(directive[1])) {
+          directive[1] = directive[1].filter(item => item.toLowerCase() !== "'none'").concat(source);
+          changed = true;
+        }
+        return directives;
+      }).map(serializePolicy).join(', ');
+    });
+
+    if (changed) {
+      logger.debug('已将注入脚本加入CSP允许列表', { source: useHash ? 'hash' : 'nonce' });
+    }
+    return changed && nonce ? ` nonce="${nonce}"` : '';
+  }
+
+  /**
+   * 内容改写后，为CSP中原有哈希的内联脚本、样式补上改写后内容的哈希
+   * 改写前后的内联元素按出现顺序一一对应，数量不一致时不做处理。
+   * @param {Object} headers 响应头部（直接修改）
+   * @param {string} originalHtml 改写前的HTML
+   * @param {string} rewrittenHtml 改写后的HTML
+   */
+  updateInlineHashes(headers, originalHtml, rewrittenHtml) {
+    const policies = CSP_HEADERS.filter(header => headers[header]);
+    if (policies.length === 0) {
+      return;
+    }
+    const before = extractInlineContents(originalHtml);
+    const after = extractInlineContents(rewrittenHtml);
+    if (before.length !== after.length) {
+      logger.debug('内联脚本数量在改写后发生变化，跳过CSP哈希更新');
+      return;
+    }
+
+    policies.forEach(header => {
+      headers[header] = parsePolicies(headers[header]).map(directives => directives.map(([name, sources]) => {
+        const added = [];
+        sources.forEach(source => {
+          const match = HASH_SOURCE.exec(source);
+          if (!match) {
+            return;
+          }
+          const algorithm = match[1].toLowerCase();
+          before.forEach((content, index) => {
+            if (content !== after[index] && hashOf(algorithm, content) === match[2]) {
+              added.push(`'${algorithm}-${hashOf(algorithm, after[index])}'`);
+            }
+          });
+        });
+        return [name, [...new Set([...sources, ...added])]];
+      })).map(serializePolicy).join(', ');
+    });
+  }
+}
+
+/**
+ * 解析CSP头部，多条策略以逗号分隔，指令以分号分隔
+ * @param {string|string[]} value 头部的值
+ * @returns {Array<Array<[string, string[]]>>} 每条策略的指令列表：[指令名（小写）, 值列表]
+ */
+function parsePolicies(value) {
+  return [].concat(value).join(',').split(',')
+    .map(policy => policy.split(';')
+      .map(directive => directive.trim().split(/\s+/).filter(Boolean))
+      .filter(tokens => tokens.length > 0)
+      .map(([name, ...sources]) => [name.toLowerCase(), sources]))
+    .filter(directives => directives.length > 0);
+}
+
+/**
+ * 把指令列表序列化为一条CSP策略
+ * @param {Array<[string, string[]]>} directives 指令列表
+ * @returns {string} 策略
+ */
+function serializePolicy(directives) {
+  return directives.map(([name, sources]) => [name, ...sources].join(' ')).join('; ');
+}
+
+/**
+ * 判断来源列表是否已经允许所有内联脚本
+ * 'unsafe-inline' 在列表中同时存在 nonce、哈希或 'strict-dynamic' 时会被浏览器忽略。
+ * @param {string[]} sources 来源列表
+ * @returns {boolean}
+ */
+function allowsInlineScripts(sources) {
+  const lower = sources.map(source => source.toLowerCase());
+  return lower.includes("'unsafe-inline'")
+    && !lower.some(source => source.startsWith("'nonce-") || HASH_SOURCE.test(source) || source === "'strict-dynamic'");
+}
+
+/**
+ * 按出现顺序提取HTML中内联 <script>、<style> 元素的内容
+ * @param {string} html HTML
+ * @returns {string[]} 元素内容
+ */
+function extractInlineContents(html) {
+  return [...html.matchAll(INLINE_ELEMENT)].map(match => match[3]);
+}
+
+/**
+ * 计算CSP哈希来源使用的 base64 摘要
+ * @param {string} algorithm sha256、sha384 或 sha512
+ * @param {string} content 内容
+ * @returns {string} base64 摘要
+ */
+function hashOf(algorithm, content) {
+  return crypto.createHash(algorithm).update(content, 'utf8').digest('base64');
+}
+
+// 创建单例实例
+const securityHeaders = new SecurityHeaders();
+
+module.exports = securityHeaders;
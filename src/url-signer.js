@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const configLoader = require('../config/config-loader');
+const { UrlSignatureError } = require('./utils/errors');
+const { readRequestCookie } = require('./utils/signed-cookie');
+
+// 浏览器会话ID Cookie，客户端签名密钥由它派生，只在该浏览器中有效
+const CLIENT_SESSION_COOKIE = 'gproxy_sid';
+
+// 签名段格式：服务端签名 `s.<过期时间>.<签名>`，客户端签名 `c.<密钥过期时间>.<签名>`
+// 签名段位于全局代理路径与Base64目标URL之间；Base64 字符集不含 `.`，不会与签名段混淆
+const SIGNATURE_SEGMENT_PATTERN = /^([sc])\.(\d+)\.([A-Za-z0-9_-]+)\/(.*)$/s;
+
+/**
+ * 全局代理URL签名
+ * 启用 signed_urls 后，改写出的全局代理URL形如 `/{globalProxyPath}/s.<exp>.<sig>/<Base64(URL)>`，
+ * 签名为 HMAC-SHA256(secret, `<exp>:<目标URL>`)。未签名、签名错误或已过期的URL一律拒绝。
+ *
+ * 浏览器中的注入脚本需要同步地为动态生成的URL签名，服务器为每个浏览器会话（gproxy_sid Cookie）
+ * 派生一个客户端密钥并注入页面；用该密钥签名的URL只有携带同一会话 Cookie 的请求才能通过校验，
+ * 即使密钥泄露，构造出的链接也无法给其他人使用。
+ */
+class UrlSigner {
+  constructor() {
+    // 未配置 secret 时使用的随机密钥，重启后之前签发的URL失效
+    this.fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * 获取当前的签名设置
+   * @returns {Object} configLoader 解析后的 signed_urls
+   */
+  getSettings() {
+    return configLoader.getConfig().signedUrls;
+  }
+
+  /**
+   * 判断是否启用URL签名
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.getSettings().enabled;
+  }
+
+  /**
+   * 生成全局代理路径之后的部分：未启用签名时为 Base64(URL)，启用时在前面加上签名段
+   * @param {string} targetUrl 目标URL
+   * @returns {string} 编码后的路径
+   */
+  encodeTarget(targetUrl) {
+    const encodedUrl = Buffer.from(targetUrl, 'utf8').toString('base64');
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return encodedUrl;
+    }
+    const expires = bucketExpiry(settings.ttl);
+    return `s.${expires}.${sign(this._getSecret(settings), expires, targetUrl)}/${encodedUrl}`;
+  }
+
+  /**
+   * 校验全局代理请求的签名，返回去掉签名段后的请求URL，供后续按普通全局代理URL解析
+   * @param {import('express').Request} req Express请求对象
+   * @param {string} globalProxyPath 全局代理路径
+   * @returns {string} 去掉签名段的请求URL
+   * @throws {UrlSignatureError} 启用签名时，URL未签名、签名无效或已过期
+   */
+  unwrapRequestUrl(req, globalProxyPath) {
+    const prefix = `/${globalProxyPath}/`;
+    const prefixIndex = req.url.indexOf(prefix);
+    if (prefixIndex === -1) {
+      return req.url;
+    }
+    const head = req.url.slice(0, prefixIndex + prefix.length);
+    const match = req.url.slice(head.length).match(SIGNATURE_SEGMENT_PATTERN);
+    const settings = this.getSettings();
+
+    if (!settings.enabled) {
+      // 关闭签名后，之前签发的链接仍然可以使用
+      return match ? head + match[4] : req.url;
+    }
+    if (!match) {
+      throw new UrlSignatureError('代理URL缺少签名');
+    }
+
+    const [, kind, expiresText, signature, encodedUrl] = match;
+    const expires = Number(expiresText);
+    if (expires * 1000 <= Date.now()) {
+      throw new UrlSignatureError('代理URL已过期，请刷新页面');
+    }
+
+    const targetUrl = Buffer.from(encodedUrl, 'base64').toString('utf8');
+    const key = kind === 's'
+      ? this._getSecret(settings)
+      : this._deriveClientKey(settings, readRequestCookie(req, CLIENT_SESSION_COOKIE), expires);
+    if (!key || !safeEqual(sign(key, expires, targetUrl), signature)) {
+      throw new UrlSignatureError('代理URL签名无效');
+    }
+    return head + encodedUrl;
+  }
+
+  /**
+   * 为注入脚本生成客户端签名密钥
+   * @param {Object} clientHeaders 客户端原始请求头
+   * @returns {{key: string, expires: number, sessionId: string, isNewSession: boolean}|null} 未启用签名时返回null
+   */
+  issueClientKey(clientHeaders) {
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+    let sessionId = readRequestCookie({ headers: clientHeaders || {} }, CLIENT_SESSION_COOKIE);
+    const isNewSession = !isValidSessionId(sessionId);
+    if (isNewSession) {
+      sessionId = crypto.randomBytes(16).toString('hex');
+    }
+    const expires = bucketExpiry(settings.ttl);
+    return { key: this._deriveClientKey(settings, sessionId, expires), expires, sessionId, isNewSession };
+  }
+
+  /**
+   * 生成设置浏览器会话 Cookie 的 Set-Cookie 值
+   * @param {string} sessionId 会话ID
+   * @param {boolean} secure 是否通过HTTPS访问
+   * @returns {string} Set-Cookie 头部的值
+   */
+  buildSessionCookie(sessionId, secure) {
+    return `${CLIENT_SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+  }
+
+  /**
+   * @private
+   */
+  _deriveClientKey(settings, sessionId, expires) {
+    if (!isValidSessionId(sessionId)) {
+      return null;
+    }
+    return crypto.createHmac('sha256', this._getSecret(settings))
+      .update(`client:${sessionId}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _getSecret(settings) {
+    return settings.secret || this.fallbackSecret;
+  }
+}
+
+/**
+ * 计算签名：HMAC-SHA256(key, `<exp>:<目标URL>`)，取前 16 字节以 base64url 表示
+ * 注入脚本中的实现必须与这里保持一致
+ * @param {string} key 签名密钥
+ * @param {number} expires 过期时间（秒级时间戳）
+ * @param {string} targetUrl 目标URL
+ * @returns {string} 签名
+ */
+function sign(key, expires, targetUrl) {
+  return crypto.createHmac('sha256', key)
+    .update(`${expires}:${targetUrl}`)
+    .digest()
+    .subarray(0, 16)
+    .toString('base64url');
+}
+
+/**
+ * 按有效期分段计算过期时间，同一时间段内生成的URL相同，不影响浏览器缓存；
+ * 实际有效时间在 ttl 到 2×ttl 之间
+ * @param {number} ttl 有效期（秒）
+ * @returns {number} 过期时间（秒级时间戳）
+ */
+function bucketExpiry(ttl) {
+  return (Math.floor(Date.now() / 1000 / ttl) + 2) * ttl;
+}
+
+function isValidSessionId(value) {
+  return typeof value === 'string' && /^[0-9a-f]{32}$/.test(value);
+}
+
+function safeEqual(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// 创建单例实例
+const urlSigner = new UrlSigner();
+
+module.exports = urlSigner;
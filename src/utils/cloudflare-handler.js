@@ -231,6 +231,34 @@ class CloudflareHandler {
     return this.sessionCookies.get(hostname) || [];
   }
 
+  /**
+   * 导出会话Cookie，供持久化Cookie存储保存（不含已过期的Cookie）
+   * @returns {Object} 主机名 => Cookie 列表
+   */
+  exportState() {
+    const state = {};
+    this.sessionCookies.forEach((cookies, hostname) => {
+      const valid = cookies.filter(cookie => !isCookieExpired(cookie));
+      if (valid.length > 0) {
+        state[hostname] = valid;
+      }
+    });
+    return state;
+  }
+
+  /**
+   * 恢复 exportState 导出的会话Cookie
+   * @param {Object} state 主机名 => Cookie 列表
+   */
+  importState(state) {
+    Object.entries(state).forEach(([hostname, cookies]) => {
+      const valid = cookies.filter(cookie => !isCookieExpired(cookie));
+      if (valid.length > 0) {
+        this.sessionCookies.set(hostname, valid);
+      }
+    });
+  }
+
   /**
    * 清除会话Cookie
    */
@@ -279,6 +307,15 @@ class CloudflareHandler {
   }
 }
 
+/**
+ * 判断浏览器返回的Cookie是否已过期
+ * @param {Object} cookie puppeteer 的 Cookie 对象，expires 为秒级时间戳，-1 表示会话Cookie
+ * @returns {boolean}
+ */
+function isCookieExpired(cookie) {
+  return cookie.expires > 0 && cookie.expires * 1000 < Date.now();
+}
+
 // 创建全局实例
 const cloudflareHandler = new CloudflareHandler({
   headless: process.env.CF_HEADLESS !== 'false',
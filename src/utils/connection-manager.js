@@ -3,6 +3,7 @@ const https = require('https');
 const logger = require('./logger');
 const browserFingerprint = require('./browser-fingerprint');
 const cloudflareHandler = require('./cloudflare-handler');
+const networkGuard = require('./network-guard');
 const {
   ProxyError,
   InvalidTargetUrlError, // 虽然这里不直接抛出，但保持引入的完整性
@@ -10,9 +11,18 @@ const {
   TargetNotFoundError,
   TargetConnectionRefusedError,
   RequestTimeoutError,
-  ConfigurationError
+  ConfigurationError,
+  BlockedAddressError,
+  UpstreamBusyError,
+  RequestBodyTooLargeError
 } = require('./errors'); // 引入自定义错误
 
+// 上游请求的优先级，排在前面的优先获得空闲的并发名额
+const PRIORITY_CLASSES = ['document', 'api', 'media'];
+
+// 没有活动的上游主机超过该时间后删除其并发状态，避免全局代理访问过的主机无限累积
+const IDLE_HOST_TTL_MS = 10 * 60 * 1000;
+
 /**
  * 增强的连接池管理器
  * 提供HTTP/HTTPS连接池、智能重试、性能监控、Cloudflare支持等功能
@@ -30,9 +40,17 @@ class ConnectionManager {
       retryDelay: options.retryDelay || 1000,
       retryExponentialBase: options.retryExponentialBase || 2,
       cloudflareBypass: options.cloudflareBypass !== false,
-      ...options
+      ...options,
+      maxConcurrentPerHost: options.maxConcurrentPerHost || 16,
+      maxQueuePerHost: options.maxQueuePerHost || 100,
+      queueTimeout: options.queueTimeout || 15000
     };
 
+    // 每个上游主机的并发与等待队列：主机名 => { active, queue, 统计 }
+    // 共享的 Agent 只有全局的 maxSockets，单个缓慢的上游（如视频分片）可能占满全部连接，
+    // 因此按主机限制同时进行的请求数，超出的请求按优先级排队等待
+    this.hostSlots = new Map();
+
     // 性能统计
     this.stats = {
       totalRequests: 0,
@@ -51,7 +69,9 @@ class ConnectionManager {
     };
 
     // 创建增强的HTTP代理
+    // 两个 Agent 都通过 networkGuard.lookup 解析域名，连接受保护网络中的地址会被拒绝
     this.httpAgent = new http.Agent({
+      lookup: networkGuard.lookup,
       keepAlive: this.options.keepAlive,
       keepAliveMsecs: this.options.keepAliveMsecs,
       timeout: this.options.timeout,
@@ -62,6 +82,7 @@ class ConnectionManager {
 
     // 创建增强的HTTPS代理，支持现代TLS配置
     this.httpsAgent = new https.Agent({
+      lookup: networkGuard.lookup,
       keepAlive: this.options.keepAlive,
       keepAliveMsecs: this.options.keepAliveMsecs,
       timeout: this.options.timeout,
@@ -89,6 +110,12 @@ class ConnectionManager {
       // ALPNProtocols: ['h2', 'http/1.1'] // 移除，让Node.js自动协商
     });
 
+    // 基础模式下发往配置文件中上游的请求使用单独的 Agent，上游可以是内网服务；
+    // 连接池与上面的 Agent 分开，全局代理不会复用这些连接。重定向时换回上面的 Agent
+    this.trustedHttpAgent = new http.Agent({ ...this.httpAgent.options, lookup: networkGuard.trustedLookup });
+    this.trustedHttpsAgent = new https.Agent({ ...this.httpsAgent.options, lookup: networkGuard.trustedLookup });
+    networkGuard.setGuardedAgents({ http: this.httpAgent, https: this.httpsAgent });
+
     // 监听连接事件
     this.setupEventListeners();
 
@@ -145,6 +172,11 @@ class ConnectionManager {
       this.logStatistics();
     }, 30000);
 
+    // 定期清理空闲上游主机的并发状态
+    setInterval(() => {
+      this.pruneIdleHosts();
+    }, 60000).unref();
+
     // 每小时更新浏览器指纹
     setInterval(() => {
       browserFingerprint.clearCache();
@@ -155,12 +187,165 @@ class ConnectionManager {
   /**
    * 获取合适的HTTP代理
    * @param {string} protocol 协议 (http: 或 https:)
+   * @param {boolean} [trusted=false] 是否为基础模式下发往配置文件中上游的请求（networkGuard.isTrustedUpstream）
    * @returns {http.Agent|https.Agent} HTTP代理
    */
-  getAgent(protocol) {
+  getAgent(protocol, trusted = false) {
+    if (trusted) {
+      return protocol === 'https:' ? this.trustedHttpsAgent : this.trustedHttpAgent;
+    }
     return protocol === 'https:' ? this.httpsAgent : this.httpAgent;
   }
 
+  /**
+   * 获取上游主机的并发名额，名额已满时按优先级排队等待
+   * @param {string} host 上游主机名
+   * @param {string} [priority='api'] 优先级：document、api 或 media
+   * @returns {Promise<Function>} 释放名额的函数，可以重复调用
+   * @throws {UpstreamBusyError} 等待队列已满或等待超时
+   */
+  acquireSlot(host, priority = 'api') {
+    const state = this.getHostState(host);
+    state.lastUsedAt = Date.now();
+    if (state.active < this.options.maxConcurrentPerHost) {
+      state.active++;
+      return Promise.resolve(this.createSlotRelease(state));
+    }
+    if (state.queue.length >= this.options.maxQueuePerHost) {
+      state.rejected++;
+      logger.warn('上游等待队列已满，拒绝请求', { host, queued: state.queue.length });
+      return Promise.reject(new UpstreamBusyError(`上游服务器繁忙: ${host}`, host));
+    }
+
+    const rank = PRIORITY_CLASSES.includes(priority) ? PRIORITY_CLASSES.indexOf(priority) : PRIORITY_CLASSES.indexOf('api');
+    return new Promise((resolve, reject) => {
+      const entry = { rank, enqueuedAt: Date.now(), resolve, timer: null };
+      entry.timer = setTimeout(() => {
+        state.queue.splice(state.queue.indexOf(entry), 1);
+        state.timedOut++;
+        logger.warn('等待上游并发名额超时', { host, priority, waitTime: Date.now() - entry.enqueuedAt });
+        reject(new UpstreamBusyError(`等待上游服务器超时: ${host}`, host));
+      }, this.options.queueTimeout);
+
+      // 同一优先级内先到先得
+      const index = state.queue.findIndex(queued => queued.rank > rank);
+      state.queue.splice(index === -1 ? state.queue.length : index, 0, entry);
+      state.maxQueued = Math.max(state.maxQueued, state.queue.length);
+    });
+  }
+
+  /**
+   * 获取上游主机的并发状态，不存在时创建
+   * @param {string} host 上游主机名
+   * @returns {Object} 并发状态
+   */
+  getHostState(host) {
+    let state = this.hostSlots.get(host);
+    if (!state) {
+      state = {
+        active: 0,
+        queue: [],
+        lastUsedAt: Date.now(),
+        waited: 0,
+        totalWaitTime: 0,
+        maxWaitTime: 0,
+        maxQueued: 0,
+        rejected: 0,
+        timedOut: 0
+      };
+      this.hostSlots.set(host, state);
+    }
+    return state;
+  }
+
+  /**
+   * 创建释放并发名额的函数，释放后把名额交给队列中优先级最高的请求
+   * @param {Object} state 上游主机的并发状态
+   * @returns {Function} 释放函数
+   */
+  createSlotRelease(state) {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      state.active--;
+      state.lastUsedAt = Date.now();
+      while (state.active < this.options.maxConcurrentPerHost && state.queue.length > 0) {
+        const entry = state.queue.shift();
+        clearTimeout(entry.timer);
+        const waitTime = Date.now() - entry.enqueuedAt;
+        state.waited++;
+        state.totalWaitTime += waitTime;
+        state.maxWaitTime = Math.max(state.maxWaitTime, waitTime);
+        state.active++;
+        entry.resolve(this.createSlotRelease(state));
+      }
+    };
+  }
+
+  /**
+   * 占用并发名额执行一次操作；响应为流时在流结束后才释放名额
+   * @param {Function} operation 操作函数
+   * @param {Object} context 上下文
+   * @param {number} attempt 尝试次数
+   * @param {string} host 上游主机名
+   * @returns {Promise} 结果
+   */
+  async executeWithSlot(operation, context, attempt, host) {
+    const release = await this.acquireSlot(host, context.priority);
+    let response;
+    try {
+      response = await this.executeOperation(operation, context, attempt);
+    } catch (error) {
+      release();
+      throw error;
+    }
+    const stream = response && response.data;
+    if (stream && typeof stream.pipe === 'function' && !stream.destroyed) {
+      stream.once('close', release);
+      stream.once('end', release);
+      stream.once('error', release);
+    } else {
+      release();
+    }
+    return response;
+  }
+
+  /**
+   * 删除空闲的上游主机并发状态
+   */
+  pruneIdleHosts() {
+    const now = Date.now();
+    this.hostSlots.forEach((state, host) => {
+      if (state.active === 0 && state.queue.length === 0 && now - state.lastUsedAt > IDLE_HOST_TTL_MS) {
+        this.hostSlots.delete(host);
+      }
+    });
+  }
+
+  /**
+   * 获取各上游主机的并发与排队情况
+   * @returns {Object} 主机名 => 并发状态
+   */
+  getUpstreamQueueStatus() {
+    const status = {};
+    this.hostSlots.forEach((state, host) => {
+      status[host] = {
+        active: state.active,
+        queued: state.queue.length,
+        maxQueued: state.maxQueued,
+        waited: state.waited,
+        averageWaitTime: state.waited > 0 ? state.totalWaitTime / state.waited : 0,
+        maxWaitTime: state.maxWaitTime,
+        rejected: state.rejected,
+        timedOut: state.timedOut
+      };
+    });
+    return status;
+  }
+
   /**
    * 尝试处理Cloudflare质询并重新执行操作
    * @private
@@ -230,8 +415,11 @@ class ConnectionManager {
 
     // 获取域名用于指纹管理
     const domain = context.url ? new URL(context.url).hostname : null;
+    // 以流转发的请求体只能发送一次，失败后不重试，也不在Cloudflare绕过后重发
+    const isStreamBody = Boolean(context.data) && typeof context.data.pipe === 'function';
+    const maxRetries = isStreamBody ? 0 : this.options.maxRetries;
 
-    while (attempt <= this.options.maxRetries) {
+    while (attempt <= maxRetries) {
       try {
         // 应用浏览器指纹
         if (context.headers && domain) {
@@ -244,10 +432,13 @@ class ConnectionManager {
           await this.sleep(delay);
         }
 
-        response = await this.executeOperation(operation, context, attempt);
+        // 未提供URL（无法确定上游主机）时不做并发限制
+        response = domain
+          ? await this.executeWithSlot(operation, context, attempt, domain)
+          : await this.executeOperation(operation, context, attempt);
         
         // 检查是否遇到Cloudflare验证
-        if (this.options.cloudflareBypass && this.isCloudflareResponse(response) && !context.isPostCloudflareBypass) {
+        if (this.options.cloudflareBypass && !isStreamBody && this.isCloudflareResponse(response) && !context.isPostCloudflareBypass) {
           response = await this._handleCloudflareChallenge(operation, context, attempt, response);
         }
 
@@ -279,7 +470,7 @@ class ConnectionManager {
         this.recordError(error);
 
         // 判断是否应该重试
-        if (attempt > this.options.maxRetries || !this.shouldRetry(error, attempt)) {
+        if (attempt > maxRetries || !this.shouldRetry(error, attempt)) {
           break;
         }
 
@@ -309,6 +500,18 @@ class ConnectionManager {
       errorStack: lastError.stack // 添加堆栈信息以便调试
     });
 
+    // 请求体流超过大小限制时上游连接被中止，axios 只报告连接错误，原因记录在流的 errored 上
+    if (isStreamBody && context.data.errored instanceof RequestBodyTooLargeError) {
+      throw context.data.errored;
+    }
+
+    // SSRF防护拒绝的连接：错误可能被 axios 和重定向处理层层包装，沿 cause 查找原始错误
+    for (let cause = lastError; cause; cause = cause.cause) {
+      if (cause instanceof BlockedAddressError) {
+        throw cause;
+      }
+    }
+
     // 将常见的底层错误转换为自定义的 ProxyError 子类
     if (lastError.code) {
       switch (lastError.code) {
@@ -584,6 +787,7 @@ class ConnectionManager {
         ? (this.stats.cloudflareBypassSuccesses / this.stats.cloudflareBypassAttempts) * 100 
         : 0,
       poolStatus: this.getPoolStatus(),
+      upstreamQueues: this.getUpstreamQueueStatus(),
       stats: { ...this.stats }
     };
   }
@@ -607,6 +811,10 @@ class ConnectionManager {
       errors: new Map(),
       startTime: Date.now()
     };
+    // 只重置计数，正在进行和排队中的请求不受影响
+    this.hostSlots.forEach(state => {
+      Object.assign(state, { waited: 0, totalWaitTime: 0, maxWaitTime: 0, maxQueued: state.queue.length, rejected: 0, timedOut: 0 });
+    });
     
     logger.info('连接管理器统计信息已重置');
   }
@@ -626,6 +834,8 @@ class ConnectionManager {
       // 销毁所有连接
       this.httpAgent.destroy();
       this.httpsAgent.destroy();
+      this.trustedHttpAgent.destroy();
+      this.trustedHttpsAgent.destroy();
       
       // 记录最终统计
       this.logStatistics();
@@ -729,7 +939,11 @@ const connectionManager = new ConnectionManager({
   maxFreeSockets: process.env.MAX_FREE_SOCKETS || 10,
   timeout: process.env.REQUEST_TIMEOUT || 30000,
   maxRetries: process.env.MAX_RETRIES || 3,
-  cloudflareBypass: process.env.CLOUDFLARE_BYPASS !== 'false'
+  cloudflareBypass: process.env.CLOUDFLARE_BYPASS !== 'false',
+  maxConcurrentPerHost: parseInt(process.env.MAX_CONCURRENT_PER_HOST, 10) || 16,
+  maxQueuePerHost: parseInt(process.env.MAX_QUEUE_PER_HOST, 10) || 100,
+  queueTimeout: parseInt(process.env.QUEUE_TIMEOUT, 10) || 15000
 });
 
-module.exports = connectionManager; 
\ No newline at end of file
+module.exports = connectionManager;
+module.exports.PRIORITY_CLASSES = PRIORITY_CLASSES; 
\ No newline at end of file
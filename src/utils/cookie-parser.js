@@ -1,29 +1,104 @@
+const crypto = require('crypto');
 const { Cookie, CookieJar } = require('tough-cookie');
 const logger = require('./logger');
+const { signPayload, verifyPayload, readRequestCookie } = require('./signed-cookie');
 
+// 标识浏览器对应的上游Cookie罐的签名会话 Cookie
+const JAR_SESSION_COOKIE = 'gproxy_jar';
+// 会话 Cookie 本身的有效期；空闲的Cookie罐会更早被清理（cookie_jars.idle_ttl）
+const JAR_SESSION_TTL = 30 * 24 * 60 * 60;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 上游Cookie罐，每个浏览器会话一个
+ * 上游第一次为某个浏览器设置Cookie时，向浏览器签发签名的 `gproxy_jar` 会话 Cookie；
+ * 该会话保存的Cookie只会随携带同一会话 Cookie 的请求发往上游。
+ * 空闲超过 `idle_ttl` 秒的Cookie罐会被清理，最多保留 `max_jars` 个（最久未使用的先移除）。
+ */
 class CookieManager {
   constructor() {
-    this.jar = new CookieJar(undefined, { // Use default MemoryStore
-        allowSpecialUseDomain: true, 
-        rejectPublicSuffixes: false, 
-        looseMode: true 
-    });
+    this.jars = new Map(); // 会话ID => { jar, lastUsed }，按最近使用的顺序排列
+    this.settings = { secret: null, idleTtl: 60 * 60, maxJars: 10000 };
+    // 未配置 cookie_jars.secret 时使用的随机密钥，重启后之前签发的会话失效
+    this.fallbackSecret = crypto.randomBytes(32).toString('hex');
+    this.sweepTimer = setInterval(() => this._sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * 应用配置
+   * @param {Object} settings configLoader 解析后的 cookie_jars
+   */
+  configure(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * 识别客户端请求所属的Cookie罐会话
+   * 请求没有携带有效的会话 Cookie 时生成新的会话ID，调用方在有Cookie需要保存时用 buildSessionCookie() 签发。
+   * @param {Object} clientHeaders 客户端请求头
+   * @returns {{id: string, isNew: boolean}} 会话
+   */
+  resolveSession(clientHeaders) {
+    const value = readRequestCookie({ headers: clientHeaders || {} }, JAR_SESSION_COOKIE);
+    const payload = verifyPayload(value, this._getSecret());
+    if (payload && typeof payload.sid === 'string') {
+      return { id: payload.sid, isNew: false };
+    }
+    return { id: crypto.randomBytes(16).toString('hex'), isNew: true };
+  }
+
+  /**
+   * 生成向客户端签发会话 Cookie 的 Set-Cookie 字符串
+   * @param {string} sessionId resolveSession() 返回的会话ID
+   * @param {boolean} secure 代理是否通过 HTTPS 访问
+   * @returns {string} Set-Cookie 字符串
+   */
+  buildSessionCookie(sessionId, secure) {
+    const value = signPayload({ sid: sessionId }, this._getSecret(), JAR_SESSION_TTL);
+    return `${JAR_SESSION_COOKIE}=${value}; Path=/; Max-Age=${JAR_SESSION_TTL}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`;
+  }
+
+  /**
+   * 获取会话的Cookie罐，并标记为最近使用
+   * @param {string} sessionId 会话ID
+   * @param {boolean} [create=false] 会话还没有Cookie罐时是否创建
+   * @returns {CookieJar|null} Cookie罐，不存在且 create 为false时返回null
+   */
+  getJar(sessionId, create = false) {
+    let entry = this.jars.get(sessionId);
+    if (entry) {
+      this.jars.delete(sessionId);
+    } else if (create) {
+      entry = { jar: createJar() };
+      while (this.jars.size >= this.settings.maxJars) {
+        this.jars.delete(this.jars.keys().next().value);
+      }
+    } else {
+      return null;
+    }
+    entry.lastUsed = Date.now();
+    this.jars.set(sessionId, entry);
+    return entry.jar;
   }
 
   /**
    * Processes Set-Cookie headers received from an upstream server.
-   * Stores cookies in the internal jar (associated with upstreamUrl)
+   * Stores cookies in the session's jar (associated with upstreamUrl)
    * and returns an array of modified Set-Cookie strings to be sent to the client via the proxy.
    *
    * @param {Array<string>|string} setCookieHeaders Headers from upstream.
    * @param {string} upstreamUrl URL from which cookies were received (current request's URL to upstream).
    * @param {string} proxyUrl URL the client is talking to (the proxy server's public URL for this request context).
+   * @param {string} [pathPrefix=''] Mount path prefix (e.g. /gh) prepended to the client cookie's Path.
+   * @param {string|null} [sessionId=null] Cookie jar session; without one nothing is stored.
    * @returns {Array<string>} Modified Set-Cookie strings for the client.
    */
-  handleSetCookieFromUpstream(setCookieHeaders, upstreamUrl, proxyUrl) {
+  handleSetCookieFromUpstream(setCookieHeaders, upstreamUrl, proxyUrl, pathPrefix = '', sessionId = null) {
     if (!setCookieHeaders) return [];
     const headersArray = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders];
     if (headersArray.length === 0) return [];
+    const jar = sessionId ? this.getJar(sessionId, true) : null;
 
     const proxyHost = new URL(proxyUrl).hostname;
     const proxyIsHttp = new URL(proxyUrl).protocol === 'http:';
@@ -31,9 +106,11 @@ class CookieManager {
 
     headersArray.forEach(cookieStr => {
       try {
-        // Store the original cookie from upstream into our jar.
+        // Store the original cookie from upstream into the session's jar.
         // The jar associates it with upstreamUrl (tough-cookie handles domain/path from cookie string).
-        this.jar.setCookieSync(cookieStr, upstreamUrl, { ignoreError: false, loose: true });
+        if (jar) {
+          jar.setCookieSync(cookieStr, upstreamUrl, { ignoreError: false, loose: true });
+        }
 
         // Now, create a version of this cookie to send to the client,
         // as if the proxy server (proxyUrl) is setting it.
@@ -70,7 +147,12 @@ class CookieManager {
         }
         clientCookie.sameSite = sameSiteValue;
         
-        // Path, HttpOnly, Expires, Max-Age are generally kept as is from original cookie.
+        // 4. Path: keep cookies from a mounted upstream inside its mount prefix.
+        if (pathPrefix && clientCookie.path) {
+          clientCookie.path = clientCookie.path === '/' ? pathPrefix : pathPrefix + clientCookie.path;
+        }
+
+        // HttpOnly, Expires, Max-Age are generally kept as is from original cookie.
         // Path will be interpreted by the client relative to the (new) domain (proxyHost).
 
         modifiedClientCookieStrings.push(clientCookie.toString());
@@ -86,14 +168,19 @@ class CookieManager {
 
   /**
    * Gets the Cookie header string to be sent to an upstream server.
-   * Retrieves cookies from the internal jar that match the upstreamUrl.
+   * Retrieves cookies from the session's jar that match the upstreamUrl.
    *
    * @param {string} upstreamUrl URL the request is being sent to.
+   * @param {string|null} sessionId Cookie jar session of the client request.
    * @returns {string} Cookie header string, or empty string if no suitable cookies.
    */
-  getCookiesForUpstream(upstreamUrl) {
+  getCookiesForUpstream(upstreamUrl, sessionId) {
     try {
-      const cookies = this.jar.getCookieStringSync(upstreamUrl, { http: true }); 
+      const jar = sessionId ? this.getJar(sessionId) : null;
+      if (!jar) {
+        return '';
+      }
+      const cookies = jar.getCookieStringSync(upstreamUrl, { http: true });
       logger.debug('为上游获取到的Cookies:', { upstreamUrl, count: cookies ? cookies.split(';').length : 0 });
       return cookies || '';
     } catch (error) {
@@ -103,16 +190,86 @@ class CookieManager {
   }
 
   /**
-   * (Optional) Clears all cookies from the jar. Useful for testing or session reset.
+   * 导出全部Cookie罐，供持久化Cookie存储保存；已过期的Cookie和空的Cookie罐不导出
+   * @returns {Object} 会话ID => { lastUsed, jar }，jar 为 tough-cookie 的序列化格式
    */
-  clearAllCookies() {
-    this.jar = new CookieJar(undefined, { 
-        allowSpecialUseDomain: true, 
-        rejectPublicSuffixes: false, 
-        looseMode: true 
+  exportState() {
+    const now = Date.now();
+    const state = {};
+    this.jars.forEach((entry, sessionId) => {
+      const serialized = entry.jar.serializeSync();
+      serialized.cookies = serialized.cookies.filter(cookie => Cookie.fromJSON(cookie)?.expiryTime() > now);
+      if (serialized.cookies.length > 0) {
+        state[sessionId] = { lastUsed: entry.lastUsed, jar: serialized };
+      }
     });
+    return state;
+  }
+
+  /**
+   * 恢复 exportState() 导出的Cookie罐。空闲超过 idle_ttl 的Cookie罐不恢复；
+   * 已过期的Cookie不会被 tough-cookie 返回，下次导出时移除。
+   * @param {Object} state exportState() 导出的状态
+   */
+  importState(state) {
+    const cutoff = Date.now() - this.settings.idleTtl * 1000;
+    Object.entries(state)
+      .filter(([, entry]) => entry.lastUsed > cutoff)
+      .sort(([, a], [, b]) => a.lastUsed - b.lastUsed)
+      .slice(-this.settings.maxJars)
+      .forEach(([sessionId, entry]) => {
+        try {
+          this.jars.set(sessionId, { jar: CookieJar.deserializeSync(entry.jar), lastUsed: entry.lastUsed });
+        } catch (error) {
+          logger.warn('恢复Cookie罐失败，已跳过:', { error: error.message });
+        }
+      });
+    logger.info('已恢复上游Cookie罐', { count: this.jars.size });
+  }
+
+  /**
+   * (Optional) Clears all cookies from all jars. Useful for testing or session reset.
+   */
+  clearAllCookies() {
+    this.jars.clear();
     logger.info('Cookie管理器中的所有Cookie已被清除。');
   }
+
+  /**
+   * 清理空闲超过 idle_ttl 的Cookie罐
+   * @private
+   */
+  _sweep() {
+    const cutoff = Date.now() - this.settings.idleTtl * 1000;
+    let evicted = 0;
+    // Cookie罐按最近使用的顺序排列，遇到第一个仍在使用的就停止
+    for (const [sessionId, entry] of this.jars) {
+      if (entry.lastUsed > cutoff) {
+        break;
+      }
+      this.jars.delete(sessionId);
+      evicted++;
+    }
+    if (evicted > 0) {
+      logger.debug('已清理空闲的Cookie罐', { evicted, remaining: this.jars.size });
+    }
+  }
+
+  _getSecret() {
+    return this.settings.secret || this.fallbackSecret;
+  }
 }
 
-module.exports = CookieManager; 
\ No newline at end of file
+function createJar() {
+  return new CookieJar(undefined, { // Use default MemoryStore
+    allowSpecialUseDomain: true,
+    rejectPublicSuffixes: false,
+    looseMode: true
+  });
+}
+
+// 创建单例实例
+const cookieManager = new CookieManager();
+
+module.exports = cookieManager;
+module.exports.CookieManager = CookieManager;
@@ -0,0 +1,239 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// 未配置 cookie_store.path 时的保存文件
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', '..', 'data', 'cookie-store.enc');
+
+// 文件格式版本，加密前的内容为 { version, savedAt, sources: { 数据源名称: 状态 } }
+const STORE_VERSION = 1;
+
+/**
+ * 加密文件存储（cookie_store.type 为 file，默认）
+ * 内容以 AES-256-GCM 加密，密钥由 cookie_store.key 经 scrypt 派生，盐和 IV 与密文一起保存。
+ * 写入时先写临时文件再重命名，进程在写入过程中退出也不会留下损坏的文件。
+ */
+class FileBackend {
+  /**
+   * @param {Object} settings configLoader 解析后的 cookie_store
+   * @param {string} baseDir 相对路径的基准目录（配置文件所在目录）
+   */
+  constructor(settings, baseDir) {
+    this.filePath = settings.path ? path.resolve(baseDir, settings.path) : DEFAULT_STORE_FILE;
+    this.key = settings.key;
+    this.salt = null;
+    this.derivedKeys = new Map(); // 盐 => 派生密钥，scrypt 较慢，只在盐变化时计算
+  }
+
+  /**
+   * 读取并解密保存的内容
+   * @returns {Object|null} 保存的内容，文件不存在时返回null
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+    const envelope = fs.readJsonSync(this.filePath);
+    const salt = Buffer.from(envelope.salt, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._deriveKey(salt), Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    this.salt = salt;
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * 加密并写入内容
+   * @param {Object} content 要保存的内容
+   * @returns {Promise<void>}
+   */
+  async save(content) {
+    this.salt = this.salt || crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._deriveKey(this.salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(content), 'utf8'), cipher.final()]);
+    const envelope = {
+      version: STORE_VERSION,
+      salt: this.salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+    const tempFile = `${this.filePath}.tmp`;
+    await fs.outputJson(tempFile, envelope, { mode: 0o600 });
+    await fs.rename(tempFile, this.filePath);
+  }
+
+  describe() {
+    return this.filePath;
+  }
+
+  _deriveKey(salt) {
+    const cacheKey = salt.toString('base64');
+    if (!this.derivedKeys.has(cacheKey)) {
+      this.derivedKeys.set(cacheKey, crypto.scryptSync(this.key, salt, 32));
+    }
+    return this.derivedKeys.get(cacheKey);
+  }
+}
+
+/**
+ * 持久化Cookie存储
+ * 把已注册数据源（上游Cookie罐、Cloudflare会话Cookie）的状态定期写入存储后端，启动时恢复，重启后不需要重新登录上游。
+ * 数据源需要实现 exportState()（返回可以序列化为JSON的状态，不含已过期的Cookie）和 importState(state)。
+ * 存储后端可以通过 registerBackend 扩展，需要实现 load()（同步返回保存的内容或null）、save(content)（返回Promise）。
+ * 未配置 cookie_store 时不做持久化。
+ */
+class CookieStore {
+  constructor() {
+    this.sources = new Map();   // 数据源名称 => 数据源
+    this.backends = new Map([['file', FileBackend]]);
+    this.backend = null;
+    this.settingsKey = null;
+    this.lastSaved = null;      // 上次写入的内容，没有变化时跳过写入
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * 注册存储后端类型
+   * @param {string} type cookie_store.type 中使用的名称
+   * @param {Function} Backend 后端类，构造参数为 (settings, baseDir)
+   */
+  registerBackend(type, Backend) {
+    this.backends.set(type, Backend);
+  }
+
+  /**
+   * 注册数据源
+   * @param {string} name 数据源名称，作为保存内容中的键
+   * @param {{exportState: Function, importState: Function}} source 数据源
+   */
+  register(name, source) {
+    this.sources.set(name, source);
+  }
+
+  /**
+   * 应用配置。首次启用存储时从后端恢复数据源的状态；之后切换配置时保留内存中的状态，写入新的后端。
+   * @param {Object|null} settings configLoader 解析后的 cookie_store，为null时停用持久化
+   * @param {string} baseDir 相对路径的基准目录
+   */
+  configure(settings, baseDir) {
+    const settingsKey = settings ? JSON.stringify({ ...settings, baseDir }) : null;
+    if (settingsKey === this.settingsKey) {
+      return;
+    }
+    const isFirstBackend = this.settingsKey === null;
+    this.settingsKey = settingsKey;
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    this.backend = null;
+    this.lastSaved = null;
+    if (!settings) {
+      return;
+    }
+
+    const Backend = this.backends.get(settings.type);
+    if (!Backend) {
+      logger.error('未知的Cookie存储类型，Cookie不会持久化', { type: settings.type });
+      return;
+    }
+    this.backend = new Backend(settings, baseDir);
+    if (isFirstBackend) {
+      this._restore();
+    }
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => logger.error('保存Cookie存储失败:', error));
+    }, settings.flushInterval * 1000);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * 把数据源的当前状态写入后端，内容没有变化时跳过
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.backend) {
+      return;
+    }
+    if (this.flushing) {
+      return this.flushing;
+    }
+    const sources = {};
+    this.sources.forEach((source, name) => {
+      sources[name] = source.exportState();
+    });
+    const serialized = JSON.stringify(sources);
+    if (serialized === this.lastSaved) {
+      return;
+    }
+
+    this.flushing = this.backend.save({ version: STORE_VERSION, savedAt: new Date().toISOString(), sources })
+      .then(() => {
+        this.lastSaved = serialized;
+        logger.debug('Cookie存储已保存', { sources: [...this.sources.keys()] });
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+    return this.flushing;
+  }
+
+  /**
+   * 停止定期保存并写入最后一次状态（关闭服务器时调用）
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    try {
+      await this.flush();
+    } catch (error) {
+      logger.error('保存Cookie存储失败:', error);
+    }
+  }
+
+  /**
+   * 从后端恢复数据源的状态
+   * @private
+   */
+  _restore() {
+    let content;
+    try {
+      content = this.backend.load();
+    } catch (error) {
+      // 密钥错误或文件损坏时从空状态开始，下次保存时覆盖
+      logger.error('读取Cookie存储失败，将从空状态开始:', { error: error.message });
+      return;
+    }
+    if (!content) {
+      return;
+    }
+    if (content.version !== STORE_VERSION) {
+      logger.warn('Cookie存储的版本不受支持，已忽略', { version: content.version });
+      return;
+    }
+    // 某个数据源的状态无法恢复时跳过该数据源，不影响其他数据源和服务器启动
+    this.sources.forEach((source, name) => {
+      if (!content.sources?.[name]) {
+        return;
+      }
+      try {
+        source.importState(content.sources[name]);
+      } catch (error) {
+        logger.error('恢复Cookie存储中的数据源失败，已跳过:', { source: name, error: error.message });
+      }
+    });
+    logger.info('已从Cookie存储恢复会话', {
+      store: this.backend.describe?.(),
+      savedAt: content.savedAt
+    });
+  }
+}
+
+// 创建单例实例
+const cookieStore = new CookieStore();
+
+module.exports = cookieStore;
+module.exports.FileBackend = FileBackend;
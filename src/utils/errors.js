@@ -44,6 +44,14 @@ class ConfigurationError extends ProxyError {
   }
 }
 
+// 配置未通过 schema 验证，errors 为带 JSON 路径的错误列表
+class ConfigValidationError extends ConfigurationError {
+  constructor(errors = [], originalError = null) {
+    super(`配置验证失败: ${errors.map(({ path, message }) => `${path}: ${message}`).join('; ')}`, originalError);
+    this.errors = errors;
+  }
+}
+
 // It's better to define these here if they are specific to entity parsing
 class InvalidUrlError extends ProxyError {
   constructor(message = '无效的URL', originalError = null) {
@@ -51,6 +59,57 @@ class InvalidUrlError extends ProxyError {
   }
 }
 
+// 启用URL签名时，全局代理URL未签名、签名无效或已过期
+class UrlSignatureError extends ProxyError {
+  constructor(message = '代理URL签名无效', originalError = null) {
+    super(message, 403, originalError);
+  }
+}
+
+// 全局代理的目标被 destination_policy 拒绝，reason 为 deny、not_allowed 或 blocklist:<文件名>
+class DestinationDeniedError extends ProxyError {
+  constructor(host, reason = 'deny', originalError = null) {
+    super(`不允许通过代理访问: ${host}`, 403, originalError);
+    this.host = host;
+    this.reason = reason;
+  }
+}
+
+// 出站连接的目标地址位于受保护的网络（SSRF防护），code 便于在 axios 包装后的错误中识别
+class BlockedAddressError extends ProxyError {
+  constructor(message = '目标地址位于受保护的网络', originalError = null) {
+    super(message, 403, originalError);
+    this.code = 'EBLOCKEDADDRESS';
+  }
+}
+
+// 请求超过 rate_limits 限流，retryAfter 为建议客户端等待的秒数
+class RateLimitError extends ProxyError {
+  constructor(retryAfter, rule, originalError = null) {
+    super('请求过于频繁，请稍后重试', 429, originalError);
+    this.retryAfter = retryAfter;
+    this.rule = rule;
+  }
+}
+
+// 上游主机的并发已满且等待队列已满或等待超时，code 为 EUPSTREAMBUSY
+class UpstreamBusyError extends ProxyError {
+  constructor(message = '上游服务器繁忙，请稍后重试', host = null, originalError = null) {
+    super(message, 503, originalError);
+    this.host = host;
+    this.code = 'EUPSTREAMBUSY';
+  }
+}
+
+// 代理请求的请求体超过配置的大小限制，limit 为限制的字节数
+class RequestBodyTooLargeError extends ProxyError {
+  constructor(limit, originalError = null) {
+    super(`请求体超过大小限制（${limit} 字节）`, 413, originalError);
+    this.limit = limit;
+    this.code = 'EBODYTOOLARGE';
+  }
+}
+
 class RequestConversionError extends ProxyError {
   constructor(message = '请求转换失败', originalError = null) {
     super(message, 500, originalError); // Internal server error during conversion
@@ -73,7 +132,14 @@ module.exports = {
   TargetConnectionRefusedError,
   RequestTimeoutError,
   ConfigurationError,
+  ConfigValidationError,
   InvalidUrlError,
+  UrlSignatureError,
+  DestinationDeniedError,
+  BlockedAddressError,
+  RateLimitError,
+  UpstreamBusyError,
+  RequestBodyTooLargeError,
   RequestConversionError,
   HandlerError
 }; 
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * 主机名匹配工具
+ * 支持精确匹配与通配符匹配（如 *.example.com、*）。
+ */
+
+/**
+ * 规范化主机名：去掉端口、末尾的点并转为小写
+ * @param {string} host 主机名（可能带端口）
+ * @returns {string} 规范化后的主机名
+ */
+function normalizeHost(host) {
+  if (!host || typeof host !== 'string') {
+    return '';
+  }
+  let hostname = host.trim().toLowerCase();
+  if (hostname.startsWith('[')) {
+    // IPv6字面量，如 [::1]:8000
+    const end = hostname.indexOf(']');
+    return end !== -1 ? hostname.slice(1, end) : hostname;
+  }
+  const colonIndex = hostname.indexOf(':');
+  if (colonIndex !== -1 && hostname.indexOf(':', colonIndex + 1) === -1) {
+    hostname = hostname.slice(0, colonIndex);
+  }
+  return hostname.replace(/\.$/, '');
+}
+
+/**
+ * 判断主机名是否匹配指定模式
+ * - `*` 匹配任意主机
+ * - `*.example.com` 匹配 example.com 的任意子域名（不含 example.com 本身）
+ * - 其他模式按精确匹配处理
+ * @param {string} host 主机名
+ * @param {string} pattern 匹配模式
+ * @returns {boolean} 是否匹配
+ */
+function matchHostPattern(host, pattern) {
+  const hostname = normalizeHost(host);
+  const normalizedPattern = normalizeHost(pattern);
+  if (!hostname || !normalizedPattern) {
+    return false;
+  }
+  if (normalizedPattern === '*') {
+    return true;
+  }
+  if (normalizedPattern.startsWith('*.')) {
+    const suffix = normalizedPattern.slice(1); // .example.com
+    return hostname.length > suffix.length && hostname.endsWith(suffix);
+  }
+  return hostname === normalizedPattern;
+}
+
+/**
+ * 计算模式的具体程度，用于在多个模式同时匹配时选出最精确的一个。
+ * 精确匹配 > 较长的通配符 > 较短的通配符 > `*`
+ * @param {string} pattern 匹配模式
+ * @returns {number} 分值越大越具体
+ */
+function patternSpecificity(pattern) {
+  const normalizedPattern = normalizeHost(pattern);
+  if (normalizedPattern === '*') {
+    return 0;
+  }
+  if (normalizedPattern.startsWith('*.')) {
+    return normalizedPattern.length;
+  }
+  return Number.MAX_SAFE_INTEGER;
+}
+
+module.exports = {
+  normalizeHost,
+  matchHostPattern,
+  patternSpecificity
+};
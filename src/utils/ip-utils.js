@@ -0,0 +1,127 @@
+/**
+ * IP地址与CIDR匹配工具
+ * 基于 net.BlockList，支持 IPv4、IPv6 以及 IPv4 映射的 IPv6 地址（::ffff:1.2.3.4）。
+ */
+const net = require('net');
+
+/**
+ * 规范化IP地址：去掉 IPv6 方括号、区域标识以及 IPv4 映射前缀
+ * @param {string} ip IP地址
+ * @returns {string} 规范化后的IP地址，无效时返回空字符串
+ */
+function normalizeIp(ip) {
+  if (!ip || typeof ip !== 'string') {
+    return '';
+  }
+  let address = ip.trim().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    address = mapped[1];
+  }
+  return net.isIP(address) ? address.toLowerCase() : '';
+}
+
+/**
+ * 提取 IPv6 地址中内嵌的 IPv4 地址：IPv4 兼容地址（::/96）、IPv4 映射地址（::ffff:0:0/96）和 NAT64 地址（64:ff9b::/96）
+ * @param {string} ip IP地址
+ * @returns {string|null} 内嵌的 IPv4 地址，不是这几类地址时返回null
+ */
+function embeddedIpv4(ip) {
+  const address = normalizeIp(ip);
+  if (!net.isIPv6(address)) {
+    return null;
+  }
+  const groups = expandIpv6(address);
+  const prefix = groups.slice(0, 6);
+  const compatible = prefix.every(group => group === 0);
+  const mapped = prefix.slice(0, 5).every(group => group === 0) && prefix[5] === 0xffff;
+  const nat64 = prefix[0] === 0x64 && prefix[1] === 0xff9b && prefix.slice(2).every(group => group === 0);
+  if (!compatible && !mapped && !nat64) {
+    return null;
+  }
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+/**
+ * 把合法的 IPv6 地址展开为 8 个 16 位分组
+ * @param {string} address IPv6 地址（可以以点分 IPv4 结尾）
+ * @returns {number[]} 分组
+ */
+function expandIpv6(address) {
+  let text = address;
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+  return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+}
+
+/**
+ * 解析单个IP或CIDR
+ * @param {string} value IP地址或CIDR，如 10.0.0.0/8、::1、fc00::/7
+ * @returns {{address: string, prefix: number, family: string}|null} 解析结果，无效时返回null
+ */
+function parseCidr(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const [rawAddress, rawPrefix, ...rest] = value.trim().split('/');
+  const address = normalizeIp(rawAddress);
+  if (!address || rest.length > 0) {
+    return null;
+  }
+  const family = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  const maxPrefix = family === 'ipv4' ? 32 : 128;
+  const prefix = rawPrefix === undefined ? maxPrefix : Number(rawPrefix);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix || (rawPrefix !== undefined && !/^\d+$/.test(rawPrefix))) {
+    return null;
+  }
+  return { address, prefix, family };
+}
+
+/**
+ * 判断字符串是否为合法的IP或CIDR
+ * @param {string} value IP地址或CIDR
+ * @returns {boolean}
+ */
+function isValidCidr(value) {
+  return parseCidr(value) !== null;
+}
+
+/**
+ * 根据IP/CIDR列表创建匹配函数
+ * @param {string[]} cidrs IP地址或CIDR列表
+ * @returns {function(string): boolean} 判断IP是否落在列表中的函数
+ * @throws {Error} 列表中包含无效的IP或CIDR时抛出
+ */
+function createIpMatcher(cidrs = []) {
+  const blockList = new net.BlockList();
+  cidrs.forEach(value => {
+    const parsed = parseCidr(value);
+    if (!parsed) {
+      throw new Error(`无效的IP或CIDR: ${value}`);
+    }
+    blockList.addSubnet(parsed.address, parsed.prefix, parsed.family);
+  });
+
+  return (ip) => {
+    const address = normalizeIp(ip);
+    if (!address) {
+      return false;
+    }
+    return blockList.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+  };
+}
+
+module.exports = {
+  normalizeIp,
+  embeddedIpv4,
+  parseCidr,
+  isValidCidr,
+  createIpMatcher
+};
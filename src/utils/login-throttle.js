@@ -0,0 +1,88 @@
+/**
+ * 密码登录失败限制
+ * 按客户端IP统计登录失败次数：窗口期内失败达到上限后，窗口结束前拒绝该IP的密码登录，成功登录后清零。
+ * 管理界面登录和代理访问登录各自使用一个实例，互不影响。
+ */
+const { normalizeIp } = require('./ip-utils');
+const { RateLimitError } = require('./errors');
+const logger = require('./logger');
+
+const DEFAULT_MAX_FAILURES = 10;
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+
+// 清理已过期的登录失败记录的间隔
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class LoginThrottle {
+  /**
+   * @param {Object} options 选项
+   * @param {string} options.rule 限制名称，作为 RateLimitError 的 rule
+   * @param {number} [options.maxFailures=10] 窗口期内允许的失败次数
+   * @param {number} [options.windowMs=900000] 窗口期（毫秒），从第一次失败开始计算
+   */
+  constructor({ rule, maxFailures = DEFAULT_MAX_FAILURES, windowMs = DEFAULT_WINDOW_MS }) {
+    this.rule = rule;
+    this.maxFailures = maxFailures;
+    this.windowMs = windowMs;
+    this.failures = new Map(); // 客户端IP => { count, resetAt }
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * 检查该IP是否还可以尝试登录，应在校验密码之前调用
+   * @param {import('express').Request} req Express请求对象
+   * @throws {RateLimitError} 该IP登录失败次数过多时抛出
+   */
+  assertAllowed(req) {
+    const ip = clientIp(req);
+    const now = Date.now();
+    const record = this.failures.get(ip);
+    if (record && record.resetAt <= now) {
+      this.failures.delete(ip);
+    } else if (record && record.count >= this.maxFailures) {
+      const retryAfter = Math.ceil((record.resetAt - now) / 1000);
+      logger.warn('登录失败次数过多，已暂时拒绝', { rule: this.rule, ip, retryAfter });
+      throw new RateLimitError(retryAfter, this.rule);
+    }
+  }
+
+  /**
+   * 记录一次登录失败
+   * @param {import('express').Request} req Express请求对象
+   */
+  recordFailure(req) {
+    const ip = clientIp(req);
+    const record = this.failures.get(ip) || { count: 0, resetAt: Date.now() + this.windowMs };
+    record.count++;
+    this.failures.set(ip, record);
+  }
+
+  /**
+   * 登录成功后清除该IP的失败记录
+   * @param {import('express').Request} req Express请求对象
+   */
+  reset(req) {
+    this.failures.delete(clientIp(req));
+  }
+
+  /**
+   * 清理窗口期已结束的登录失败记录
+   */
+  sweep() {
+    const now = Date.now();
+    this.failures.forEach((record, ip) => {
+      if (record.resetAt <= now) {
+        this.failures.delete(ip);
+      }
+    });
+  }
+}
+
+function clientIp(req) {
+  return normalizeIp(req.ip) || req.ip;
+}
+
+module.exports = {
+  LoginThrottle
+};
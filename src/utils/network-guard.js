@@ -0,0 +1,208 @@
+/**
+ * 出站连接的网络保护（防止SSRF）
+ * 出站 Agent 使用 lookup() 解析域名，在建立连接时检查解析出的每一个地址，
+ * 解析结果落在受保护网络中时拒绝连接。检查发生在实际连接的那一次解析上，DNS 重绑定无法绕过。
+ * 以IP地址访问的目标不会经过DNS解析，由 assertHostAllowed() 检查；重定向的每一跳由 beforeRedirect() 检查。
+ *
+ * 配置文件中的上游由管理员指定，可以是内网服务：基础模式下发往上游源（协议+主机+端口）的请求使用
+ * trustedLookup() 的 Agent，不做检查。全局代理和重定向的每一跳不享有这一例外。
+ */
+const dns = require('dns');
+const net = require('net');
+const logger = require('./logger');
+const { normalizeHost } = require('./host-matcher');
+const { createIpMatcher, normalizeIp, embeddedIpv4 } = require('./ip-utils');
+const { BlockedAddressError } = require('./errors');
+
+// 默认受保护的网络：本机、私有网络、链路本地（含云平台元数据地址 169.254.169.254）、运营商级NAT、组播与保留地址
+const DEFAULT_BLOCKED_NETWORKS = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/128',
+  '::1/128',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8'
+];
+
+class NetworkGuard {
+  constructor() {
+    this.isBlocked = createIpMatcher(DEFAULT_BLOCKED_NETWORKS);
+    this.isAllowed = createIpMatcher([]);
+    this.trustedOrigins = new Set();
+    this.trustedHostnames = new Set();
+    this.guardedAgents = null;
+    this.blockedCount = 0;
+    // 作为 Agent 的 lookup 选项传入，需要绑定实例
+    this.lookup = this.lookup.bind(this);
+    this.trustedLookup = this.trustedLookup.bind(this);
+    this.beforeRedirect = this.beforeRedirect.bind(this);
+  }
+
+  /**
+   * 应用配置
+   * @param {Object} settings configLoader 解析后的 network_guard
+   * @param {string[]} [trustedOrigins=[]] 配置文件中的上游源（如 http://10.0.0.5:8080），基础模式下访问时不做检查
+   */
+  configure(settings, trustedOrigins = []) {
+    this.isBlocked = createIpMatcher(settings.blockedNetworks);
+    this.isAllowed = createIpMatcher(settings.allowedNetworks);
+    const origins = trustedOrigins.map(origin => new URL(origin));
+    this.trustedOrigins = new Set(origins.map(url => url.origin));
+    this.trustedHostnames = new Set(origins.map(url => normalizeHost(url.hostname)));
+  }
+
+  /**
+   * 设置重定向使用的 Agent（使用 lookup() 检查地址的 Agent），由连接管理器在创建 Agent 后调用
+   * @param {{http: import('http').Agent, https: import('https').Agent}} agents Agent
+   */
+  setGuardedAgents(agents) {
+    this.guardedAgents = agents;
+  }
+
+  /**
+   * 判断请求是否发往配置文件中的上游：只有基础模式下目标的协议、主机和端口与上游完全一致时成立
+   * @param {string} url 请求URL
+   * @param {string} mode 代理模式：base 或 global
+   * @returns {boolean}
+   */
+  isTrustedUpstream(url, mode) {
+    if (mode !== 'base') {
+      return false;
+    }
+    try {
+      return this.trustedOrigins.has(new URL(url).origin);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 判断IP地址是否位于受保护网络（allowed_networks 中的地址除外）
+   * IPv4 兼容、IPv4 映射和 NAT64 地址按内嵌的 IPv4 地址判断，例如 ::7f00:1 与 127.0.0.1 相同。
+   * @param {string} address IP地址
+   * @returns {boolean}
+   */
+  isAddressBlocked(address) {
+    const ipv4 = embeddedIpv4(address);
+    if (ipv4) {
+      return (this.isBlocked(ipv4) || this.isBlocked(address)) && !this.isAllowed(ipv4) && !this.isAllowed(address);
+    }
+    return this.isBlocked(address) && !this.isAllowed(address);
+  }
+
+  /**
+   * 检查以IP地址表示的目标主机；域名在连接时由 lookup() 检查
+   * @param {string} host 主机名或IP地址
+   * @throws {BlockedAddressError} 目标地址位于受保护网络时抛出
+   */
+  assertHostAllowed(host) {
+    const hostname = normalizeHost(host);
+    const address = normalizeIp(hostname);
+    if (address && this.isAddressBlocked(address)) {
+      this._reject(hostname, address);
+    }
+  }
+
+  /**
+   * 与 dns.lookup 签名相同的解析函数，供 http(s).Agent 使用
+   * @param {string} hostname 主机名
+   * @param {Object} options dns.lookup 选项
+   * @param {Function} callback 回调
+   */
+  lookup(hostname, options, callback) {
+    this._lookup(hostname, options, callback, false);
+  }
+
+  /**
+   * 发往上游的 Agent 使用的解析函数：上游的主机名不做检查，其他主机名（不应出现）仍按 lookup() 检查
+   * @param {string} hostname 主机名
+   * @param {Object} options dns.lookup 选项
+   * @param {Function} callback 回调
+   */
+  trustedLookup(hostname, options, callback) {
+    this._lookup(hostname, options, callback, this.trustedHostnames.has(normalizeHost(hostname)));
+  }
+
+  /**
+   * axios 的 beforeRedirect 选项：重定向的每一跳都重新检查协议和以IP地址表示的目标，
+   * 并换用检查地址的 Agent，发往上游的请求被重定向时不会延续上游的例外
+   * @param {Object} options 下一跳的请求选项（follow-redirects）
+   * @throws {BlockedAddressError} 下一跳不允许访问时抛出，请求随之失败
+   */
+  beforeRedirect(options) {
+    if (!['http:', 'https:'].includes(options.protocol)) {
+      throw new BlockedAddressError(`不允许重定向到 ${options.protocol} 协议`);
+    }
+    this.assertHostAllowed(options.hostname);
+    if (this.guardedAgents) {
+      options.agents = this.guardedAgents;
+    }
+  }
+
+  /**
+   * 获取状态，供 /admin/status 展示
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      trustedUpstreams: Array.from(this.trustedOrigins),
+      blockedConnections: this.blockedCount
+    };
+  }
+
+  /**
+   * @private
+   */
+  _lookup(hostname, options, callback, trusted) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const lookupOptions = typeof options === 'number' ? { family: options } : options;
+    dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      if (!trusted) {
+        // 任一地址受保护就拒绝，避免同时返回公网和内网地址的域名绕过检查
+        const blocked = addresses.find(entry => this.isAddressBlocked(entry.address));
+        if (blocked) {
+          try {
+            this._reject(hostname, blocked.address);
+          } catch (blockedError) {
+            return callback(blockedError);
+          }
+        }
+      }
+      if (lookupOptions.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _reject(hostname, address) {
+    this.blockedCount++;
+    logger.warn('拒绝连接受保护网络中的地址', { hostname, address });
+    throw new BlockedAddressError(`目标地址位于受保护的网络: ${hostname}${net.isIP(hostname) ? '' : ` (${address})`}`);
+  }
+}
+
+// 创建单例实例
+const networkGuard = new NetworkGuard();
+
+module.exports = networkGuard;
+module.exports.DEFAULT_BLOCKED_NETWORKS = DEFAULT_BLOCKED_NETWORKS;
@@ -0,0 +1,66 @@
+/**
+ * 密码哈希工具
+ * 使用 Node.js 内置的 scrypt，哈希格式为 `scrypt$N$r$p$盐(base64)$哈希(base64)`。
+ * 可以用 `npm run hash-password` 生成配置文件中的 password_hash。
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const HASH_PATTERN = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/;
+
+/**
+ * 计算密码哈希
+ * @param {string} password 明文密码
+ * @returns {Promise<string>} 密码哈希
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * 校验密码是否与哈希匹配
+ * @param {string} password 明文密码
+ * @param {string} passwordHash hashPassword 生成的哈希
+ * @returns {Promise<boolean>} 是否匹配，哈希格式无效时返回false
+ */
+async function verifyPassword(password, passwordHash) {
+  const match = typeof passwordHash === 'string' ? passwordHash.match(HASH_PATTERN) : null;
+  if (!match || typeof password !== 'string') {
+    return false;
+  }
+  const [, N, r, p, salt, hash] = match;
+  const expected = Buffer.from(hash, 'base64');
+  try {
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p),
+      maxmem: 256 * Number(N) * Number(r)
+    });
+    return crypto.timingSafeEqual(key, expected);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 判断字符串是否为有效的密码哈希格式
+ * @param {string} passwordHash 密码哈希
+ * @returns {boolean}
+ */
+function isPasswordHash(passwordHash) {
+  return typeof passwordHash === 'string' && HASH_PATTERN.test(passwordHash);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isPasswordHash
+};
@@ -0,0 +1,200 @@
+/**
+ * 请求体工具
+ * 管理接口和登录页使用 express.raw 把请求体读入内存，req.body 为 Buffer，需要时在这里按需解析。
+ * 代理请求的请求体默认以流的形式直接转发给上游，只有管道中的处理器需要读取或改写请求体时才读入内存。
+ */
+const { Transform } = require('stream');
+const { RequestBodyTooLargeError } = require('./errors');
+
+// 没有配置大小限制时，读入内存的代理请求体最大为 50MB；直接转发的请求体不受此限制
+const DEFAULT_BUFFER_LIMIT = 50 * 1024 * 1024;
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// 直接转发的请求体流 => 客户端声明的 Content-Length
+const streamLengths = new WeakMap();
+
+/**
+ * 获取请求体的文本内容
+ * @param {import('express').Request} req Express请求对象
+ * @returns {string} 请求体文本，没有请求体时为空字符串
+ */
+function readBodyText(req) {
+  if (Buffer.isBuffer(req.body)) {
+    return req.body.toString('utf8');
+  }
+  return typeof req.body === 'string' ? req.body : '';
+}
+
+/**
+ * 将请求体解析为JSON
+ * @param {import('express').Request} req Express请求对象
+ * @returns {*} 解析结果，没有请求体时返回 undefined
+ * @throws {SyntaxError} 请求体不是合法的JSON时抛出
+ */
+function parseJsonBody(req) {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+    // 没有请求体时 body-parser 会把 req.body 设为空对象；其他情况说明已被其他中间件解析
+    return Object.keys(req.body).length > 0 ? req.body : undefined;
+  }
+  const text = readBodyText(req);
+  return text.trim() ? JSON.parse(text) : undefined;
+}
+
+/**
+ * 解析配置中的大小：字节数或带单位的字符串，如 `512kb`、`100mb`、`1.5gb`
+ * @param {number|string} value 配置值
+ * @returns {number|null} 字节数，无法解析时返回null
+ */
+function parseSize(value) {
+  if (Number.isInteger(value) && value >= 0) {
+    return value;
+  }
+  const match = typeof value === 'string' && value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  return match ? Math.floor(Number(match[1]) * SIZE_UNITS[match[2] || 'b']) : null;
+}
+
+/**
+ * 判断请求是否带有请求体
+ * @param {import('http').IncomingMessage} req 请求对象
+ * @returns {boolean}
+ */
+function hasRequestBody(req) {
+  return req.headers['transfer-encoding'] !== undefined ||
+    (req.headers['content-length'] !== undefined && req.headers['content-length'] !== '0');
+}
+
+/**
+ * 判断管道中是否有需要读取请求体的前置处理器
+ * 处理器通过 needsBody 属性声明：true 表示总是需要，函数表示按请求判断
+ * @param {Function[]} handlers 前置处理器
+ * @param {import('../entities').ProxyRequest} proxyRequest 代理请求
+ * @returns {boolean}
+ */
+function handlersNeedBody(handlers, proxyRequest) {
+  return handlers.some(handler => (
+    typeof handler.needsBody === 'function' ? handler.needsBody(proxyRequest) : handler.needsBody === true
+  ));
+}
+
+/**
+ * 为代理请求准备请求体，结果写入 proxyRequest.data：
+ * 处理器需要读取请求体时读入内存为 Buffer，否则为限制大小后的请求体流
+ * @param {import('express').Request} req Express请求对象
+ * @param {import('../entities').ProxyRequest} proxyRequest 代理请求
+ * @param {Function[]} handlers 本次请求的前置处理器
+ * @param {number|null} limit 请求体大小限制（字节），null表示不限制
+ * @throws {RequestBodyTooLargeError} Content-Length 或已读取的请求体超过限制
+ */
+async function prepareProxyBody(req, proxyRequest, handlers, limit) {
+  if (!hasRequestBody(req)) {
+    proxyRequest.data = null;
+    return;
+  }
+  const declaredLength = req.headers['content-length'] !== undefined ? Number(req.headers['content-length']) : null;
+  if (limit !== null && declaredLength !== null && declaredLength > limit) {
+    throw new RequestBodyTooLargeError(limit);
+  }
+
+  if (handlersNeedBody(handlers, proxyRequest)) {
+    proxyRequest.data = await readRequestBody(req, limit ?? DEFAULT_BUFFER_LIMIT);
+    return;
+  }
+
+  const body = limit === null ? req : limitStream(req, limit);
+  if (declaredLength !== null) {
+    streamLengths.set(body, declaredLength);
+  }
+  proxyRequest.data = body;
+}
+
+/**
+ * 调整以流转发请求体的 axios 配置：
+ * 关闭自动重定向（follow-redirects 会在内存中保留整个请求体以便重定向时重发），
+ * 去掉请求体大小限制（由 prepareProxyBody 负责），并带上客户端声明的 Content-Length
+ * @param {import('axios').AxiosRequestConfig} axiosConfig axios 请求配置
+ * @returns {import('axios').AxiosRequestConfig} 同一个配置对象
+ */
+function applyStreamBodyConfig(axiosConfig) {
+  const body = axiosConfig.data;
+  if (!isReadableStream(body)) {
+    return axiosConfig;
+  }
+  axiosConfig.maxRedirects = 0;
+  axiosConfig.maxBodyLength = Infinity;
+  if (streamLengths.has(body)) {
+    axiosConfig.headers = { ...axiosConfig.headers, 'content-length': String(streamLengths.get(body)) };
+  }
+  return axiosConfig;
+}
+
+/**
+ * 判断是否为可读流
+ * @param {*} value 任意值
+ * @returns {boolean}
+ */
+function isReadableStream(value) {
+  return Boolean(value) && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
+
+/**
+ * 把请求体读入内存
+ * @param {import('http').IncomingMessage} req 请求对象
+ * @param {number} limit 大小限制（字节）
+ * @returns {Promise<Buffer>}
+ */
+function readRequestBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > limit) {
+        req.pause();
+        req.removeAllListeners('data');
+        reject(new RequestBodyTooLargeError(limit));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.once('end', () => resolve(Buffer.concat(chunks)));
+    req.once('error', reject);
+  });
+}
+
+/**
+ * 限制请求体流的大小，超过限制时以 RequestBodyTooLargeError 结束流，上游请求随之中止
+ * @param {import('http').IncomingMessage} req 请求对象
+ * @param {number} limit 大小限制（字节）
+ * @returns {import('stream').Transform}
+ */
+function limitStream(req, limit) {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > limit ? new RequestBodyTooLargeError(limit) : null, chunk);
+    }
+  });
+  // 超过限制后丢弃剩余的请求体而不是销毁连接，客户端才能收到 413 响应
+  limiter.on('error', () => {
+    req.unpipe(limiter);
+    req.resume();
+  });
+  // 客户端中途断开时结束 limiter，上游请求随之中止
+  req.on('error', error => limiter.destroy(error));
+  // 等到上游请求开始读取时才接入请求体，保证超出限制的错误发生在上游请求监听之后
+  limiter.once('resume', () => req.pipe(limiter));
+  return limiter;
+}
+
+module.exports = {
+  readBodyText,
+  parseJsonBody,
+  parseSize,
+  hasRequestBody,
+  handlersNeedBody,
+  prepareProxyBody,
+  applyStreamBodyConfig,
+  isReadableStream
+};
@@ -0,0 +1,111 @@
+/**
+ * 签名Cookie工具
+ * Cookie 值为 `base64url(JSON载荷).base64url(HMAC-SHA256签名)`，载荷中的 exp 为过期时间（毫秒时间戳）。
+ * 服务器不保存会话状态，校验签名和过期时间即可确认 Cookie 由本服务签发且未被篡改。
+ */
+const crypto = require('crypto');
+
+/**
+ * 对载荷签名
+ * @param {Object} payload 载荷
+ * @param {string} secret 签名密钥
+ * @param {number} ttlSeconds 有效期（秒）
+ * @returns {string} 签名后的值
+ */
+function signPayload(payload, secret, ttlSeconds) {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlSeconds * 1000 })).toString('base64url');
+  return `${body}.${createSignature(body, secret)}`;
+}
+
+/**
+ * 校验签名与过期时间
+ * @param {string} value 签名后的值
+ * @param {string} secret 签名密钥
+ * @returns {Object|null} 载荷，签名无效或已过期时返回null
+ */
+function verifyPayload(value, secret) {
+  if (typeof value !== 'string' || !value.includes('.')) {
+    return null;
+  }
+  const [body, signature] = value.split('.', 2);
+  const expected = Buffer.from(createSignature(body, secret));
+  const actual = Buffer.from(signature || '');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return payload && typeof payload.exp === 'number' && payload.exp > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 从请求头中读取指定名称的Cookie
+ * @param {import('express').Request} req Express请求对象
+ * @param {string} name Cookie名称
+ * @returns {string|null} Cookie值
+ */
+function readRequestCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) {
+    return null;
+  }
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0 && part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 读取并校验签名Cookie
+ * @param {import('express').Request} req Express请求对象
+ * @param {string} name Cookie名称
+ * @param {string} secret 签名密钥
+ * @returns {Object|null} 载荷
+ */
+function readSignedCookie(req, name, secret) {
+  return verifyPayload(readRequestCookie(req, name), secret);
+}
+
+/**
+ * 写入签名Cookie（HttpOnly，默认 SameSite=Strict，HTTPS 请求时带 Secure）
+ * @param {import('express').Request} req Express请求对象
+ * @param {import('express').Response} res Express响应对象
+ * @param {string} name Cookie名称
+ * @param {Object} payload 载荷
+ * @param {Object} options 选项
+ * @param {string} options.secret 签名密钥
+ * @param {number} options.ttl 有效期（秒）
+ * @param {string} [options.path='/'] Cookie路径
+ * @param {string} [options.sameSite='strict'] SameSite 属性
+ */
+function writeSignedCookie(req, res, name, payload, { secret, ttl, path = '/', sameSite = 'strict' }) {
+  res.cookie(name, signPayload(payload, secret, ttl), {
+    httpOnly: true,
+    sameSite,
+    secure: req.secure,
+    path,
+    maxAge: ttl * 1000
+  });
+}
+
+function createSignature(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+module.exports = {
+  signPayload,
+  verifyPayload,
+  readRequestCookie,
+  readSignedCookie,
+  writeSignedCookie
+};
@@ -4,6 +4,13 @@
     // 全局代理路径配置
     const GLOBAL_PROXY_PATH = '#global_proxy_path#';
     
+    // 路径前缀挂载点（如 /gh），为空表示站点挂载在根路径
+    const MOUNT_PATH = '#mount_path#';
+    
+    // 全局代理URL的客户端签名密钥与过期时间（秒），未启用 signed_urls 时为空
+    const URL_SIGNING_KEY = '#url_signing_key#';
+    const URL_SIGNING_EXPIRES = Number('#url_signing_expires#');
+    
     // 调试模式
     const DEBUG = false;
     
@@ -56,6 +63,72 @@
         }
     }
     
+    // UTF-8 编码为字节数组
+    function utf8Bytes(str) {
+        return Array.from(new TextEncoder().encode(str));
+    }
+    
+    // SHA-256（同步实现，供URL签名使用；crypto.subtle 只有异步接口）
+    const SHA256_K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+    
+    function sha256(bytes) {
+        const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const bitLength = bytes.length * 8;
+        const data = bytes.concat([0x80]);
+        while (data.length % 64 !== 56) data.push(0);
+        for (let i = 7; i >= 0; i--) data.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+        
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        const w = new Array(64);
+        for (let offset = 0; offset < data.length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g; g = f; f = e; e = (d + t1) | 0;
+                d = c; c = b; b = a; a = (t1 + t2) | 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] = (hash[i] + value) | 0; });
+        }
+        
+        const result = [];
+        hash.forEach(value => result.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff));
+        return result;
+    }
+    
+    function hmacSha256(keyBytes, messageBytes) {
+        let key = keyBytes.length > 64 ? sha256(keyBytes) : keyBytes.slice();
+        while (key.length < 64) key.push(0);
+        const inner = sha256(key.map(byte => byte ^ 0x36).concat(messageBytes));
+        return sha256(key.map(byte => byte ^ 0x5c).concat(inner));
+    }
+    
+    // 为目标URL生成签名段，算法与服务端 url-signer.js 一致：HMAC-SHA256(key, `<exp>:<URL>`) 的前 16 字节
+    function signTargetUrl(url) {
+        const digest = hmacSha256(utf8Bytes(URL_SIGNING_KEY), utf8Bytes(`${URL_SIGNING_EXPIRES}:${url}`));
+        const signature = btoa(String.fromCharCode(...digest.slice(0, 16)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `c.${URL_SIGNING_EXPIRES}.${signature}/`;
+    }
+    
     // 设置必要的Cookie
     function setCookie(name, value, days) {
         try {
@@ -132,9 +205,10 @@
                 return url;
             }
             
-            // 对目标URL进行Base64编码
+            // 对目标URL进行Base64编码，启用签名时在前面加上签名段
             const encodedUrl = safeBase64Encode(parsedUrl.href);
-            const proxyUrl = `${location.origin}/${GLOBAL_PROXY_PATH}/${encodedUrl}`;
+            const signature = URL_SIGNING_KEY ? signTargetUrl(parsedUrl.href) : '';
+            const proxyUrl = `${location.origin}/${GLOBAL_PROXY_PATH}/${signature}${encodedUrl}`;
             
             log('URL转换:', parsedUrl.href, '->', proxyUrl);
             return proxyUrl;
@@ -144,6 +218,22 @@
         }
     }
     
+    // 挂载点模式下，为同源的根相对路径（/path）补上挂载前缀
+    function applyMountPath(url) {
+        if (!MOUNT_PATH || typeof url !== 'string') {
+            return url;
+        }
+        if (!url.startsWith('/') || url.startsWith('//')) {
+            return url;
+        }
+        if (url === MOUNT_PATH || url.startsWith(MOUNT_PATH + '/') ||
+            url.startsWith(MOUNT_PATH + '?') || url.startsWith('/' + GLOBAL_PROXY_PATH + '/')) {
+            return url;
+        }
+        log('挂载前缀补全:', url, '->', MOUNT_PATH + url);
+        return MOUNT_PATH + url;
+    }
+    
     // 处理CSS中的URL
     function processCssUrls(cssText) {
         try {
@@ -190,7 +280,7 @@
                 }
                 
                 if (!shouldProxy(url)) {
-                    return originalFetch.call(this, input, options);
+                    return originalFetch.call(this, typeof input === 'string' ? applyMountPath(input) : input, options);
                 }
                 
                 const modifiedUrl = getModifiedUrl(url);
@@ -211,7 +301,7 @@
         XMLHttpRequest.prototype.open = function(method, url, async, user, password) {
             try {
                 if (!shouldProxy(url)) {
-                    return originalOpen.call(this, method, url, async, user, password);
+                    return originalOpen.call(this, method, applyMountPath(url), async, user, password);
                 }
                 
                 const modifiedUrl = getModifiedUrl(url);
@@ -289,7 +379,7 @@
                     log('History.pushState拦截:', url, '->', modifiedUrl);
                     return originalPushState.call(this, state, title, modifiedUrl);
                 }
-                return originalPushState.call(this, state, title, url);
+                return originalPushState.call(this, state, title, applyMountPath(url));
             } catch (error) {
                 logError(error, 'History.pushState拦截');
                 return originalPushState.call(this, state, title, url);
@@ -303,7 +393,7 @@
                     log('History.replaceState拦截:', url, '->', modifiedUrl);
                     return originalReplaceState.call(this, state, title, modifiedUrl);
                 }
-                return originalReplaceState.call(this, state, title, url);
+                return originalReplaceState.call(this, state, title, applyMountPath(url));
             } catch (error) {
                 logError(error, 'History.replaceState拦截');
                 return originalReplaceState.call(this, state, title, url);
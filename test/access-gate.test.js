@@ -0,0 +1,174 @@
+// 代理访问控制：会话与访问密码、API密钥、凭据的移除、未认证请求的处理与登录失败次数限制
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const PASSWORD = 'gate password 0123456789';
+
+// 配置文件、配置快照和API密钥都放在临时目录中，必须在加载 configLoader 之前设置
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-gate-'));
+const configPath = path.join(workDir, 'config.json');
+process.env.NODE_ENV = 'production';
+process.env.GPROXY_CONFIG = configPath;
+process.env.CONFIG_HISTORY_DIR = path.join(workDir, 'history');
+process.env.AUDIT_LOG_FILE = path.join(workDir, 'audit.log');
+process.env.ACCESS_KEYS_FILE = path.join(workDir, 'access-keys.json');
+
+function hashPasswordSync(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(password, salt, 32, { N: 16384, r: 8, p: 1 });
+  return `scrypt$16384$8$1$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+// password 为 null 时不配置访问密码，只能使用API密钥
+function writeConfig(password) {
+  fs.writeJsonSync(configPath, {
+    base_upstream: 'https://example.com',
+    access_gate: {
+      ...(password ? { password_hash: hashPasswordSync(password) } : {}),
+      session: { secret: 'gate-session-secret-0123456789' }
+    }
+  });
+}
+
+writeConfig(PASSWORD);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const configLoader = require('../config/config-loader');
+const accessGate = require('../src/access-gate');
+const accessKeyStore = require('../src/access-key-store');
+const adminAuth = require('../src/admin-auth');
+const accessGateRoutes = require('../routes/accessGateRoutes');
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use(accessGate.GATE_PATH, express.raw({ type: '*/*' }), accessGateRoutes);
+  // 代替代理路由，返回转发给上游时会使用的请求信息
+  app.use(accessGate.middleware(), (req, res) => {
+    res.json({ url: req.url, originalUrl: req.originalUrl, headers: req.headers, identity: req.accessIdentity });
+  });
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.removeSync(workDir);
+});
+
+function login(password) {
+  return fetch(`${baseUrl}${accessGate.GATE_PATH}/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+}
+
+function get(urlPath, headers = {}) {
+  return fetch(baseUrl + urlPath, { headers: { accept: 'application/json', ...headers }, redirect: 'manual' });
+}
+
+function reloadConfig(password) {
+  writeConfig(password);
+  configLoader.loadConfig('test');
+}
+
+test('登录获得的会话 Cookie 可以访问代理，修改访问密码后失效', async (t) => {
+  t.after(() => reloadConfig(PASSWORD));
+
+  const response = await login(PASSWORD);
+  assert.equal(response.status, 200);
+  const cookie = response.headers.get('set-cookie').split(';')[0];
+  assert.match(cookie, /^gproxy_session=/);
+
+  const proxied = await get('/watch', { cookie });
+  assert.equal(proxied.status, 200);
+  assert.deepEqual((await proxied.json()).identity, { type: 'session', name: 'session' });
+
+  reloadConfig('new gate password 0123456789');
+  assert.equal((await get('/watch', { cookie })).status, 401);
+
+  // 改回原来的密码也不会恢复旧会话：会话绑定的是密码哈希，新哈希使用了新的盐
+  reloadConfig(PASSWORD);
+  assert.equal((await get('/watch', { cookie })).status, 401);
+});
+
+test('API密钥可以通过请求头或查询参数提供，无效的密钥不会回退到会话', async () => {
+  const { key, info } = accessKeyStore.create({ name: 'ci' });
+  const cookie = (await login(PASSWORD)).headers.get('set-cookie').split(';')[0];
+
+  const byHeader = await get('/watch', { 'x-gproxy-key': key });
+  assert.equal(byHeader.status, 200);
+  assert.deepEqual((await byHeader.json()).identity, { type: 'key', name: 'ci', keyId: info.id });
+
+  const byQuery = await get(`/watch?gproxy_key=${encodeURIComponent(key)}`);
+  assert.equal(byQuery.status, 200);
+  assert.equal((await byQuery.json()).identity.keyId, info.id);
+
+  assert.equal((await get('/watch', { 'x-gproxy-key': 'gpk_wrong' })).status, 401);
+  assert.equal((await get('/watch?gproxy_key=gpk_wrong', { cookie })).status, 401);
+
+  accessKeyStore.remove(info.id);
+  assert.equal((await get('/watch', { 'x-gproxy-key': key })).status, 401);
+});
+
+test('转发之前移除密钥请求头、查询参数和会话 Cookie，保留其他参数与 Cookie', async () => {
+  const { key, info } = accessKeyStore.create({ name: 'strip' });
+  const cookie = (await login(PASSWORD)).headers.get('set-cookie').split(';')[0];
+
+  const byQuery = await (await get(`/watch?v=abc&gproxy_key=${encodeURIComponent(key)}&t=1%202`, { cookie: `pref=1; ${cookie}; lang=zh` })).json();
+  assert.equal(byQuery.url, '/watch?v=abc&t=1%202');
+  assert.equal(byQuery.originalUrl, '/watch?v=abc&t=1%202');
+  assert.equal(byQuery.headers.cookie, 'pref=1; lang=zh');
+
+  const onlyKey = await (await get(`/watch?gproxy_key=${encodeURIComponent(key)}`, { 'x-gproxy-key': key, cookie })).json();
+  assert.equal(onlyKey.url, '/watch');
+  assert.equal(onlyKey.originalUrl, '/watch');
+  assert.equal(onlyKey.headers['x-gproxy-key'], undefined);
+  assert.equal(onlyKey.headers.cookie, undefined);
+
+  accessKeyStore.remove(info.id);
+});
+
+test('未认证的页面请求跳转到登录页，其他请求返回401', async (t) => {
+  t.after(() => reloadConfig(PASSWORD));
+
+  const page = await get('/watch?v=abc', { accept: 'text/html' });
+  assert.equal(page.status, 302);
+  assert.equal(page.headers.get('location'), `${accessGate.GATE_PATH}/login?next=${encodeURIComponent('/watch?v=abc')}`);
+
+  const api = await get('/watch?v=abc');
+  assert.equal(api.status, 401);
+  assert.equal((await api.json()).error, '需要访问授权');
+
+  const post = await fetch(`${baseUrl}/watch`, { method: 'POST', headers: { accept: 'text/html' }, redirect: 'manual' });
+  assert.equal(post.status, 401);
+
+  // 没有访问密码时没有登录页可以跳转
+  reloadConfig(null);
+  assert.equal((await get('/watch', { accept: 'text/html' })).status, 401);
+  assert.equal((await login(PASSWORD)).status, 404);
+});
+
+test('同一IP访问密码输错过多后返回429，正确的密码也被拒绝', async () => {
+  assert.equal((await login(PASSWORD)).status, 200);
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    assert.equal((await login(`wrong-${attempt}`)).status, 401);
+  }
+
+  const locked = await login(PASSWORD);
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  assert.equal((await locked.json()).retryAfter, Number(locked.headers.get('retry-after')));
+
+  // 与管理界面登录分开计数
+  assert.doesNotThrow(() => adminAuth.loginThrottle.assertAllowed({ ip: '127.0.0.1' }));
+});
@@ -0,0 +1,165 @@
+// 管理接口的认证、角色授权、配置历史的密钥隐藏与登录失败限制
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_TOKEN = 'admin-token-0123456789abcdef';
+const READONLY_TOKEN = 'readonly-token-0123456789abcdef';
+const OLD_SESSION_SECRET = 'old-session-secret-0123456789';
+const NEW_SESSION_SECRET = 'new-session-secret-0123456789';
+const PASSWORD = 'correct horse battery staple';
+
+// 配置文件、配置快照和审计日志都放在临时目录中，必须在加载 configLoader 之前设置
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-admin-'));
+const configPath = path.join(workDir, 'config.json');
+process.env.NODE_ENV = 'production';
+process.env.GPROXY_CONFIG = configPath;
+process.env.CONFIG_HISTORY_DIR = path.join(workDir, 'history');
+process.env.AUDIT_LOG_FILE = path.join(workDir, 'audit.log');
+
+function hashPasswordSync(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(password, salt, 32, { N: 16384, r: 8, p: 1 });
+  return `scrypt$16384$8$1$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+const PASSWORD_HASH = hashPasswordSync(PASSWORD);
+
+function writeConfig(sessionSecret) {
+  fs.writeJsonSync(configPath, {
+    base_upstream: 'https://example.com',
+    admin_auth: {
+      tokens: [
+        { name: 'ops', token: ADMIN_TOKEN, role: 'admin' },
+        { name: 'viewer', token: READONLY_TOKEN, role: 'readonly' }
+      ],
+      users: [{ username: 'root', password_hash: PASSWORD_HASH, role: 'admin' }],
+      session: { secret: sessionSecret }
+    }
+  });
+}
+
+writeConfig(OLD_SESSION_SECRET);
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const adminRoutes = require('../routes/adminRoutes');
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use('/admin', express.raw({ type: '*/*', limit: '10mb' }), adminRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/admin`;
+});
+
+test.after(() => {
+  server.close();
+  fs.removeSync(workDir);
+});
+
+function request(method, urlPath, { token, body, headers = {} } = {}) {
+  return fetch(baseUrl + urlPath, {
+    method,
+    headers: {
+      accept: 'application/json',
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+      ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+}
+
+function basic(username, password) {
+  return { authorization: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` };
+}
+
+test('未认证的请求返回401', async () => {
+  assert.equal((await request('GET', '/status')).status, 401);
+  assert.equal((await request('GET', '/status', { token: 'wrong-token-0123456789abcdef' })).status, 401);
+  assert.equal((await request('GET', '/config/history/1')).status, 401);
+});
+
+test('只读角色可以读取，不能修改', async () => {
+  assert.equal((await request('GET', '/status', { token: READONLY_TOKEN })).status, 200);
+  assert.equal((await request('GET', '/config/history', { token: READONLY_TOKEN })).status, 200);
+
+  const reload = await request('POST', '/config/reload', { token: READONLY_TOKEN });
+  assert.equal(reload.status, 403);
+  assert.equal((await reload.json()).requiredRole, 'admin');
+  assert.equal((await request('POST', '/config/rollback/1', { token: READONLY_TOKEN })).status, 403);
+  assert.equal((await request('POST', '/connections/reset', { token: READONLY_TOKEN })).status, 403);
+});
+
+test('只读角色只能验证磁盘上的配置，提交候选配置需要 admin 角色', async () => {
+  const onDisk = await request('POST', '/config/validate', { token: READONLY_TOKEN });
+  assert.equal(onDisk.status, 200);
+  assert.equal((await onDisk.json()).valid, true);
+
+  const candidate = { base_upstream: 'https://example.com', include: '/etc/passwd' };
+  assert.equal((await request('POST', '/config/validate', { token: READONLY_TOKEN, body: candidate })).status, 403);
+
+  const asAdmin = await request('POST', '/config/validate', { token: ADMIN_TOKEN, body: candidate });
+  assert.equal(asAdmin.status, 422);
+});
+
+test('配置快照和差异对只读角色隐藏密钥', async () => {
+  const snapshot = await request('GET', '/config/history/1', { token: READONLY_TOKEN });
+  assert.equal(snapshot.status, 200);
+  const snapshotText = await snapshot.text();
+  [ADMIN_TOKEN, READONLY_TOKEN, PASSWORD_HASH, OLD_SESSION_SECRET].forEach(secret => {
+    assert.ok(!snapshotText.includes(secret), `快照中不应包含 ${secret}`);
+  });
+  assert.equal(JSON.parse(snapshotText).config.admin_auth.tokens[1].name, 'viewer');
+
+  // 管理员轮换会话密钥后，差异报告修改但不显示新旧值
+  writeConfig(NEW_SESSION_SECRET);
+  assert.equal((await request('POST', '/config/reload', { token: ADMIN_TOKEN })).status, 200);
+
+  const diff = await request('GET', '/config/diff?from=1&to=2', { token: READONLY_TOKEN });
+  assert.equal(diff.status, 200);
+  const diffText = await diff.text();
+  [OLD_SESSION_SECRET, NEW_SESSION_SECRET].forEach(secret => {
+    assert.ok(!diffText.includes(secret), `差异中不应包含 ${secret}`);
+  });
+  assert.deepEqual(JSON.parse(diffText).changes, [
+    { path: 'admin_auth.session.secret', type: 'changed', from: '[REDACTED]', to: '[REDACTED]' }
+  ]);
+});
+
+test('Basic 认证和登录对不存在的用户与错误的密码给出相同的结果', async () => {
+  assert.equal((await request('GET', '/status', { headers: basic('root', PASSWORD) })).status, 200);
+  assert.equal((await request('GET', '/status', { headers: basic('root', 'wrong') })).status, 401);
+  assert.equal((await request('GET', '/status', { headers: basic('nobody', 'wrong') })).status, 401);
+
+  const unknown = await request('POST', '/login', { body: { username: 'nobody', password: 'wrong' } });
+  const wrong = await request('POST', '/login', { body: { username: 'root', password: 'wrong' } });
+  assert.equal(unknown.status, 401);
+  assert.equal(wrong.status, 401);
+  assert.deepEqual(await unknown.json(), await wrong.json());
+});
+
+test('同一IP登录失败次数过多后返回429，正确的密码也被拒绝', async () => {
+  // 上一个测试已经失败了 4 次，限制为 15 分钟内 10 次
+  let status;
+  for (let attempt = 0; attempt < 10 && status !== 429; attempt++) {
+    status = (await request('POST', '/login', { body: { username: 'root', password: `wrong-${attempt}` } })).status;
+  }
+  assert.equal(status, 429);
+
+  const login = await request('POST', '/login', { body: { username: 'root', password: PASSWORD } });
+  assert.equal(login.status, 429);
+  assert.ok(Number(login.headers.get('retry-after')) > 0);
+
+  const basicAuth = await request('GET', '/status', { headers: basic('root', PASSWORD) });
+  assert.equal(basicAuth.status, 429);
+
+  // 令牌认证不受密码登录失败的影响
+  assert.equal((await request('GET', '/status', { token: ADMIN_TOKEN })).status, 200);
+});
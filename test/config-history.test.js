@@ -0,0 +1,123 @@
+// 配置快照与差异中的密钥隐藏
+process.env.NODE_ENV = 'production';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ConfigHistory, diffConfig, redactSecrets } = require('../config/config-history');
+
+const OLD_SECRETS = {
+  token: 'old-admin-token-0123456789',
+  passwordHash: 'scrypt$16384$8$1$b2xkc2FsdA==$b2xkaGFzaA==',
+  sessionSecret: 'old-session-secret-0123456789',
+  signedUrlSecret: 'old-signed-url-secret-0123456789',
+  cookieStoreKey: 'old-cookie-store-key-0123456789',
+  youtubeCookie: 'SID=old-youtube-session-0123456789',
+  cloudflareCookie: 'cf_clearance=old-clearance-0123456789'
+};
+const NEW_SECRETS = {
+  token: 'new-admin-token-0123456789',
+  passwordHash: 'scrypt$16384$8$1$bmV3c2FsdA==$bmV3aGFzaA==',
+  sessionSecret: 'new-session-secret-0123456789',
+  signedUrlSecret: 'new-signed-url-secret-0123456789',
+  cookieStoreKey: 'new-cookie-store-key-0123456789',
+  youtubeCookie: 'SID=new-youtube-session-0123456789',
+  cloudflareCookie: 'cf_clearance=new-clearance-0123456789'
+};
+
+function buildConfig(secrets, extraTokens = []) {
+  return {
+    base_upstream: 'https://example.com',
+    admin_auth: {
+      tokens: [{ name: 'ops', token: secrets.token, role: 'admin' }, ...extraTokens],
+      users: [{ username: 'root', password_hash: secrets.passwordHash }],
+      session: { secret: secrets.sessionSecret, ttl: 3600 }
+    },
+    access_gate: { password_hash: secrets.passwordHash, session: { secret: secrets.sessionSecret } },
+    signed_urls: { enabled: true, secret: secrets.signedUrlSecret },
+    cookie_jars: { secret: secrets.sessionSecret },
+    cookie_store: { key: secrets.cookieStoreKey },
+    youtube_default_cookies: ['PREF=hl=en', secrets.youtubeCookie],
+    cloudflare_default_cookies: [secrets.cloudflareCookie],
+    rate_limits: [{ name: 'per-ip', key: 'ip', rate: 10, burst: 20 }]
+  };
+}
+
+function assertNoSecrets(value, secrets) {
+  const serialized = JSON.stringify(value);
+  Object.values(secrets).forEach(secret => {
+    assert.ok(!serialized.includes(secret), `输出中不应包含 ${secret}`);
+  });
+}
+
+test('轮换密钥时差异报告修改但不包含新旧值', () => {
+  const changes = diffConfig(buildConfig(OLD_SECRETS), buildConfig(NEW_SECRETS));
+
+  assertNoSecrets(changes, OLD_SECRETS);
+  assertNoSecrets(changes, NEW_SECRETS);
+  const paths = changes.map(change => change.path);
+  assert.ok(paths.includes('admin_auth.tokens[0].token'));
+  assert.ok(paths.includes('signed_urls.secret'));
+  assert.ok(paths.includes('cookie_store.key'));
+  assert.ok(paths.includes('youtube_default_cookies[1]'));
+  assert.ok(paths.includes('cloudflare_default_cookies[0]'));
+  changes.forEach(change => {
+    assert.equal(change.type, 'changed');
+    assert.equal(change.from, '[REDACTED]');
+    assert.equal(change.to, '[REDACTED]');
+  });
+});
+
+test('新增或删除的令牌整体出现在差异中时隐藏令牌', () => {
+  const added = { name: 'ci', token: 'added-ci-token-0123456789', role: 'readonly' };
+  const addedChanges = diffConfig(buildConfig(OLD_SECRETS), buildConfig(OLD_SECRETS, [added]));
+  assertNoSecrets(addedChanges, { ...OLD_SECRETS, added: added.token });
+  assert.deepEqual(addedChanges, [{
+    path: 'admin_auth.tokens[1]',
+    type: 'added',
+    to: { name: 'ci', token: '[REDACTED]', role: 'readonly' }
+  }]);
+
+  const removedChanges = diffConfig(buildConfig(OLD_SECRETS, [added]), buildConfig(OLD_SECRETS));
+  assertNoSecrets(removedChanges, { added: added.token });
+  assert.equal(removedChanges[0].type, 'removed');
+
+  // 整个 admin_auth 被删除时，其中的密钥同样隐藏
+  const { admin_auth: adminAuth, ...withoutAuth } = buildConfig(OLD_SECRETS);
+  assert.ok(adminAuth);
+  assertNoSecrets(diffConfig(buildConfig(OLD_SECRETS), withoutAuth), OLD_SECRETS);
+});
+
+test('redactSecrets 返回副本，不隐藏普通字段', () => {
+  const config = buildConfig(OLD_SECRETS);
+  const redacted = redactSecrets(config);
+
+  assertNoSecrets(redacted, OLD_SECRETS);
+  assert.equal(redacted.base_upstream, 'https://example.com');
+  assert.equal(redacted.admin_auth.tokens[0].name, 'ops');
+  assert.equal(redacted.rate_limits[0].key, 'ip');
+  assert.equal(config.admin_auth.tokens[0].token, OLD_SECRETS.token);
+
+  // 默认 Cookie 整体隐藏，包括看起来无害的条目
+  assert.deepEqual(redacted.youtube_default_cookies, ['[REDACTED]', '[REDACTED]']);
+  assert.deepEqual(redacted.cloudflare_default_cookies, ['[REDACTED]']);
+});
+
+test('快照文件保存原始内容，getRedacted 返回隐藏后的内容', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-history-'));
+  t.after(() => fs.removeSync(dir));
+  const history = new ConfigHistory({ dir });
+
+  const entry = history.record(buildConfig(OLD_SECRETS), { source: 'test' });
+  assert.equal(entry.version, 1);
+
+  // 回滚需要原始内容
+  assert.equal(history.get(1).config.admin_auth.tokens[0].token, OLD_SECRETS.token);
+  const redacted = history.getRedacted(1);
+  assertNoSecrets(redacted, OLD_SECRETS);
+  assert.equal(redacted.version, 1);
+  assert.equal(redacted.source, 'test');
+  assert.equal(history.getRedacted(2), null);
+});
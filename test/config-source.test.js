@@ -0,0 +1,76 @@
+// include 只能引用配置目录之内的片段
+process.env.NODE_ENV = 'production';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { resolveConfig } = require('../config/config-source');
+const { ConfigValidationError } = require('../src/utils/errors');
+
+// 临时目录结构：root/config 为配置目录，root/outside.json 位于配置目录之外
+function createTree(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-include-'));
+  t.after(() => fs.removeSync(root));
+  const configDir = path.join(root, 'config');
+  fs.outputJsonSync(path.join(configDir, 'fragments', 'site.json'), { home_path: '/main', include: '../shared.json' });
+  fs.outputJsonSync(path.join(configDir, 'shared.json'), { replace_list: [{ search: 'a', replace: 'b' }] });
+  fs.outputJsonSync(path.join(root, 'outside.json'), { secret: 'outside' });
+  return { root, configDir };
+}
+
+function resolveErrors(document, baseDir) {
+  try {
+    resolveConfig(document, { baseDir, env: {} });
+  } catch (error) {
+    assert.ok(error instanceof ConfigValidationError);
+    return error.errors;
+  }
+  assert.fail('应当验证失败');
+}
+
+test('配置目录之内的片段可以嵌套引用', (t) => {
+  const { configDir } = createTree(t);
+  const { config, files } = resolveConfig({ include: 'fragments/site.json' }, { baseDir: configDir, env: {} });
+
+  assert.equal(config.home_path, '/main');
+  assert.deepEqual(config.replace_list, [{ search: 'a', replace: 'b' }]);
+  assert.equal(files.length, 2);
+});
+
+test('拒绝通过 .. 跳出配置目录的 include', (t) => {
+  const { configDir } = createTree(t);
+  const errors = resolveErrors({ sites: { a: { include: '../outside.json' } } }, configDir);
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].path, 'sites.a.include');
+  assert.match(errors[0].message, /配置目录之外/);
+});
+
+test('拒绝绝对路径的 include，即使文件位于配置目录之内', (t) => {
+  const { root, configDir } = createTree(t);
+
+  assert.match(resolveErrors({ include: path.join(root, 'outside.json') }, configDir)[0].message, /绝对路径/);
+  assert.match(resolveErrors({ include: path.join(configDir, 'shared.json') }, configDir)[0].message, /绝对路径/);
+});
+
+test('错误信息不透露配置目录之外的文件是否存在', (t) => {
+  const { configDir } = createTree(t);
+  const existing = resolveErrors({ include: '../outside.json' }, configDir)[0].message;
+  const missing = resolveErrors({ include: '../missing.json' }, configDir)[0].message;
+
+  assert.equal(existing.replace('outside', 'missing'), missing);
+});
+
+test('拒绝指向配置目录之外的符号链接', (t) => {
+  const { root, configDir } = createTree(t);
+  try {
+    fs.symlinkSync(path.join(root, 'outside.json'), path.join(configDir, 'link.json'));
+  } catch (error) {
+    t.skip(`无法创建符号链接: ${error.message}`);
+    return;
+  }
+
+  assert.match(resolveErrors({ include: 'link.json' }, configDir)[0].message, /配置目录之外/);
+});
@@ -0,0 +1,92 @@
+// 按浏览器会话隔离的上游Cookie罐
+process.env.NODE_ENV = 'production';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cookieManager = require('../src/utils/cookie-parser');
+const { signPayload } = require('../src/utils/signed-cookie');
+
+const SECRET = 'cookie-jar-secret-0123456789abcdef';
+const UPSTREAM = 'https://upstream.example.com/login';
+const PROXY = 'https://proxy.example.com/login';
+
+test.beforeEach(() => {
+  cookieManager.configure({ secret: SECRET, idleTtl: 3600, maxJars: 100 });
+  cookieManager.clearAllCookies();
+});
+
+// 模拟浏览器携带 buildSessionCookie() 签发的会话 Cookie
+function sessionHeaders(sessionId) {
+  const setCookie = cookieManager.buildSessionCookie(sessionId, true);
+  return { cookie: setCookie.split(';')[0] };
+}
+
+test('上游Cookie只发给设置它的浏览器会话', () => {
+  const alice = cookieManager.resolveSession({});
+  const bob = cookieManager.resolveSession({});
+  assert.ok(alice.isNew && bob.isNew);
+  assert.notEqual(alice.id, bob.id);
+
+  cookieManager.handleSetCookieFromUpstream(['SID=alice-secret; Path=/; Secure; HttpOnly'], UPSTREAM, PROXY, '', alice.id);
+
+  assert.equal(cookieManager.getCookiesForUpstream(UPSTREAM, alice.id), 'SID=alice-secret');
+  assert.equal(cookieManager.getCookiesForUpstream(UPSTREAM, bob.id), '');
+  assert.equal(cookieManager.getCookiesForUpstream(UPSTREAM, null), '');
+});
+
+test('没有会话时不保存上游Cookie，但仍改写后发给客户端', () => {
+  const clientCookies = cookieManager.handleSetCookieFromUpstream('SID=value; Path=/app; Secure', UPSTREAM, 'http://proxy.example.com/', '/gh');
+
+  assert.deepEqual(cookieManager.exportState(), {});
+  assert.equal(clientCookies.length, 1);
+  assert.match(clientCookies[0], /Domain=proxy\.example\.com/);
+  assert.match(clientCookies[0], /Path=\/gh\/app/);
+  assert.doesNotMatch(clientCookies[0], /Secure/);
+});
+
+test('只认可本服务签名且未过期的会话 Cookie', () => {
+  const sessionId = cookieManager.resolveSession({}).id;
+  assert.deepEqual(cookieManager.resolveSession(sessionHeaders(sessionId)), { id: sessionId, isNew: false });
+
+  const forged = signPayload({ sid: sessionId }, 'another-secret-0123456789abcdef', 3600);
+  const expired = signPayload({ sid: sessionId }, SECRET, -1);
+  [`gproxy_jar=${forged}`, `gproxy_jar=${expired}`, `gproxy_jar=${sessionId}`].forEach(cookie => {
+    const session = cookieManager.resolveSession({ cookie });
+    assert.ok(session.isNew, cookie);
+    assert.notEqual(session.id, sessionId);
+  });
+});
+
+test('会话 Cookie 为 HttpOnly，HTTPS 代理上带 Secure', () => {
+  const secure = cookieManager.buildSessionCookie('abc', true);
+  assert.match(secure, /^gproxy_jar=[^;]+; Path=\/; Max-Age=\d+; HttpOnly; SameSite=Lax; Secure$/);
+  assert.doesNotMatch(cookieManager.buildSessionCookie('abc', false), /Secure/);
+});
+
+test('超过 max_jars 时移除最久未使用的Cookie罐', () => {
+  cookieManager.configure({ secret: SECRET, idleTtl: 3600, maxJars: 2 });
+  ['first', 'second'].forEach(id => {
+    cookieManager.handleSetCookieFromUpstream(`SID=${id}`, UPSTREAM, PROXY, '', id);
+  });
+  // 使用 first 后，second 成为最久未使用的
+  assert.equal(cookieManager.getCookiesForUpstream(UPSTREAM, 'first'), 'SID=first');
+  cookieManager.handleSetCookieFromUpstream('SID=third', UPSTREAM, PROXY, '', 'third');
+
+  assert.equal(cookieManager.getCookiesForUpstream(UPSTREAM, 'second'), '');
+  assert.equal(cookieManager.getCookiesForUpstream(UPSTREAM, 'first'), 'SID=first');
+  assert.equal(cookieManager.getCookiesForUpstream(UPSTREAM, 'third'), 'SID=third');
+});
+
+test('导出与恢复保留会话归属，不导出已过期的Cookie，不恢复空闲过久的Cookie罐', () => {
+  cookieManager.handleSetCookieFromUpstream(['SID=kept; Max-Age=3600', 'OLD=gone; Max-Age=0'], UPSTREAM, PROXY, '', 'active');
+  cookieManager.handleSetCookieFromUpstream('SID=idle; Max-Age=3600', UPSTREAM, PROXY, '', 'idle');
+  const state = cookieManager.exportState();
+  assert.equal(state.active.jar.cookies.length, 1);
+  state.idle.lastUsed = Date.now() - 2 * 3600 * 1000;
+
+  cookieManager.clearAllCookies();
+  cookieManager.importState(JSON.parse(JSON.stringify(state)));
+
+  assert.equal(cookieManager.getCookiesForUpstream(UPSTREAM, 'active'), 'SID=kept');
+  assert.equal(cookieManager.getCookiesForUpstream(UPSTREAM, 'idle'), '');
+});
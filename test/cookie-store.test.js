@@ -0,0 +1,68 @@
+// 加密的持久化Cookie存储
+process.env.NODE_ENV = 'production';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const cookieStore = require('../src/utils/cookie-store');
+const { FileBackend } = require('../src/utils/cookie-store');
+
+const KEY = 'cookie-store-key-0123456789abcdef';
+
+function createDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-cookie-store-'));
+  t.after(() => fs.removeSync(dir));
+  return dir;
+}
+
+function settings(overrides = {}) {
+  return { type: 'file', path: 'cookies.enc', key: KEY, flushInterval: 3600, ...overrides };
+}
+
+test('文件内容加密保存，相同密钥可以读回', async (t) => {
+  const dir = createDir(t);
+  const backend = new FileBackend(settings(), dir);
+  const content = { version: 1, savedAt: new Date().toISOString(), sources: { jars: { SID: 'plaintext-cookie-value' } } };
+
+  await backend.save(content);
+  const raw = fs.readFileSync(path.join(dir, 'cookies.enc'), 'utf8');
+  assert.ok(!raw.includes('plaintext-cookie-value'));
+  assert.equal(fs.statSync(path.join(dir, 'cookies.enc')).mode & 0o777, 0o600);
+
+  assert.deepEqual(new FileBackend(settings(), dir).load(), content);
+  assert.throws(() => new FileBackend(settings({ key: 'another-key-0123456789abcdef' }), dir).load());
+  assert.equal(new FileBackend(settings({ path: 'missing.enc' }), dir).load(), null);
+});
+
+// cookieStore 是单例，只有首次启用存储时恢复，因此恢复相关的检查放在同一个测试中
+test('启动时恢复各数据源，某个数据源的状态损坏时跳过它，其他数据源照常恢复', async (t) => {
+  const dir = createDir(t);
+  await new FileBackend(settings(), dir).save({
+    version: 1,
+    savedAt: new Date().toISOString(),
+    sources: { broken: 'not-an-object', good: { SID: 'restored' } }
+  });
+
+  let restored = null;
+  let exported = { SID: 'restored' };
+  cookieStore.register('broken', {
+    exportState: () => ({}),
+    importState: (state) => { throw new TypeError(`无法解析 ${state}`); }
+  });
+  cookieStore.register('good', {
+    exportState: () => exported,
+    importState: (state) => { restored = state; }
+  });
+  t.after(() => cookieStore.close());
+
+  assert.doesNotThrow(() => cookieStore.configure(settings(), dir));
+  assert.deepEqual(restored, { SID: 'restored' });
+
+  // 保存时写入全部数据源的当前状态
+  exported = { SID: 'updated' };
+  await cookieStore.flush();
+  const saved = new FileBackend(settings(), dir).load();
+  assert.deepEqual(saved.sources, { broken: {}, good: { SID: 'updated' } });
+});
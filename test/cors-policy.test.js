@@ -0,0 +1,164 @@
+// CORS策略：允许的来源、凭据、预检请求的应答与代理自身接口的排除
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-cors-'));
+process.env.NODE_ENV = 'production';
+process.env.GPROXY_CONFIG = path.join(workDir, 'config.json');
+process.env.CONFIG_HISTORY_DIR = path.join(workDir, 'history');
+fs.writeJsonSync(process.env.GPROXY_CONFIG, {
+  base_upstream: 'https://example.com',
+  cors: {
+    allow_origins: ['https://app.test'],
+    allow_origin_patterns: ['^https://[a-z]+\\.example\\.org$'],
+    allow_credentials: true,
+    max_age: 600
+  }
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const corsPolicy = require('../src/cors-policy');
+const accessGate = require('../src/access-gate');
+
+const BASE_SETTINGS = {
+  enabled: true,
+  allowOrigins: [],
+  allowOriginPatterns: [],
+  reflectOrigin: false,
+  allowCredentials: false,
+  allowMethods: ['GET', 'POST'],
+  allowHeaders: ['Content-Type'],
+  exposeHeaders: [],
+  maxAge: null,
+  handlePreflight: true
+};
+
+// 以站点的 cors 设置调用，不依赖配置文件
+function headersFor(request, settings) {
+  return corsPolicy.getHeaders(request, { cors: { ...BASE_SETTINGS, ...settings } });
+}
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use(corsPolicy.middleware({ exclude: ['/admin', accessGate.GATE_PATH] }));
+  app.use((req, res) => res.send('next'));
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.removeSync(workDir);
+});
+
+test('列出的来源和匹配正则的来源原样返回，其他来源不返回 Allow-Origin', () => {
+  const settings = { allowOrigins: ['https://app.test'], allowOriginPatterns: [/^https:\/\/[a-z]+\.example\.org$/] };
+
+  assert.deepEqual(headersFor({ origin: 'https://app.test', method: 'GET' }, settings), {
+    vary: 'Origin',
+    'access-control-allow-origin': 'https://app.test'
+  });
+  assert.equal(headersFor({ origin: 'https://docs.example.org', method: 'GET' }, settings)['access-control-allow-origin'], 'https://docs.example.org');
+
+  // 正则整体匹配，前后缀不同的来源不被接受
+  ['https://evil.test', 'https://docs.example.org.evil.test', 'http://docs.example.org', 'null'].forEach(origin => {
+    assert.deepEqual(headersFor({ origin, method: 'GET' }, settings), { vary: 'Origin' }, origin);
+  });
+  assert.deepEqual(headersFor({ method: 'GET' }, settings), { vary: 'Origin' });
+});
+
+test('reflect_origin 原样返回任意来源，未启用时不返回任何头部', () => {
+  assert.equal(headersFor({ origin: 'https://any.test', method: 'GET' }, { reflectOrigin: true })['access-control-allow-origin'], 'https://any.test');
+  assert.equal(headersFor({ origin: 'https://any.test', method: 'GET' }, { enabled: false, allowOrigins: ['*'] }), null);
+});
+
+test('凭据只和具体的来源一起返回，从不与 * 同时出现', () => {
+  const settings = { allowOrigins: ['https://app.test', '*'], allowCredentials: true };
+
+  const specific = headersFor({ origin: 'https://app.test', method: 'GET' }, settings);
+  assert.equal(specific['access-control-allow-origin'], 'https://app.test');
+  assert.equal(specific['access-control-allow-credentials'], 'true');
+  assert.equal(specific.vary, 'Origin');
+
+  const wildcard = headersFor({ origin: 'https://other.test', method: 'GET' }, settings);
+  assert.equal(wildcard['access-control-allow-origin'], '*');
+  assert.equal(wildcard['access-control-allow-credentials'], undefined);
+  assert.equal(wildcard.vary, undefined);
+});
+
+test('预检请求返回允许的方法、头部和缓存时间，未配置 allow_headers 时允许声明的头部', () => {
+  const preflight = { origin: 'https://app.test', method: 'OPTIONS', requestMethod: 'PUT', requestHeaders: 'X-Custom, Content-Type' };
+
+  assert.deepEqual(headersFor(preflight, { allowOrigins: ['https://app.test'], maxAge: 600 }), {
+    vary: 'Origin',
+    'access-control-allow-origin': 'https://app.test',
+    'access-control-allow-methods': 'GET, POST',
+    'access-control-allow-headers': 'Content-Type',
+    'access-control-max-age': '600'
+  });
+  assert.equal(headersFor(preflight, { allowOrigins: ['https://app.test'], allowHeaders: null })['access-control-allow-headers'], 'X-Custom, Content-Type');
+
+  // 不带 Access-Control-Request-Method 的 OPTIONS 不是预检请求
+  assert.equal(headersFor({ origin: 'https://app.test', method: 'OPTIONS' }, { allowOrigins: ['https://app.test'] })['access-control-allow-methods'], undefined);
+});
+
+test('上游响应中的CORS头部被替换，Vary 追加 Origin', () => {
+  const headers = corsPolicy.applyToResponse({
+    'access-control-allow-origin': '*',
+    'access-control-allow-credentials': 'true',
+    'access-control-allow-headers': '*',
+    vary: 'Accept-Encoding',
+    'content-type': 'application/json'
+  }, { origin: 'https://evil.test' }, 'GET', { cors: { ...BASE_SETTINGS, allowOrigins: ['https://app.test'], allowCredentials: true } });
+
+  assert.deepEqual(headers, { vary: 'Accept-Encoding, Origin', 'content-type': 'application/json' });
+});
+
+test('中间件直接以204应答预检请求，普通请求继续处理', async () => {
+  const preflight = await fetch(`${baseUrl}/api/items`, {
+    method: 'OPTIONS',
+    headers: { origin: 'https://docs.example.org', 'access-control-request-method': 'DELETE' }
+  });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://docs.example.org');
+  assert.equal(preflight.headers.get('access-control-allow-credentials'), 'true');
+  assert.equal(preflight.headers.get('access-control-max-age'), '600');
+  assert.match(preflight.headers.get('access-control-allow-methods'), /DELETE/);
+  assert.equal(await preflight.text(), '');
+
+  // 不允许的来源同样由代理应答，但不带 Allow-Origin
+  const denied = await fetch(`${baseUrl}/api/items`, {
+    method: 'OPTIONS',
+    headers: { origin: 'https://evil.test', 'access-control-request-method': 'DELETE' }
+  });
+  assert.equal(denied.status, 204);
+  assert.equal(denied.headers.get('access-control-allow-origin'), null);
+
+  const simple = await fetch(`${baseUrl}/api/items`, { headers: { origin: 'https://app.test' } });
+  assert.equal(await simple.text(), 'next');
+  assert.equal(simple.headers.get('access-control-allow-origin'), 'https://app.test');
+  assert.match(simple.headers.get('vary'), /Origin/);
+});
+
+test('管理接口和代理登录页不加CORS头部，也不应答预检请求', async () => {
+  for (const urlPath of ['/admin', '/admin/config', `${accessGate.GATE_PATH}/login`]) {
+    const response = await fetch(baseUrl + urlPath, {
+      method: 'OPTIONS',
+      headers: { origin: 'https://app.test', 'access-control-request-method': 'POST' }
+    });
+    assert.equal(await response.text(), 'next', urlPath);
+    assert.equal(response.headers.get('access-control-allow-origin'), null, urlPath);
+    assert.equal(response.headers.get('access-control-allow-credentials'), null, urlPath);
+  }
+
+  // 只排除完整的路径段，/administrator 仍然是代理路径
+  const proxied = await fetch(`${baseUrl}/administrator`, { headers: { origin: 'https://app.test' } });
+  assert.equal(proxied.headers.get('access-control-allow-origin'), 'https://app.test');
+});
@@ -0,0 +1,75 @@
+// 错误页模板：变量转义与模板的查找顺序
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// 配置文件和自定义模板目录放在临时目录中，error_pages_dir 相对于配置文件所在目录
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-error-pages-'));
+const pagesDir = path.join(workDir, 'pages');
+process.env.NODE_ENV = 'production';
+process.env.GPROXY_CONFIG = path.join(workDir, 'config.json');
+process.env.CONFIG_HISTORY_DIR = path.join(workDir, 'history');
+fs.writeJsonSync(process.env.GPROXY_CONFIG, { base_upstream: 'https://example.com', error_pages_dir: 'pages' });
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const errorPages = require('../src/error-pages');
+
+const SCRIPT = '<script>alert("x")</script>';
+
+test.after(() => fs.removeSync(workDir));
+
+test.afterEach(() => fs.emptyDirSync(pagesDir));
+
+// 每个模板输出自己的名字，便于判断选中了哪个模板
+function writeTemplates(files) {
+  files.forEach(file => fs.outputFileSync(path.join(pagesDir, file), `${file}: {{message}} {{path}}`));
+}
+
+test('变量值经过HTML转义，包括内置模板', () => {
+  writeTemplates(['default.html']);
+  const html = errorPages.render('default', { status: 500, message: SCRIPT, path: `/a?q="'&${SCRIPT}` });
+  assert.equal(html, 'default.html: &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; '
+    + '/a?q=&quot;&#39;&amp;&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;');
+
+  fs.emptyDirSync(pagesDir);
+  const builtin = errorPages.render('upstream', { status: 502, message: SCRIPT, url: `https://example.com/${SCRIPT}`, requestId: SCRIPT });
+  assert.ok(!builtin.includes(SCRIPT));
+  assert.ok(builtin.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+});
+
+test('模板不存在的变量替换为空字符串，模板内容本身不被当作变量解析', () => {
+  fs.outputFileSync(path.join(pagesDir, 'default.html'), '[{{ missing }}] {{message}}');
+  assert.equal(errorPages.render('default', { status: 500, message: '{{status}}' }), '[] {{status}}');
+});
+
+test('按 站点/状态码 → 站点/页面类型 → 状态码 → 页面类型 → default → 内置模板 的顺序查找', () => {
+  const site = { name: 'yt' };
+  const render = () => errorPages.render('upstream', { status: 502, message: 'm', path: '/p' }, site).split(':')[0];
+
+  // 依次删除当前选中的模板，下一个候选随之生效
+  const order = ['sites/yt/502.html', 'sites/yt/upstream.html', 'sites/yt/default.html', '502.html', 'upstream.html', 'default.html'];
+  writeTemplates(order);
+  order.forEach(file => {
+    assert.equal(render(), file);
+    fs.removeSync(path.join(pagesDir, file));
+  });
+
+  // 自定义模板都不存在时使用内置的同类型模板
+  assert.match(errorPages.render('upstream', { status: 502, message: 'm', url: 'https://example.com/' }, site), /<html/i);
+
+  // 其他站点不会使用 yt 的模板
+  writeTemplates(['sites/yt/502.html', 'default.html']);
+  assert.equal(errorPages.render('upstream', { status: 502 }, { name: 'other' }).split(':')[0], 'default.html');
+});
+
+test('站点名中的 .. 不能越出 sites 目录', () => {
+  writeTemplates(['502.html', 'secret/502.html', 'sites/502.html', 'sites/a..b/502.html']);
+  const render = (name) => errorPages.render('upstream', { status: 502 }, { name }).split(':')[0];
+
+  assert.equal(render('../secret'), '502.html');
+  assert.equal(render('..'), '502.html');
+  assert.equal(render('yt/../..'), '502.html');
+  // 名称中间含有 .. 的普通目录不受影响
+  assert.equal(render('a..b'), 'sites/a..b/502.html');
+});
@@ -0,0 +1,152 @@
+// 出站连接的网络保护：受保护网络的判断、连接时的解析检查、上游例外的范围与重定向的重新检查
+process.env.NODE_ENV = 'production';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const networkGuard = require('../src/utils/network-guard');
+const { DEFAULT_BLOCKED_NETWORKS } = require('../src/utils/network-guard');
+const { BlockedAddressError } = require('../src/utils/errors');
+
+const guardedAgent = new http.Agent({ lookup: networkGuard.lookup });
+const trustedAgent = new http.Agent({ lookup: networkGuard.trustedLookup });
+networkGuard.setGuardedAgents({ http: guardedAgent, https: guardedAgent });
+
+function configure(trustedOrigins = [], allowedNetworks = []) {
+  networkGuard.configure({ blockedNetworks: DEFAULT_BLOCKED_NETWORKS, allowedNetworks }, trustedOrigins);
+}
+
+function lookup(resolve, hostname) {
+  return new Promise((done) => {
+    resolve(hostname, { all: true }, (error, addresses) => done({ error, addresses }));
+  });
+}
+
+// 错误可能被 axios 和重定向处理层层包装，与连接管理器一样沿 cause 查找
+function findBlockedError(error) {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause instanceof BlockedAddressError) {
+      return cause;
+    }
+  }
+  return null;
+}
+
+test.beforeEach(() => configure());
+
+test('默认保护本机、私有网络、链路本地和保留地址', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '::1', 'fc00::1', 'fe80::1'
+  ].forEach(address => {
+    assert.ok(networkGuard.isAddressBlocked(address), `${address} 应当受保护`);
+  });
+  ['93.184.216.34', '8.8.8.8', '2606:4700::1111'].forEach(address => {
+    assert.ok(!networkGuard.isAddressBlocked(address), `${address} 不应受保护`);
+  });
+});
+
+test('以IP地址表示的目标在请求前检查，包括 IPv4 映射的 IPv6 地址', () => {
+  assert.throws(() => networkGuard.assertHostAllowed('169.254.169.254'), BlockedAddressError);
+  assert.throws(() => networkGuard.assertHostAllowed('[::1]'), BlockedAddressError);
+  assert.throws(() => networkGuard.assertHostAllowed('[::ffff:127.0.0.1]'), BlockedAddressError);
+  assert.doesNotThrow(() => networkGuard.assertHostAllowed('93.184.216.34'));
+  assert.doesNotThrow(() => networkGuard.assertHostAllowed('example.com'));
+});
+
+test('IPv4 兼容地址和 NAT64 地址按内嵌的 IPv4 地址检查', () => {
+  ['::7f00:1', '::127.0.0.1', '::a9fe:a9fe', '64:ff9b::a9fe:a9fe', '64:ff9b::169.254.169.254', '64:ff9b::a00:1', '::ffff:7f00:1'].forEach(address => {
+    assert.ok(networkGuard.isAddressBlocked(address), `${address} 应当受保护`);
+  });
+  assert.throws(() => networkGuard.assertHostAllowed('[::7f00:1]'), BlockedAddressError);
+  assert.throws(() => networkGuard.assertHostAllowed('[64:ff9b::a9fe:a9fe]'), BlockedAddressError);
+
+  // 内嵌公网地址的 NAT64 地址照常访问，其他前缀不做转换
+  assert.ok(!networkGuard.isAddressBlocked('64:ff9b::808:808'));
+  assert.ok(!networkGuard.isAddressBlocked('2001:db8::7f00:1'));
+
+  // allowed_networks 中的 IPv4 网络同样适用于内嵌形式
+  configure([], ['127.0.0.0/8']);
+  assert.ok(!networkGuard.isAddressBlocked('::7f00:1'));
+  assert.ok(networkGuard.isAddressBlocked('64:ff9b::a9fe:a9fe'));
+});
+
+test('allowed_networks 中的地址不受保护', () => {
+  configure([], ['10.20.0.0/16']);
+  assert.ok(!networkGuard.isAddressBlocked('10.20.1.1'));
+  assert.ok(networkGuard.isAddressBlocked('10.21.1.1'));
+});
+
+test('域名在连接时解析，解析到受保护网络时拒绝', async () => {
+  const { error } = await lookup(networkGuard.lookup, 'localhost');
+  assert.ok(error instanceof BlockedAddressError);
+  assert.equal(error.statusCode, 403);
+});
+
+test('上游例外只适用于基础模式下协议、主机和端口都一致的请求', () => {
+  configure(['http://localhost:8080']);
+
+  assert.ok(networkGuard.isTrustedUpstream('http://localhost:8080/path?q=1', 'base'));
+  assert.ok(!networkGuard.isTrustedUpstream('http://localhost:8080/path', 'global'));
+  assert.ok(!networkGuard.isTrustedUpstream('http://localhost:22/', 'base'));
+  assert.ok(!networkGuard.isTrustedUpstream('https://localhost:8080/', 'base'));
+  assert.ok(!networkGuard.isTrustedUpstream('http://127.0.0.1:8080/', 'base'));
+  assert.ok(!networkGuard.isTrustedUpstream('not a url', 'base'));
+});
+
+test('上游 Agent 只对上游主机名跳过检查', async () => {
+  configure(['http://localhost:8080']);
+
+  const trusted = await lookup(networkGuard.trustedLookup, 'localhost');
+  assert.equal(trusted.error, null);
+  assert.ok(trusted.addresses.length > 0);
+
+  // 普通 Agent 不受上游例外影响
+  assert.ok((await lookup(networkGuard.lookup, 'localhost')).error instanceof BlockedAddressError);
+
+  configure([]);
+  assert.ok((await lookup(networkGuard.trustedLookup, 'localhost')).error instanceof BlockedAddressError);
+});
+
+test('重定向的每一跳检查协议和以IP地址表示的目标，并换用检查地址的 Agent', () => {
+  assert.throws(() => networkGuard.beforeRedirect({ protocol: 'file:', hostname: '' }), /file: 协议/);
+  assert.throws(() => networkGuard.beforeRedirect({ protocol: 'http:', hostname: '169.254.169.254' }), BlockedAddressError);
+
+  const options = { protocol: 'https:', hostname: 'example.com', agents: { http: trustedAgent, https: trustedAgent } };
+  networkGuard.beforeRedirect(options);
+  assert.equal(options.agents.http, guardedAgent);
+  assert.equal(options.agents.https, guardedAgent);
+});
+
+test('发往上游的请求被重定向时，下一跳重新检查（包括重定向回上游本身）', async (t) => {
+  const server = http.createServer((req, res) => {
+    const redirects = {
+      '/to-self': `http://localhost:${server.address().port}/ok`,
+      '/to-ip': `http://127.0.0.1:${server.address().port}/ok`
+    };
+    if (redirects[req.url]) {
+      res.writeHead(302, { location: redirects[req.url] });
+      return res.end();
+    }
+    res.end('ok');
+  });
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+
+  const origin = `http://localhost:${server.address().port}`;
+  configure([origin]);
+  const get = (urlPath) => axios.get(origin + urlPath, {
+    httpAgent: trustedAgent,
+    beforeRedirect: networkGuard.beforeRedirect,
+    maxRedirects: 5
+  });
+
+  // 上游本身可以访问
+  assert.equal((await get('/ok')).data, 'ok');
+
+  for (const urlPath of ['/to-self', '/to-ip']) {
+    await assert.rejects(get(urlPath), (error) => findBlockedError(error) !== null, `${urlPath} 的重定向应当被拒绝`);
+  }
+});
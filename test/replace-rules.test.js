@@ -0,0 +1,150 @@
+// 替换规则管理接口：include 片段中的规则只读，序号与生效列表一致
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// YAML 主配置文件引用一个片段，片段中的规则排在主配置文件自身的规则之前
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-replace-rules-'));
+const configPath = path.join(workDir, 'config.yaml');
+process.env.NODE_ENV = 'production';
+process.env.GPROXY_CONFIG = configPath;
+process.env.CONFIG_HISTORY_DIR = path.join(workDir, 'history');
+process.env.AUDIT_LOG_FILE = path.join(workDir, 'audit.log');
+
+function rule(search) {
+  return { search, replace: `${search}-replaced`, matchType: 1, urlMatch: null, urlExclude: null, contentType: null };
+}
+
+function writeConfig() {
+  fs.writeFileSync(path.join(workDir, 'shared.yaml'), [
+    'replace_list:',
+    '  - { search: shared-0, replace: shared-0-replaced, matchType: 1, urlMatch: null, urlExclude: null, contentType: null }',
+    '  - { search: shared-1, replace: shared-1-replaced, matchType: 1, urlMatch: null, urlExclude: null, contentType: null }',
+    ''
+  ].join('\n'));
+  fs.writeFileSync(configPath, [
+    '# 主配置文件',
+    'base_upstream: https://example.com',
+    'include: shared.yaml',
+    'replace_list:',
+    '  - { search: own-0, replace: own-0-replaced, matchType: 1, urlMatch: null, urlExclude: null, contentType: null }',
+    'sites:',
+    '  inherit.test:',
+    '    base_upstream: https://inherit.example.com',
+    '  own.test:',
+    '    base_upstream: https://own.example.com',
+    '    replace_list: []',
+    ''
+  ].join('\n'));
+}
+
+writeConfig();
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const configLoader = require('../config/config-loader');
+const adminRoutes = require('../routes/adminRoutes');
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use('/admin', express.raw({ type: '*/*' }), adminRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/admin/config/replace-rules`;
+});
+
+test.after(() => {
+  server.close();
+  fs.removeSync(workDir);
+});
+
+test.beforeEach(() => {
+  writeConfig();
+  configLoader.loadConfig('test');
+});
+
+async function request(method, urlPath, body) {
+  const response = await fetch(baseUrl + urlPath, {
+    method,
+    headers: body !== undefined ? { 'content-type': 'application/json' } : {},
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// 运行时实际使用的规则顺序
+function liveSearches() {
+  return configLoader.getConfig().replaceList.map(item => item.search);
+}
+
+test('列表包含片段中的只读规则，序号与生效的规则顺序一致', async () => {
+  const { status, body } = await request('GET', '/');
+  assert.equal(status, 200);
+  assert.deepEqual(body.rules.map(({ index, search, readonly }) => ({ index, search, readonly })), [
+    { index: 0, search: 'shared-0', readonly: true },
+    { index: 1, search: 'shared-1', readonly: true },
+    { index: 2, search: 'own-0', readonly: false }
+  ]);
+  assert.deepEqual(body.rules.map(item => item.search), liveSearches());
+});
+
+test('片段中的规则不能修改、删除或移动，新增规则不能插入到片段规则之间', async () => {
+  assert.equal((await request('PUT', '/1', rule('changed'))).status, 409);
+  assert.equal((await request('DELETE', '/0')).status, 409);
+  assert.equal((await request('POST', '/reorder', { order: [1, 0, 2] })).status, 409);
+  assert.equal((await request('POST', '/reorder', { order: [2, 1, 0] })).status, 409);
+  assert.equal((await request('POST', '/?position=1', rule('inserted'))).status, 400);
+  assert.deepEqual(liveSearches(), ['shared-0', 'shared-1', 'own-0']);
+});
+
+test('按生效列表的序号修改主配置文件中的规则，片段和 include 原样保留', async () => {
+  const added = await request('POST', '/?position=2', rule('own-new'));
+  assert.equal(added.status, 201);
+  assert.equal(added.body.index, 2);
+  assert.deepEqual(liveSearches(), ['shared-0', 'shared-1', 'own-new', 'own-0']);
+
+  const updated = await request('PUT', '/3', rule('own-0-updated'));
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.index, 3);
+  assert.deepEqual(liveSearches(), ['shared-0', 'shared-1', 'own-new', 'own-0-updated']);
+
+  const reordered = await request('POST', '/reorder', { order: [0, 1, 3, 2] });
+  assert.equal(reordered.status, 200);
+  assert.deepEqual(reordered.body.rules.map(item => item.search), ['shared-0', 'shared-1', 'own-0-updated', 'own-new']);
+  assert.deepEqual(liveSearches(), ['shared-0', 'shared-1', 'own-0-updated', 'own-new']);
+
+  const removed = await request('DELETE', '/2');
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.rule.search, 'own-0-updated');
+  assert.deepEqual(liveSearches(), ['shared-0', 'shared-1', 'own-new']);
+
+  const source = configLoader.readSource();
+  assert.equal(source.include, 'shared.yaml');
+  assert.deepEqual(source.replace_list.map(item => item.search), ['own-new']);
+});
+
+test('YAML 配置文件写回后注释丢失，修改接口的响应中给出提示', async () => {
+  const { body } = await request('POST', '/', rule('own-new'));
+  assert.match(body.warning, /注释/);
+  assert.ok(!fs.readFileSync(configPath, 'utf8').includes('# 主配置文件'));
+});
+
+test('站点沿用的顶层规则包含片段规则时拒绝修改，站点自己的规则可以修改', async () => {
+  const inherited = await request('GET', '/?site=inherit.test');
+  assert.equal(inherited.body.inherited, true);
+  assert.deepEqual(inherited.body.rules.map(item => item.readonly), [true, true, false]);
+
+  assert.equal((await request('POST', '/?site=inherit.test', rule('site-rule'))).status, 409);
+  assert.equal(configLoader.readSource().sites['inherit.test'].replace_list, undefined);
+
+  const own = await request('POST', '/?site=own.test', rule('site-rule'));
+  assert.equal(own.status, 201);
+  assert.equal(own.body.index, 0);
+  const listed = await request('GET', '/?site=own.test');
+  assert.equal(listed.body.inherited, false);
+  assert.deepEqual(listed.body.rules.map(item => item.search), ['site-rule']);
+});
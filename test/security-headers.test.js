@@ -0,0 +1,166 @@
+// rewrite 模式下的CSP改写：来源列表转换、注入脚本的 nonce/哈希与内联哈希的更新
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-csp-'));
+process.env.NODE_ENV = 'production';
+process.env.GPROXY_CONFIG = path.join(workDir, 'config.json');
+process.env.CONFIG_HISTORY_DIR = path.join(workDir, 'history');
+fs.writeJsonSync(process.env.GPROXY_CONFIG, { base_upstream: 'https://www.example.com', global_proxy_path: 'gp' });
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const securityHeaders = require('../src/security-headers');
+
+test.after(() => fs.removeSync(workDir));
+
+const CONTEXT = { upstreamSite: 'https://www.example.com', proxySite: 'https://proxy.test', mountPath: '/yt' };
+const NONCE_SITE = { securityHeaders: { mode: 'rewrite', injectScript: 'nonce' } };
+const HASH_SITE = { securityHeaders: { mode: 'rewrite', injectScript: 'hash' } };
+
+// 真实站点常见的策略：nonce + 'strict-dynamic' 的脚本策略，加上主机白名单和上报地址
+const UPSTREAM_POLICY = [
+  "default-src 'self'",
+  "script-src 'self' 'nonce-upstreamNonce' 'strict-dynamic' https://www.example.com https://cdn.other.com",
+  "style-src 'self' 'unsafe-inline' https://*.example.com",
+  'img-src * data:',
+  "object-src 'none'",
+  "frame-ancestors 'none'",
+  "base-uri 'self'",
+  'report-uri https://csp.example.com/report',
+  'report-to csp-endpoint',
+  'upgrade-insecure-requests'
+].join('; ');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('base64');
+}
+
+// 把策略解析为 { 指令名: 来源列表 }，便于断言
+function directivesOf(policy) {
+  return Object.fromEntries(policy.split(';').map(directive => {
+    const [name, ...sources] = directive.trim().split(/\s+/);
+    return [name, sources];
+  }));
+}
+
+test('上游主机来源转换为挂载点，其他主机来源转换为全局代理路径，关键字与其他指令保持不变', () => {
+  const headers = securityHeaders.process({
+    'content-security-policy': UPSTREAM_POLICY,
+    'x-frame-options': 'DENY',
+    'strict-transport-security': 'max-age=31536000'
+  }, CONTEXT, NONCE_SITE);
+  const directives = directivesOf(headers['content-security-policy']);
+
+  assert.deepEqual(directives['script-src'], [
+    "'self'", "'nonce-upstreamNonce'", "'strict-dynamic'", 'https://proxy.test/yt/', 'https://proxy.test/gp/'
+  ]);
+  // 通配符同时覆盖上游主机时两者都保留
+  assert.deepEqual(directives['style-src'], ["'self'", "'unsafe-inline'", 'https://proxy.test/yt/', 'https://proxy.test/gp/']);
+  assert.deepEqual(directives['default-src'], ["'self'"]);
+  assert.deepEqual(directives['img-src'], ['*', 'data:']);
+  assert.deepEqual(directives['object-src'], ["'none'"]);
+  assert.deepEqual(directives['frame-ancestors'], ["'none'"]);
+  assert.deepEqual(directives['base-uri'], ["'self'"]);
+  assert.deepEqual(directives['upgrade-insecure-requests'], []);
+  // 不向上游上报
+  assert.equal(directives['report-uri'], undefined);
+  assert.equal(directives['report-to'], undefined);
+  assert.equal(headers['x-frame-options'], 'DENY');
+  assert.equal(headers['strict-transport-security'], 'max-age=31536000');
+});
+
+test('HTTP 的代理地址去掉 upgrade-insecure-requests 和 HSTS，strip 模式移除全部安全头部', () => {
+  const rewritten = securityHeaders.process({
+    'content-security-policy-report-only': UPSTREAM_POLICY,
+    'strict-transport-security': 'max-age=31536000'
+  }, { ...CONTEXT, proxySite: 'http://proxy.test' }, NONCE_SITE);
+  const directives = directivesOf(rewritten['content-security-policy-report-only']);
+  assert.equal(directives['upgrade-insecure-requests'], undefined);
+  assert.ok(directives['script-src'].includes('http://proxy.test/yt/'));
+  assert.equal(rewritten['strict-transport-security'], undefined);
+
+  const stripped = securityHeaders.process({ 'content-security-policy': UPSTREAM_POLICY, 'x-frame-options': 'DENY' }, CONTEXT, {
+    securityHeaders: { mode: 'strip', injectScript: 'nonce' }
+  });
+  assert.deepEqual(stripped, {});
+});
+
+test('nonce 模式：注入脚本的 nonce 加入脚本指令，保留上游的 nonce 和 strict-dynamic', () => {
+  const headers = securityHeaders.process({ 'content-security-policy': UPSTREAM_POLICY }, CONTEXT, NONCE_SITE);
+  const before = directivesOf(headers['content-security-policy']);
+
+  const attributes = securityHeaders.allowInlineScript(headers, 'window.__gproxy = 1;', NONCE_SITE);
+  const [, nonce] = attributes.match(/^ nonce="([A-Za-z0-9+/=]+)"$/);
+  const after = directivesOf(headers['content-security-policy']);
+
+  assert.deepEqual(after['script-src'], [...before['script-src'], `'nonce-${nonce}'`]);
+  // 其他指令不受影响，default-src 不会因为注入脚本而放宽
+  Object.keys(before).filter(name => name !== 'script-src').forEach(name => {
+    assert.deepEqual(after[name], before[name], name);
+  });
+});
+
+test('hash 模式：只有哈希的 script-src 加入注入脚本的哈希，不添加 nonce 属性', () => {
+  const script = 'window.__gproxy = 1;';
+  const upstreamHash = `'sha256-${sha256('console.log("upstream")')}'`;
+  const headers = { 'content-security-policy': `script-src ${upstreamHash}; default-src 'none'` };
+
+  assert.equal(securityHeaders.allowInlineScript(headers, script, HASH_SITE), '');
+  assert.deepEqual(directivesOf(headers['content-security-policy']), {
+    'script-src': [upstreamHash, `'sha256-${sha256(script)}'`],
+    'default-src': ["'none'"]
+  });
+});
+
+test('注入脚本选择实际生效的指令：script-src-elem 优先，没有脚本指令时使用 default-src 并去掉 none', () => {
+  const elem = { 'content-security-policy': "script-src 'self'; script-src-elem 'self'" };
+  securityHeaders.allowInlineScript(elem, 'x', HASH_SITE);
+  assert.deepEqual(directivesOf(elem['content-security-policy']), {
+    'script-src': ["'self'"],
+    'script-src-elem': ["'self'", `'sha256-${sha256('x')}'`]
+  });
+
+  const fallback = { 'content-security-policy': "default-src 'none'; img-src 'self'" };
+  securityHeaders.allowInlineScript(fallback, 'x', HASH_SITE);
+  assert.deepEqual(directivesOf(fallback['content-security-policy']), {
+    'default-src': [`'sha256-${sha256('x')}'`],
+    'img-src': ["'self'"]
+  });
+});
+
+test('已经允许所有内联脚本或没有CSP时不修改头部，多条策略各自加入', () => {
+  const permissive = { 'content-security-policy': "script-src 'self' 'unsafe-inline'" };
+  assert.equal(securityHeaders.allowInlineScript(permissive, 'x', NONCE_SITE), '');
+  assert.equal(permissive['content-security-policy'], "script-src 'self' 'unsafe-inline'");
+
+  assert.equal(securityHeaders.allowInlineScript({}, 'x', NONCE_SITE), '');
+
+  // 两条策略都必须满足，注入脚本需要同时加入
+  const multiple = { 'content-security-policy': "script-src 'self', script-src 'nonce-a' 'unsafe-inline'" };
+  const [, nonce] = securityHeaders.allowInlineScript(multiple, 'x', NONCE_SITE).match(/nonce="([^"]+)"/);
+  assert.equal(multiple['content-security-policy'], `script-src 'self' 'nonce-${nonce}', script-src 'nonce-a' 'unsafe-inline' 'nonce-${nonce}'`);
+});
+
+test('内容改写改变了带哈希的内联脚本时补上新内容的哈希，不为没有哈希的脚本添加哈希', () => {
+  const hashed = 'fetch("https://www.example.com/api")';
+  const unhashed = 'track("https://www.example.com/t")';
+  const originalHtml = `<script>${hashed}</script><style>body{}</style><script>${unhashed}</script>`;
+  const rewrittenHtml = originalHtml.split('https://www.example.com').join('https://proxy.test/yt');
+  const policy = `script-src 'sha256-${sha256(hashed)}' 'strict-dynamic'; style-src 'self'`;
+
+  const headers = { 'content-security-policy': policy };
+  securityHeaders.updateInlineHashes(headers, originalHtml, rewrittenHtml);
+  const rewrittenHashed = hashed.replace('https://www.example.com', 'https://proxy.test/yt');
+  assert.deepEqual(directivesOf(headers['content-security-policy']), {
+    'script-src': [`'sha256-${sha256(hashed)}'`, "'strict-dynamic'", `'sha256-${sha256(rewrittenHashed)}'`],
+    'style-src': ["'self'"]
+  });
+
+  // 改写前后的内联元素无法一一对应时不做处理
+  const mismatched = { 'content-security-policy': policy };
+  securityHeaders.updateInlineHashes(mismatched, originalHtml, `${rewrittenHtml}<script>extra()</script>`);
+  assert.equal(mismatched['content-security-policy'], policy);
+});
@@ -0,0 +1,97 @@
+// 全局代理URL签名的校验与过期
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const SECRET = 'signed-url-secret-0123456789abcdef';
+const TTL = 600;
+const GLOBAL_PROXY_PATH = 'gp';
+const TARGET = 'https://cdn.example.com/assets/app.js?v=1';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gproxy-signer-'));
+process.env.NODE_ENV = 'production';
+process.env.GPROXY_CONFIG = path.join(workDir, 'config.json');
+process.env.CONFIG_HISTORY_DIR = path.join(workDir, 'history');
+fs.writeJsonSync(process.env.GPROXY_CONFIG, {
+  base_upstream: 'https://example.com',
+  global_proxy_path: GLOBAL_PROXY_PATH,
+  signed_urls: { enabled: true, secret: SECRET, ttl: TTL }
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const urlSigner = require('../src/url-signer');
+const { UrlSignatureError } = require('../src/utils/errors');
+
+test.after(() => fs.removeSync(workDir));
+
+// 与 url-signer 中的签名算法一致：HMAC-SHA256(key, `<exp>:<目标URL>`) 的前 16 字节
+function sign(key, expires, targetUrl) {
+  return crypto.createHmac('sha256', key).update(`${expires}:${targetUrl}`).digest().subarray(0, 16).toString('base64url');
+}
+
+function encode(targetUrl) {
+  return Buffer.from(targetUrl, 'utf8').toString('base64');
+}
+
+function proxyRequest(encodedPath, cookie) {
+  return { url: `/${GLOBAL_PROXY_PATH}/${encodedPath}`, headers: cookie ? { cookie } : {} };
+}
+
+function assertRejected(req, message) {
+  assert.throws(() => urlSigner.unwrapRequestUrl(req, GLOBAL_PROXY_PATH), (error) => {
+    assert.ok(error instanceof UrlSignatureError);
+    assert.equal(error.statusCode, 403);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('服务端签名的URL通过校验，去掉签名段后得到原始的全局代理URL', () => {
+  const encoded = urlSigner.encodeTarget(TARGET);
+  assert.match(encoded, /^s\.\d+\.[A-Za-z0-9_-]+\//);
+
+  const unwrapped = urlSigner.unwrapRequestUrl(proxyRequest(encoded), GLOBAL_PROXY_PATH);
+  assert.equal(unwrapped, `/${GLOBAL_PROXY_PATH}/${encode(TARGET)}`);
+});
+
+test('签名的有效期在 ttl 到 2×ttl 之间', () => {
+  const [, expires] = urlSigner.encodeTarget(TARGET).match(/^s\.(\d+)\./);
+  const remaining = Number(expires) - Date.now() / 1000;
+  assert.ok(remaining > TTL && remaining <= 2 * TTL, `剩余 ${remaining} 秒`);
+});
+
+test('拒绝未签名、篡改目标或签名错误的URL', () => {
+  assertRejected(proxyRequest(encode(TARGET)), /缺少签名/);
+
+  const [, expires, signature] = urlSigner.encodeTarget(TARGET).match(/^s\.(\d+)\.([A-Za-z0-9_-]+)\//);
+  assertRejected(proxyRequest(`s.${expires}.${signature}/${encode('http://169.254.169.254/latest')}`), /签名无效/);
+  assertRejected(proxyRequest(`s.${expires}.${sign('wrong-secret', Number(expires), TARGET)}/${encode(TARGET)}`), /签名无效/);
+
+  // 延长过期时间会使签名失效
+  assertRejected(proxyRequest(`s.${Number(expires) + TTL}.${signature}/${encode(TARGET)}`), /签名无效/);
+});
+
+test('拒绝已过期的URL，即使签名正确', () => {
+  const expired = Math.floor(Date.now() / 1000) - 1;
+  assertRejected(proxyRequest(`s.${expired}.${sign(SECRET, expired, TARGET)}/${encode(TARGET)}`), /已过期/);
+});
+
+test('客户端密钥签名的URL只对同一浏览器会话有效', () => {
+  const issued = urlSigner.issueClientKey({});
+  assert.ok(issued.isNewSession);
+  const segment = `c.${issued.expires}.${sign(issued.key, issued.expires, TARGET)}/${encode(TARGET)}`;
+
+  const unwrapped = urlSigner.unwrapRequestUrl(proxyRequest(segment, `gproxy_sid=${issued.sessionId}`), GLOBAL_PROXY_PATH);
+  assert.equal(unwrapped, `/${GLOBAL_PROXY_PATH}/${encode(TARGET)}`);
+
+  const otherSession = crypto.randomBytes(16).toString('hex');
+  assertRejected(proxyRequest(segment, `gproxy_sid=${otherSession}`), /签名无效/);
+  assertRejected(proxyRequest(segment), /签名无效/);
+
+  // 同一会话再次获取密钥时沿用会话ID
+  const reissued = urlSigner.issueClientKey({ cookie: `gproxy_sid=${issued.sessionId}` });
+  assert.equal(reissued.sessionId, issued.sessionId);
+  assert.equal(reissued.isNewSession, false);
+});